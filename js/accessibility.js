@@ -36,6 +36,113 @@ const AccessibilityFeatures = {
      */
     currentTheme: 'default',
     
+    /**
+     * Display options layered on top of whichever theme is in use
+     */
+    displayOptions: {
+        dyslexia: false,
+        reducedMotion: false
+    },
+    
+    /**
+     * Label and class for each display option
+     * The classes go on the html element, which is where smooth scrolling is set.
+     */
+    displayOptionSettings: {
+        dyslexia: { label: 'Dyslexia-friendly text', className: 'display-dyslexia' },
+        reducedMotion: { label: 'Reduced motion', className: 'display-reduced-motion' }
+    },
+    
+    /**
+     * Narration speech rate (0.5-2)
+     */
+    narrationRate: 1,
+    
+    /**
+     * Narration voice pitch (0-2)
+     */
+    narrationPitch: 1,
+    
+    /**
+     * Name of the preferred narration voice (empty for browser default)
+     */
+    narrationVoice: '',
+    
+    /**
+     * Whether steps are read aloud automatically in step-by-step mode
+     */
+    autoReadSteps: false,
+    
+    /**
+     * Whether the recipe page uses the simplified, reduced-distraction view
+     */
+    simplifiedView: false,
+    
+    /**
+     * How the recipe page shows ingredients, and the servings last chosen for
+     * each recipe, keyed by recipe ID
+     */
+    recipeView: {
+        unitSystem: 'metric',
+        measureBy: 'recipe',
+        servings: {}
+    },
+    
+    /**
+     * Keys the user has chosen for keyboard shortcuts, keyed by shortcut ID
+     */
+    shortcutBindings: {},
+    
+    /**
+     * Whether switch scanning is on, and how long the highlight stays on each item
+     */
+    switchScanning: {
+        enabled: false,
+        interval: 1500
+    },
+    
+    /**
+     * Scan speeds the user can choose, in milliseconds from fastest to slowest,
+     * in the order used by short codes
+     */
+    scanSpeeds: [500, 750, 1000, 1250, 1500, 2000, 2500, 3000, 4000, 5000],
+    
+    /**
+     * Themes with a stylesheet in css/themes, in the order used by short codes
+     */
+    themes: ['default', 'high-contrast', 'large-text', 'protanopia', 'deuteranopia', 'tritanopia'],
+    
+    /**
+     * Characters used in short codes, leaving out I, L, O and U so that codes
+     * are hard to misread
+     */
+    codeAlphabet: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+    
+    /**
+     * localStorage key for the preferences object
+     */
+    storageKey: 'accessichef_preferences',
+    
+    /**
+     * Version of the preferences object. Raise it when the object changes shape
+     * and teach migratePreferences() to upgrade the old shape.
+     */
+    preferencesVersion: 3,
+    
+    /**
+     * Keys that each setting was saved under before the preferences object
+     */
+    legacyStorageKeys: {
+        theme: 'accessichef_theme',
+        textSize: 'accessichef_text_size',
+        narrationRate: 'accessichef_narration_rate',
+        narrationPitch: 'accessichef_narration_pitch',
+        narrationVoice: 'accessichef_narration_voice',
+        autoReadSteps: 'accessichef_auto_read_steps',
+        dyslexia: 'accessichef_dyslexia_friendly',
+        reducedMotion: 'accessichef_reduced_motion'
+    },
+    
     /**
      * Initialize accessibility features
      */
@@ -62,22 +169,10 @@ const AccessibilityFeatures = {
      * Set up event listeners for accessibility controls
      */
     setupEventListeners: function() {
-        // Theme toggle buttons
-        const themeDefault = document.getElementById('theme-default');
-        const themeHighContrast = document.getElementById('theme-high-contrast');
-        const themeLargeText = document.getElementById('theme-large-text');
-        
-        if (themeDefault) {
-            themeDefault.addEventListener('click', () => this.setTheme('default'));
-        }
-        
-        if (themeHighContrast) {
-            themeHighContrast.addEventListener('click', () => this.setTheme('high-contrast'));
-        }
-        
-        if (themeLargeText) {
-            themeLargeText.addEventListener('click', () => this.setTheme('large-text'));
-        }
+        // Theme buttons, one per stylesheet in css/themes
+        document.querySelectorAll('[data-theme]').forEach(button => {
+            button.addEventListener('click', () => this.setTheme(button.dataset.theme));
+        });
         
         // Text size controls
         const textIncrease = document.getElementById('text-increase');
@@ -90,6 +185,18 @@ const AccessibilityFeatures = {
         if (textDecrease) {
             textDecrease.addEventListener('click', () => this.decreaseTextSize());
         }
+        
+        // Display option toggles
+        document.querySelectorAll('[data-display-option]').forEach(button => {
+            const option = button.dataset.displayOption;
+            button.addEventListener('click', () => this.setDisplayOption(option, !this.displayOptions[option]));
+        });
+        
+        // Switch scanning toggle
+        const scanningToggle = document.getElementById('switch-scanning-toggle');
+        if (scanningToggle) {
+            scanningToggle.addEventListener('click', () => this.setSwitchScanning({ enabled: !this.switchScanning.enabled }));
+        }
     },
     
     /**
@@ -122,20 +229,34 @@ const AccessibilityFeatures = {
     
     /**
      * Load saved accessibility preferences from localStorage
+     * Settings saved under the old separate keys are moved into the preferences
+     * object the first time they are read.
      */
     loadPreferences: function() {
         try {
-            // Load theme preference
-            const savedTheme = localStorage.getItem('accessichef_theme');
-            if (savedTheme) {
-                this.currentTheme = savedTheme;
+            const saved = localStorage.getItem(this.storageKey);
+            
+            if (saved !== null) {
+                const data = JSON.parse(saved);
+                this.setPreferences(this.readPreferences(data));
+                
+                // Store preferences from an older version in the current shape
+                if (data.version < this.preferencesVersion) {
+                    this.savePreferences();
+                }
+                return;
             }
             
-            // Load text size preference
-            const savedTextSize = localStorage.getItem('accessichef_text_size');
-            if (savedTextSize) {
-                this.textSizeLevel = parseInt(savedTextSize, 10);
+            const legacy = this.readLegacyPreferences();
+            if (legacy) {
+                this.setPreferences(this.readPreferences(legacy));
+                this.savePreferences();
+                Object.values(this.legacyStorageKeys).forEach(key => localStorage.removeItem(key));
+                return;
             }
+            
+            // Follow the system contrast and motion settings on a first visit
+            this.setPreferences(this.readPreferences({ version: this.preferencesVersion }));
         } catch (error) {
             console.error('Error loading accessibility preferences:', error);
         }
@@ -146,13 +267,305 @@ const AccessibilityFeatures = {
      */
     savePreferences: function() {
         try {
-            localStorage.setItem('accessichef_theme', this.currentTheme);
-            localStorage.setItem('accessichef_text_size', this.textSizeLevel.toString());
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getPreferences()));
         } catch (error) {
             console.error('Error saving accessibility preferences:', error);
         }
     },
     
+    /**
+     * Get every accessibility and display setting as one object
+     * @returns {Object} Versioned preferences object
+     */
+    getPreferences: function() {
+        return {
+            version: this.preferencesVersion,
+            theme: this.currentTheme,
+            textSize: this.textSizeLevel,
+            displayOptions: Object.assign({}, this.displayOptions),
+            simplifiedView: this.simplifiedView,
+            narration: {
+                rate: this.narrationRate,
+                pitch: this.narrationPitch,
+                voice: this.narrationVoice,
+                autoRead: this.autoReadSteps
+            },
+            recipeView: {
+                unitSystem: this.recipeView.unitSystem,
+                measureBy: this.recipeView.measureBy,
+                servings: Object.assign({}, this.recipeView.servings)
+            },
+            keyboardShortcuts: Object.assign({}, this.shortcutBindings),
+            switchScanning: Object.assign({}, this.switchScanning)
+        };
+    },
+    
+    /**
+     * Use a preferences object from readPreferences()
+     * @param {Object} preferences - Complete preferences object
+     */
+    setPreferences: function(preferences) {
+        this.currentTheme = preferences.theme;
+        this.textSizeLevel = preferences.textSize;
+        this.displayOptions = Object.assign({}, preferences.displayOptions);
+        this.simplifiedView = preferences.simplifiedView;
+        this.narrationRate = preferences.narration.rate;
+        this.narrationPitch = preferences.narration.pitch;
+        this.narrationVoice = preferences.narration.voice;
+        this.autoReadSteps = preferences.narration.autoRead;
+        this.recipeView = {
+            unitSystem: preferences.recipeView.unitSystem,
+            measureBy: preferences.recipeView.measureBy,
+            servings: Object.assign({}, preferences.recipeView.servings)
+        };
+        this.shortcutBindings = Object.assign({}, preferences.keyboardShortcuts);
+        this.switchScanning = Object.assign({}, preferences.switchScanning);
+    },
+    
+    /**
+     * Check a saved or imported preferences object, filling in anything missing
+     * Missing contrast and motion settings follow the system settings.
+     * @param {Object} data - Preferences object, possibly from an older version
+     * @returns {Object} Complete preferences object for the current version
+     * @throws {Error} If the data isn't a preferences object this version can read
+     */
+    readPreferences: function(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.version !== 'number') {
+            throw new Error('This isn\'t an AccessiChef settings file.');
+        }
+        
+        const migrated = this.migratePreferences(data);
+        const display = migrated.displayOptions || {};
+        const narration = migrated.narration || {};
+        const recipeView = migrated.recipeView || {};
+        const scanning = migrated.switchScanning || {};
+        
+        const number = (value, min, max, fallback) =>
+            typeof value === 'number' && !isNaN(value) ? Math.min(max, Math.max(min, value)) : fallback;
+        const flag = (value, fallback) => typeof value === 'boolean' ? value : fallback;
+        const choice = (value, options, fallback) => options.includes(value) ? value : fallback;
+        
+        // Only keep shortcut keys that are written as key names
+        const keyboardShortcuts = {};
+        if (migrated.keyboardShortcuts && typeof migrated.keyboardShortcuts === 'object') {
+            Object.entries(migrated.keyboardShortcuts).forEach(([shortcutId, keys]) => {
+                if (typeof keys === 'string' && keys.length > 0 && keys.length <= 40) {
+                    keyboardShortcuts[shortcutId] = keys;
+                }
+            });
+        }
+        
+        // Only keep servings that are whole numbers of at least one
+        const servings = {};
+        if (recipeView.servings && typeof recipeView.servings === 'object') {
+            Object.entries(recipeView.servings).forEach(([recipeId, count]) => {
+                if (Number.isInteger(count) && count > 0) {
+                    servings[recipeId] = count;
+                }
+            });
+        }
+        
+        return {
+            version: this.preferencesVersion,
+            theme: choice(migrated.theme, this.themes,
+                this.matchesMedia('(prefers-contrast: more)') ? 'high-contrast' : 'default'),
+            textSize: Math.round(number(migrated.textSize, this.minTextSize, this.maxTextSize, 2)),
+            displayOptions: {
+                dyslexia: flag(display.dyslexia, false),
+                reducedMotion: flag(display.reducedMotion, this.matchesMedia('(prefers-reduced-motion: reduce)'))
+            },
+            simplifiedView: flag(migrated.simplifiedView, false),
+            narration: {
+                rate: number(narration.rate, 0.5, 2, 1),
+                pitch: number(narration.pitch, 0, 2, 1),
+                voice: typeof narration.voice === 'string' ? narration.voice : '',
+                autoRead: flag(narration.autoRead, false)
+            },
+            recipeView: {
+                unitSystem: choice(recipeView.unitSystem, ['metric', 'imperial'], 'metric'),
+                measureBy: choice(recipeView.measureBy, ['recipe', 'weight', 'volume'], 'recipe'),
+                servings: servings
+            },
+            keyboardShortcuts: keyboardShortcuts,
+            switchScanning: {
+                enabled: flag(scanning.enabled, false),
+                interval: choice(scanning.interval, this.scanSpeeds, 1500)
+            }
+        };
+    },
+    
+    /**
+     * Upgrade a preferences object saved by an older version
+     * @param {Object} data - Preferences object
+     * @returns {Object} Preferences object in the current shape
+     * @throws {Error} If the object comes from a newer version
+     */
+    migratePreferences: function(data) {
+        if (data.version > this.preferencesVersion) {
+            throw new Error('These settings come from a newer version of AccessiChef. Update this copy, then try again.');
+        }
+        
+        let migrated = data;
+        
+        // Version 1 had no changeable keyboard shortcuts
+        if (migrated.version < 2) {
+            migrated = Object.assign({ keyboardShortcuts: {} }, migrated, { version: 2 });
+        }
+        
+        // Version 2 had no switch scanning
+        if (migrated.version < 3) {
+            migrated = Object.assign({ switchScanning: { enabled: false, interval: 1500 } }, migrated, { version: 3 });
+        }
+        
+        return migrated;
+    },
+    
+    /**
+     * Read settings saved under the old separate keys
+     * @returns {Object|null} Preferences object, or null if none of the old keys are set
+     */
+    readLegacyPreferences: function() {
+        const saved = {};
+        Object.entries(this.legacyStorageKeys).forEach(([setting, key]) => {
+            const value = localStorage.getItem(key);
+            if (value !== null) {
+                saved[setting] = value;
+            }
+        });
+        
+        if (Object.keys(saved).length === 0) {
+            return null;
+        }
+        
+        const number = value => value === undefined ? undefined : parseFloat(value);
+        const flag = value => value === undefined ? undefined : value === 'true';
+        
+        return {
+            version: 1,
+            theme: saved.theme,
+            textSize: number(saved.textSize),
+            displayOptions: {
+                dyslexia: flag(saved.dyslexia),
+                reducedMotion: flag(saved.reducedMotion)
+            },
+            narration: {
+                rate: number(saved.narrationRate),
+                pitch: number(saved.narrationPitch),
+                voice: saved.narrationVoice,
+                autoRead: flag(saved.autoReadSteps)
+            }
+        };
+    },
+    
+    /**
+     * Replace the current preferences with imported ones and apply them
+     * @param {Object} preferences - Complete preferences object from readPreferences()
+     */
+    importPreferences: function(preferences) {
+        this.setPreferences(preferences);
+        this.applyPreferences();
+        this.savePreferences();
+    },
+    
+    /**
+     * Get the preferences as the text of a settings file
+     * @returns {string} JSON text
+     */
+    exportPreferences: function() {
+        return JSON.stringify(this.getPreferences(), null, 2);
+    },
+    
+    /**
+     * Get a short code for the preferences, to copy by hand onto another device
+     * Each setting is one character from codeAlphabet, followed by a check
+     * character so typing mistakes are caught. The narration voice, the servings
+     * for each recipe and changed shortcut keys are left out to keep the code short.
+     * @returns {string} Code such as "AC-3020-05A8D"
+     */
+    getShortCode: function() {
+        const preferences = this.getPreferences();
+        const flags = (preferences.displayOptions.dyslexia ? 1 : 0) +
+            (preferences.displayOptions.reducedMotion ? 2 : 0) +
+            (preferences.simplifiedView ? 4 : 0) +
+            (preferences.narration.autoRead ? 8 : 0) +
+            (preferences.recipeView.unitSystem === 'imperial' ? 16 : 0);
+        
+        const values = [
+            preferences.version,
+            this.themes.indexOf(preferences.theme),
+            preferences.textSize,
+            flags,
+            ['recipe', 'weight', 'volume'].indexOf(preferences.recipeView.measureBy),
+            Math.round((preferences.narration.rate - 0.5) * 10),
+            Math.round(preferences.narration.pitch * 10),
+            this.scanSpeeds.indexOf(preferences.switchScanning.interval) * 2 + (preferences.switchScanning.enabled ? 1 : 0)
+        ];
+        values.push(this.getCodeCheck(values));
+        
+        const code = values.map(value => this.codeAlphabet[value]).join('');
+        return `AC-${code.slice(0, 4)}-${code.slice(4)}`;
+    },
+    
+    /**
+     * Read a short code from getShortCode()
+     * The current narration voice, recipe servings and shortcut keys are kept,
+     * as are the switch scanning settings when reading a code from before version 3.
+     * @param {string} code - Short code, in any case, with or without dashes.
+     * I and L are read as 1, and O as 0.
+     * @returns {Object} Complete preferences object
+     * @throws {Error} If the code is mistyped or from a newer version
+     */
+    readShortCode: function(code) {
+        const characters = String(code).toUpperCase().replace(/[^0-9A-Z]/g, '').replace(/^AC/, '')
+            .replace(/[IL]/g, '1').replace(/O/g, '0');
+        const values = characters.split('').map(character => this.codeAlphabet.indexOf(character));
+        
+        // Codes from before version 3 have no switch scanning character
+        const length = values[0] < 3 ? 8 : 9;
+        if (values.length !== length || values.includes(-1) || values.pop() !== this.getCodeCheck(values)) {
+            throw new Error('That code doesn\'t look right. Check each character and try again.');
+        }
+        
+        const [version, theme, textSize, flags, measureBy, rate, pitch, scanning] = values;
+        const current = this.getPreferences();
+        
+        return this.readPreferences({
+            version: version,
+            theme: this.themes[theme],
+            textSize: textSize,
+            displayOptions: {
+                dyslexia: Boolean(flags & 1),
+                reducedMotion: Boolean(flags & 2)
+            },
+            simplifiedView: Boolean(flags & 4),
+            narration: {
+                rate: 0.5 + rate / 10,
+                pitch: pitch / 10,
+                voice: current.narration.voice,
+                autoRead: Boolean(flags & 8)
+            },
+            recipeView: {
+                unitSystem: flags & 16 ? 'imperial' : 'metric',
+                measureBy: ['recipe', 'weight', 'volume'][measureBy],
+                servings: current.recipeView.servings
+            },
+            keyboardShortcuts: current.keyboardShortcuts,
+            switchScanning: scanning === undefined ? current.switchScanning : {
+                enabled: Boolean(scanning & 1),
+                interval: this.scanSpeeds[scanning >> 1]
+            }
+        });
+    },
+    
+    /**
+     * Work out the check character value for a short code
+     * @param {Array<number>} values - Code values before the check character
+     * @returns {number} Value from 0 to 31
+     */
+    getCodeCheck: function(values) {
+        return values.reduce((sum, value, index) => sum + value * (index + 1), 0) % 32;
+    },
+    
     /**
      * Apply current accessibility preferences
      */
@@ -162,11 +575,32 @@ const AccessibilityFeatures = {
         
         // Apply text size
         this.applyTextSize(this.textSizeLevel);
+        
+        // Apply display options
+        this.applyDisplayOptions();
+        
+        // Apply the simplified view
+        this.applySimplifiedView();
+        
+        // Start or stop switch scanning
+        if (typeof SwitchScanning !== 'undefined') {
+            SwitchScanning.update();
+        }
+    },
+    
+    /**
+     * Check a media query, such as the system's reduced motion setting
+     * @param {string} query - Media query
+     * @returns {boolean} True if the query matches
+     */
+    matchesMedia: function(query) {
+        return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
     },
     
     /**
      * Set the theme
-     * @param {string} theme - Theme name ('default', 'high-contrast', or 'large-text')
+     * @param {string} theme - Theme name ('default', 'high-contrast', 'large-text',
+     * 'protanopia', 'deuteranopia' or 'tritanopia')
      */
     setTheme: function(theme) {
         this.currentTheme = theme;
@@ -187,6 +621,177 @@ const AccessibilityFeatures = {
         if (themeStylesheet) {
             themeStylesheet.href = `css/themes/${theme}.css`;
         }
+        
+        // Mark the theme in use, so it isn't shown by colour alone
+        document.querySelectorAll('[data-theme]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.theme === theme));
+        });
+    },
+    
+    /**
+     * Turn a display option on or off
+     * @param {string} option - Option name ('dyslexia' or 'reducedMotion')
+     * @param {boolean} enabled - Whether the option should be on
+     */
+    setDisplayOption: function(option, enabled) {
+        const settings = this.displayOptionSettings[option];
+        if (!settings) {
+            return;
+        }
+        
+        this.displayOptions[option] = enabled;
+        this.applyDisplayOptions();
+        this.savePreferences();
+        
+        // Announce the change to screen readers
+        this.announceToScreenReader(`${settings.label} ${enabled ? 'on' : 'off'}`);
+    },
+    
+    /**
+     * Apply the display options and show their state on the toggle buttons
+     */
+    applyDisplayOptions: function() {
+        Object.entries(this.displayOptionSettings).forEach(([option, settings]) => {
+            document.documentElement.classList.toggle(settings.className, this.displayOptions[option]);
+        });
+        
+        document.querySelectorAll('[data-display-option]').forEach(button => {
+            button.setAttribute('aria-pressed', String(Boolean(this.displayOptions[button.dataset.displayOption])));
+        });
+    },
+    
+    /**
+     * Turn the simplified view on or off
+     * @param {boolean} enabled - Whether the simplified view should be on
+     */
+    setSimplifiedView: function(enabled) {
+        this.simplifiedView = enabled;
+        this.applySimplifiedView();
+        this.savePreferences();
+        
+        // Announce to screen readers
+        this.announceToScreenReader(enabled ? 'Simplified view enabled' : 'Standard view enabled');
+    },
+    
+    /**
+     * Apply the simplified view and label its toggle with the view it switches to
+     */
+    applySimplifiedView: function() {
+        document.body.classList.toggle('simplified-view', this.simplifiedView);
+        
+        const toggle = document.getElementById('simplified-view-toggle');
+        if (toggle) {
+            toggle.innerHTML = this.simplifiedView ?
+                '<i class="fas fa-glasses" aria-hidden="true"></i> Standard View' :
+                '<i class="fas fa-glasses" aria-hidden="true"></i> Simplified View';
+        }
+    },
+    
+    /**
+     * Update how the recipe page shows ingredients
+     * @param {Object} settings - Any of unitSystem and measureBy
+     */
+    setRecipeView: function(settings) {
+        if (settings.unitSystem === 'metric' || settings.unitSystem === 'imperial') {
+            this.recipeView.unitSystem = settings.unitSystem;
+        }
+        
+        if (['recipe', 'weight', 'volume'].includes(settings.measureBy)) {
+            this.recipeView.measureBy = settings.measureBy;
+        }
+        
+        this.savePreferences();
+    },
+    
+    /**
+     * Save the keys the user has chosen for keyboard shortcuts
+     * @param {Object} bindings - Key names keyed by shortcut ID
+     */
+    setShortcutBindings: function(bindings) {
+        this.shortcutBindings = bindings;
+        this.savePreferences();
+    },
+    
+    /**
+     * Change the switch scanning settings and start or stop scanning to match
+     * @param {Object} settings - Any of enabled and interval (one of scanSpeeds)
+     */
+    setSwitchScanning: function(settings) {
+        const wasEnabled = this.switchScanning.enabled;
+        
+        if (typeof settings.enabled === 'boolean') {
+            this.switchScanning.enabled = settings.enabled;
+        }
+        
+        if (this.scanSpeeds.includes(settings.interval)) {
+            this.switchScanning.interval = settings.interval;
+        }
+        
+        this.savePreferences();
+        SwitchScanning.update();
+        
+        if (this.switchScanning.enabled !== wasEnabled) {
+            this.announceToScreenReader(this.switchScanning.enabled ?
+                'Switch scanning on. Press Space, Enter or click when the item you want is highlighted.' :
+                'Switch scanning off');
+        }
+    },
+    
+    /**
+     * Get the servings last chosen for a recipe
+     * @param {string} recipeId - Recipe ID
+     * @returns {number|null} Servings, or null if they haven't been changed
+     */
+    getRecipeServings: function(recipeId) {
+        return this.recipeView.servings[recipeId] || null;
+    },
+    
+    /**
+     * Remember the servings chosen for a recipe
+     * Going back to the recipe's own serving count forgets the setting.
+     * @param {Object} recipe - Recipe object
+     * @param {number} servings - Servings chosen
+     */
+    setRecipeServings: function(recipe, servings) {
+        if (servings === recipe.servings) {
+            delete this.recipeView.servings[recipe.id];
+        } else {
+            this.recipeView.servings[recipe.id] = servings;
+        }
+        
+        this.savePreferences();
+    },
+    
+    /**
+     * Get the scroll behavior to use, respecting the reduced motion option
+     * @returns {string} 'auto' or 'smooth'
+     */
+    getScrollBehavior: function() {
+        return this.displayOptions.reducedMotion ? 'auto' : 'smooth';
+    },
+    
+    /**
+     * Update narration settings
+     * @param {Object} settings - Any of rate, pitch, voice and autoRead
+     */
+    setNarrationSettings: function(settings) {
+        if (typeof settings.rate === 'number' && !isNaN(settings.rate)) {
+            this.narrationRate = Math.min(2, Math.max(0.5, settings.rate));
+        }
+        
+        if (typeof settings.pitch === 'number' && !isNaN(settings.pitch)) {
+            this.narrationPitch = Math.min(2, Math.max(0, settings.pitch));
+        }
+        
+        if (typeof settings.voice === 'string') {
+            this.narrationVoice = settings.voice;
+        }
+        
+        if (typeof settings.autoRead === 'boolean') {
+            this.autoReadSteps = settings.autoRead;
+        }
+        
+        this.savePreferences();
     },
     
     /**
@@ -239,81 +844,50 @@ const AccessibilityFeatures = {
      * Set up enhanced keyboard navigation
      */
     setupKeyboardNavigation: function() {
-        // Add keydown event listener to document
+        KeyboardShortcuts.init();
+        
+        // Accessibility shortcuts, which can be changed in the shortcut help dialog
+        KeyboardShortcuts.register('accessibility-menu', () => {
+            const accessibilityDropdown = document.querySelector('#accessibilityDropdown');
+            if (accessibilityDropdown) {
+                accessibilityDropdown.click();
+            }
+        });
+        
+        KeyboardShortcuts.register('go-home', () => {
+            window.location.href = 'index.html';
+        });
+        
+        KeyboardShortcuts.register('text-increase', () => this.increaseTextSize());
+        
+        KeyboardShortcuts.register('text-decrease', () => this.decreaseTextSize());
+        
+        KeyboardShortcuts.register('high-contrast',
+            () => this.setTheme(this.currentTheme === 'high-contrast' ? 'default' : 'high-contrast'));
+        
+        KeyboardShortcuts.register('simplified-view',
+            () => document.getElementById('simplified-view-toggle').click(),
+            () => Boolean(document.getElementById('simplified-view-toggle')));
+        
+        KeyboardShortcuts.register('switch-scanning', () => this.setSwitchScanning({ enabled: !this.switchScanning.enabled }));
+        
+        // Escape closes open menus
         document.addEventListener('keydown', (e) => {
             // Skip if inside an input or textarea
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+            if (e.key !== 'Escape' || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
                 return;
             }
             
-            // Handle keyboard shortcuts
-            switch (e.key) {
-                // Escape key for closing modals or dropdowns
-                case 'Escape':
-                    // Close any open dropdowns
-                    const openDropdowns = document.querySelectorAll('.dropdown-menu.show');
-                    if (openDropdowns.length > 0) {
-                        e.preventDefault();
-                        openDropdowns.forEach(dropdown => {
-                            const dropdownToggle = document.querySelector(`[data-bs-toggle="dropdown"][aria-expanded="true"]`);
-                            if (dropdownToggle) {
-                                dropdownToggle.click();
-                            }
-                        });
-                    }
-                    break;
-                
-                // Accessibility shortcuts with Alt key
-                case 'a':
-                    if (e.altKey) {
-                        // Alt+A: Toggle accessibility menu
-                        e.preventDefault();
-                        const accessibilityDropdown = document.querySelector('#accessibilityDropdown');
-                        if (accessibilityDropdown) {
-                            accessibilityDropdown.click();
-                        }
-                    }
-                    break;
-                
-                case 'h':
-                    if (e.altKey) {
-                        // Alt+H: Navigate to home/index page
-                        e.preventDefault();
-                        window.location.href = 'index.html';
-                    }
-                    break;
-                
-                case 'i':
-                    if (e.altKey) {
-                        // Alt+I: Increase text size
-                        e.preventDefault();
-                        this.increaseTextSize();
-                    }
-                    break;
-                
-                case 'd':
-                    if (e.altKey) {
-                        // Alt+D: Decrease text size
-                        e.preventDefault();
-                        this.decreaseTextSize();
-                    }
-                    break;
-                
-                case 'c':
-                    if (e.altKey) {
-                        // Alt+C: Toggle high contrast theme
-                        e.preventDefault();
-                        this.setTheme(this.currentTheme === 'high-contrast' ? 'default' : 'high-contrast');
-                    }
-                    break;
-                
-                case 's':
-                    if (e.altKey && document.getElementById('simplified-view-toggle')) {
-                        // Alt+S: Toggle simplified view
-                        e.preventDefault();
-                        document.getElementById('simplified-view-toggle').click();
+            // Close any open dropdowns
+            const openDropdowns = document.querySelectorAll('.dropdown-menu.show');
+            if (openDropdowns.length > 0) {
+                e.preventDefault();
+                openDropdowns.forEach(dropdown => {
+                    const dropdownToggle = document.querySelector(`[data-bs-toggle="dropdown"][aria-expanded="true"]`);
+                    if (dropdownToggle) {
+                        dropdownToggle.click();
                     }
-                    break;
+                });
             }
         });
         
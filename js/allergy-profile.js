@@ -0,0 +1,194 @@
+/**
+ * AccessiChef - Allergy Profile
+ * 
+ * This file manages the user's saved allergy profile: the allergens and other
+ * ingredients they avoid, and whether recipes containing them are flagged or
+ * hidden. Recipes are checked ingredient by ingredient so the offending lines
+ * can be pointed out.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Allergy Profile - Stores the profile and checks recipes against it
+ */
+const AllergyProfile = {
+    /**
+     * Storage key for the saved profile
+     */
+    storageKey: 'accessichef_allergy_profile',
+    
+    /**
+     * Allergen IDs to avoid, from DietaryClassifier.allergens
+     */
+    allergens: [],
+    
+    /**
+     * Other ingredients to avoid, as typed by the user
+     */
+    ingredients: [],
+    
+    /**
+     * How the recipe list treats recipes that conflict ('flag' or 'hide')
+     */
+    mode: 'flag',
+    
+    /**
+     * Load the saved profile
+     */
+    load: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            
+            if (saved) {
+                this.allergens = Array.isArray(saved.allergens) ? saved.allergens : [];
+                this.ingredients = Array.isArray(saved.ingredients) ? saved.ingredients : [];
+                this.mode = saved.mode === 'hide' ? 'hide' : 'flag';
+            }
+        } catch (error) {
+            console.warn('Could not load allergy profile:', error);
+        }
+    },
+    
+    /**
+     * Save the profile
+     */
+    save: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                allergens: this.allergens,
+                ingredients: this.ingredients,
+                mode: this.mode
+            }));
+        } catch (error) {
+            console.error('Error saving allergy profile:', error);
+        }
+    },
+    
+    /**
+     * Check whether the profile avoids anything
+     * @returns {boolean} True if no allergens or ingredients are listed
+     */
+    isEmpty: function() {
+        return this.allergens.length === 0 && this.ingredients.length === 0;
+    },
+    
+    /**
+     * Avoid or stop avoiding an allergen
+     * @param {string} allergenId - Allergen ID, such as 'nuts'
+     * @param {boolean} avoid - Whether to avoid it
+     */
+    setAllergen: function(allergenId, avoid) {
+        this.allergens = this.allergens.filter(id => id !== allergenId);
+        
+        if (avoid) {
+            this.allergens.push(allergenId);
+        }
+        
+        this.save();
+    },
+    
+    /**
+     * Add an ingredient to avoid
+     * @param {string} ingredient - Ingredient name, such as "mushroom"
+     * @returns {boolean} True if it was added, false if empty or already listed
+     */
+    addIngredient: function(ingredient) {
+        const name = String(ingredient || '').trim().toLowerCase();
+        
+        if (!name || this.ingredients.includes(name)) {
+            return false;
+        }
+        
+        this.ingredients.push(name);
+        this.save();
+        return true;
+    },
+    
+    /**
+     * Stop avoiding an ingredient
+     * @param {string} ingredient - Ingredient name as listed
+     */
+    removeIngredient: function(ingredient) {
+        this.ingredients = this.ingredients.filter(name => name !== ingredient);
+        this.save();
+    },
+    
+    /**
+     * Set how conflicting recipes are shown on the recipe list
+     * @param {string} mode - 'flag' or 'hide'
+     */
+    setMode: function(mode) {
+        this.mode = mode === 'hide' ? 'hide' : 'flag';
+        this.save();
+    },
+    
+    /**
+     * Find what in the profile an ingredient conflicts with
+     * Avoided ingredients match whole words, with or without a plural ending,
+     * so "egg" matches "large eggs" but not "eggplant".
+     * @param {string} name - Ingredient name as written in the recipe
+     * @returns {Array<string>} Reasons, such as ["nuts", "walnut"], or an empty array
+     */
+    getIngredientReasons: function(name) {
+        const groups = DietaryClassifier.getIngredientGroups(name);
+        const reasons = DietaryClassifier.allergens
+            .filter(allergen => this.allergens.includes(allergen.id) && groups.includes(allergen.id))
+            .map(allergen => allergen.label.toLowerCase());
+        
+        this.ingredients.forEach(avoided => {
+            const escaped = avoided.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+            if (new RegExp(`(?<![a-z])${escaped}(?:e?s)?(?![a-z])`, 'i').test(name)) {
+                reasons.push(avoided);
+            }
+        });
+        
+        return reasons;
+    },
+    
+    /**
+     * Find the ingredients in a recipe that conflict with the profile
+     * @param {Object} recipe - Recipe object
+     * @returns {Array} Conflicts as { index, name, reasons }, in ingredient order
+     */
+    getConflicts: function(recipe) {
+        if (this.isEmpty()) {
+            return [];
+        }
+        
+        return recipe.ingredients
+            .map((ingredient, index) => ({
+                index: index,
+                name: ingredient.name,
+                reasons: this.getIngredientReasons(ingredient.name)
+            }))
+            .filter(conflict => conflict.reasons.length > 0);
+    },
+    
+    /**
+     * Describe a recipe's conflicts in one sentence
+     * @param {Array} conflicts - Conflicts from getConflicts()
+     * @returns {string} Description, such as "Contains nuts (chopped walnuts)"
+     */
+    describeConflicts: function(conflicts) {
+        const byReason = {};
+        
+        conflicts.forEach(conflict => {
+            conflict.reasons.forEach(reason => {
+                if (!byReason[reason]) {
+                    byReason[reason] = [];
+                }
+                byReason[reason].push(conflict.name);
+            });
+        });
+        
+        return 'Contains ' + Object.entries(byReason)
+            .map(([reason, names]) => `${reason} (${names.join('; ')})`)
+            .join(', ');
+    }
+};
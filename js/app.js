@@ -26,6 +26,78 @@ const AccessiChef = {
      */
     currentRecipe: null,
     
+    /**
+     * How ingredient amounts are measured ('recipe', 'weight' or 'volume')
+     */
+    measureBy: 'recipe',
+    
+    /**
+     * Measurement system shown on the recipe page ('metric' or 'imperial')
+     */
+    unitSystem: 'metric',
+    
+    /**
+     * Servings the ingredients list is currently scaled to
+     */
+    currentServings: 0,
+    
+    /**
+     * Recipes available on the meal planner, keyed by ID
+     */
+    plannerRecipes: {},
+    
+    /**
+     * Facet options offered on the recipe list, from RecipeFilters.getBounds()
+     */
+    filterBounds: null,
+    
+    /**
+     * Recipe cards added to the recipe list per page
+     */
+    recipesPerPage: 12,
+    
+    /**
+     * Recipes in the current recipe list, with the matched search terms and
+     * allergy conflicts for each, and how many of them have cards so far
+     */
+    listedRecipes: [],
+    listedTerms: {},
+    listedConflicts: {},
+    listedCount: 0,
+    
+    /**
+     * Number of recipes in the current list hidden by the allergy profile
+     */
+    hiddenCount: 0,
+    
+    /**
+     * Whether the recipe list shows every recipe, unsearched and unfiltered,
+     * before all of them are loaded; more are then read from the data source
+     * a page at a time as more cards are asked for
+     */
+    browsing: false,
+    
+    /**
+     * Number of loaded recipes already added to the list while browsing
+     */
+    browsedCount: 0,
+    
+    /**
+     * Counter raised each time the recipe list is redrawn, so a page that
+     * arrives for an earlier list is ignored
+     */
+    listGeneration: 0,
+    
+    /**
+     * Whether the next page of recipes is being read for the recipe list
+     */
+    loadingMore: false,
+    
+    /**
+     * Recipe read on the import page, waiting to be checked and saved
+     */
+    importDraft: null,
+    
     /**
      * Initialize the application
      */
@@ -36,6 +108,14 @@ const AccessiChef = {
         // Initialize accessibility features
         AccessibilityFeatures.init();
         
+        // Work offline, and show recipe data refreshed in the background
+        OfflineSupport.init();
+        OfflineSupport.addListener(() => this.refreshRecipes());
+        
+        // Bring back timers saved before a reload or on another page
+        RecipeTimer.restoreTimers();
+        RecipeTimer.registerShortcuts();
+        
         // Initialize page-specific functionality
         this.initPageSpecific();
         
@@ -55,6 +135,14 @@ const AccessiChef = {
             this.currentPage = 'recipe-detail';
         } else if (path.includes('about.html')) {
             this.currentPage = 'about';
+        } else if (path.includes('shopping-list.html')) {
+            this.currentPage = 'shopping-list';
+        } else if (path.includes('meal-planner.html')) {
+            this.currentPage = 'meal-planner';
+        } else if (path.includes('allergy-profile.html')) {
+            this.currentPage = 'allergy-profile';
+        } else if (path.includes('import-recipes.html')) {
+            this.currentPage = 'import-recipes';
         } else {
             this.currentPage = 'index';
         }
@@ -72,7 +160,19 @@ const AccessiChef = {
                 this.initRecipeDetailPage();
                 break;
             case 'about':
-                // No special initialization needed for about page
+                this.initSettingsTransfer();
+                break;
+            case 'shopping-list':
+                this.initShoppingListPage();
+                break;
+            case 'meal-planner':
+                this.initMealPlannerPage();
+                break;
+            case 'allergy-profile':
+                this.initAllergyProfilePage();
+                break;
+            case 'import-recipes':
+                this.initImportPage();
                 break;
             default:
                 console.log('Unknown page type');
@@ -83,25 +183,39 @@ const AccessiChef = {
      * Initialize the index (recipe list) page
      */
     initIndexPage: function() {
-        // Load and display recipes
-        RecipeManager.loadAllRecipes()
-            .then(recipes => {
-                this.displayRecipes(recipes);
-                document.getElementById('loading-message').classList.add('d-none');
-            })
+        // Recipes are checked against the saved allergy profile as they are shown
+        AllergyProfile.load();
+        
+        // Load and display the first page of recipes; the rest are read as they are needed
+        const loadingMessage = document.getElementById('loading-message');
+        this.loadRecipeList()
             .catch(error => {
                 console.error('Error loading recipes:', error);
-                document.getElementById('loading-message').textContent = 'Error loading recipes. Please try again.';
+                if (loadingMessage) {
+                    loadingMessage.textContent = navigator.onLine ?
+                        'Error loading recipes. Please try again.' :
+                        'You are offline and the recipes have not been saved on this device yet. They will load once you are back online.';
+                }
             });
         
         // Set up search and filter functionality
         this.setupSearch();
+        
+        const loadMoreButton = document.getElementById('load-more-recipes');
+        if (loadMoreButton) {
+            loadMoreButton.addEventListener('click', () => {
+                this.showMoreRecipes(true);
+            });
+        }
     },
     
     /**
      * Initialize the recipe detail page
      */
     initRecipeDetailPage: function() {
+        AllergyProfile.load();
+        IngredientSubstitutions.load();
+        
         // Get recipe ID from URL
         const urlParams = new URLSearchParams(window.location.search);
         const recipeId = urlParams.get('id');
@@ -125,6 +239,12 @@ const AccessiChef = {
                 
                 // Initialize servings adjustment
                 this.initServingsAdjustment();
+                this.initAddToShoppingList();
+                this.initSubstitutions();
+                this.initExport();
+                
+                // Warn straight away if the recipe has anything the user avoids
+                this.showAllergyWarning(recipe);
             })
             .catch(error => {
                 console.error('Error loading recipe details:', error);
@@ -133,6 +253,69 @@ const AccessiChef = {
             });
     },
     
+    /**
+     * Read the first page of recipes, build the facet panel from it, restore
+     * any filters from the URL and show the matching recipes, which replaces
+     * the loading message. A search or filter loads the remaining pages first.
+     * @returns {Promise} Promise resolving once the first page is read
+     */
+    loadRecipeList: function() {
+        return RecipeManager.loadNextPage()
+            .then(() => {
+                this.showRecipeErrors();
+                this.filterBounds = RecipeFilters.getBounds(RecipeManager.getLoadedRecipes());
+                this.renderFilterPanel();
+                this.setFilterControls(RecipeFilters.fromQueryString(window.location.search));
+                this.performSearch(document.getElementById('recipe-search').value, document.getElementById('recipe-filter').value);
+            });
+    },
+    
+    /**
+     * Reload recipes after the service worker fetched newer recipe data
+     */
+    refreshRecipes: function() {
+        // Pages without recipes don't load RecipeManager
+        if (typeof RecipeManager === 'undefined') {
+            return;
+        }
+        
+        RecipeManager.invalidateCache();
+        
+        // The recipe list is redrawn with the same search and filters, which the URL holds
+        if (this.currentPage === 'index' && this.filterBounds) {
+            this.loadRecipeList()
+                .catch(error => {
+                    console.error('Error reloading recipes:', error);
+                });
+        }
+    },
+    
+    /**
+     * List recipes that were left out because their data is invalid
+     */
+    showRecipeErrors: function() {
+        const errorContainer = document.getElementById('recipe-errors');
+        const invalid = RecipeManager.invalidRecipes;
+        
+        if (!errorContainer || invalid.length === 0) {
+            return;
+        }
+        
+        errorContainer.innerHTML = `
+            <p><strong>${invalid.length} recipe${invalid.length !== 1 ? 's' : ''} could not be shown because of errors in the recipe data:</strong></p>
+            <ul class="mb-0"></ul>
+        `;
+        
+        const list = errorContainer.querySelector('ul');
+        invalid.forEach(entry => {
+            const li = document.createElement('li');
+            li.textContent = `${RecipeValidator.describeRecipe(entry)}: ${entry.errors.join('; ')}`;
+            list.appendChild(li);
+        });
+        
+        errorContainer.classList.remove('d-none');
+    },
+    
     /**
      * Set up search and filter functionality
      */
@@ -161,42 +344,245 @@ const AccessiChef = {
                 this.performSearch(searchInput.value, filterSelect.value);
             });
         }
+        
+        // Facets update the results as soon as they change
+        const filterPanel = document.getElementById('filter-panel');
+        if (filterPanel) {
+            filterPanel.addEventListener('change', () => {
+                this.performSearch(searchInput.value, filterSelect.value);
+            });
+            
+            // Follow the time slider while it is dragged
+            document.getElementById('filter-max-time').addEventListener('input', () => {
+                this.performSearch(searchInput.value, filterSelect.value);
+            });
+            
+            document.getElementById('clear-filters').addEventListener('click', () => {
+                const cleared = RecipeFilters.createState();
+                cleared.query = searchInput.value;
+                this.setFilterControls(cleared);
+                this.performSearch(searchInput.value, filterSelect.value);
+                this.announceToScreenReader('Filters cleared');
+            });
+        }
+    },
+    
+    /**
+     * Build the facet panel's options from the loaded recipes
+     */
+    renderFilterPanel: function() {
+        const bounds = this.filterBounds;
+        
+        const timeSlider = document.getElementById('filter-max-time');
+        timeSlider.min = RecipeFilters.timeStep;
+        timeSlider.max = bounds.maxTime;
+        timeSlider.step = RecipeFilters.timeStep;
+        timeSlider.value = bounds.maxTime;
+        
+        ['filter-min-servings', 'filter-max-servings'].forEach(id => {
+            const input = document.getElementById(id);
+            input.min = 1;
+            input.placeholder = id === 'filter-min-servings' ? bounds.minServings : bounds.maxServings;
+        });
+        
+        const renderCheckboxes = (containerId, name, values, getLabel) => {
+            const container = document.getElementById(containerId);
+            if (values.length === 0) {
+                return;
+            }
+            
+            container.innerHTML = '';
+            values.forEach(value => {
+                const id = `filter-${name}-${value.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+                const option = document.createElement('div');
+                option.className = 'form-check';
+                option.innerHTML = `
+                    <input class="form-check-input" type="checkbox" id="${id}" name="${name}">
+                    <label class="form-check-label" for="${id}">
+                        <span class="filter-label"></span>
+                        <span class="filter-count" data-facet="${name}"></span>
+                    </label>
+                `;
+                option.querySelector('input').value = value;
+                option.querySelector('.filter-label').textContent = getLabel(value);
+                option.querySelector('.filter-count').dataset.value = value;
+                container.appendChild(option);
+            });
+        };
+        
+        renderCheckboxes('filter-difficulty', 'difficulty', bounds.difficulties, value => value);
+        renderCheckboxes('filter-tags', 'tags', bounds.tags, value => DietaryClassifier.getTagLabel(value));
+        
+        // Remember the plain category names so counts can be added to them
+        document.querySelectorAll('#recipe-filter option').forEach(option => {
+            if (!option.dataset.label) {
+                option.dataset.label = option.textContent;
+            }
+        });
+    },
+    
+    /**
+     * Rebuild the facet panel if more recipes have loaded since it was built,
+     * keeping the chosen filters and the focused control
+     * @param {Array} recipes - Recipes loaded so far
+     * @param {Object} state - Current filter state
+     */
+    updateFilterBounds: function(recipes, state) {
+        if (!this.filterBounds || recipes.length === this.filterBounds.count) {
+            return;
+        }
+        
+        // The checkboxes are recreated, so move focus back to the one that had it
+        const focusedId = document.activeElement ? document.activeElement.id : '';
+        
+        this.filterBounds = RecipeFilters.getBounds(recipes);
+        this.renderFilterPanel();
+        this.setFilterControls(state);
+        
+        const focused = focusedId ? document.getElementById(focusedId) : null;
+        if (focused && focused !== document.activeElement) {
+            focused.focus();
+        }
+    },
+    
+    /**
+     * Set the search box, category and facet controls from a filter state
+     * @param {Object} state - Filter state from RecipeFilters
+     */
+    setFilterControls: function(state) {
+        document.getElementById('recipe-search').value = state.query;
+        
+        const filterSelect = document.getElementById('recipe-filter');
+        filterSelect.value = state.category;
+        if (filterSelect.value !== state.category) {
+            filterSelect.value = '';
+        }
+        
+        const timeSlider = document.getElementById('filter-max-time');
+        if (timeSlider) {
+            timeSlider.value = state.maxTime !== null ? state.maxTime : timeSlider.max;
+            document.getElementById('filter-min-servings').value = state.minServings !== null ? state.minServings : '';
+            document.getElementById('filter-max-servings').value = state.maxServings !== null ? state.maxServings : '';
+            
+            document.querySelectorAll('#filter-panel input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = (state[checkbox.name] || []).includes(checkbox.value);
+            });
+        }
+    },
+    
+    /**
+     * Read the current filter state from the search box, category and facet controls
+     * @returns {Object} Filter state for RecipeFilters
+     */
+    getFilterState: function() {
+        const state = RecipeFilters.createState();
+        state.query = document.getElementById('recipe-search').value.trim();
+        state.category = document.getElementById('recipe-filter').value;
+        
+        const timeSlider = document.getElementById('filter-max-time');
+        if (!timeSlider || !this.filterBounds) {
+            return state;
+        }
+        
+        // The slider at its maximum means any cooking time
+        const maxTime = parseInt(timeSlider.value, 10);
+        state.maxTime = maxTime < this.filterBounds.maxTime ? maxTime : null;
+        
+        const readServings = (id) => {
+            const value = parseInt(document.getElementById(id).value, 10);
+            return value > 0 ? value : null;
+        };
+        state.minServings = readServings('filter-min-servings');
+        state.maxServings = readServings('filter-max-servings');
+        
+        // Accept a range typed the wrong way round
+        if (state.minServings !== null && state.maxServings !== null && state.minServings > state.maxServings) {
+            [state.minServings, state.maxServings] = [state.maxServings, state.minServings];
+        }
+        
+        document.querySelectorAll('#filter-panel input[type="checkbox"]:checked').forEach(checkbox => {
+            state[checkbox.name].push(checkbox.value);
+        });
+        
+        return state;
+    },
+    
+    /**
+     * Show live counts next to each facet option and category
+     * @param {Object} counts - Counts from RecipeFilters.getCounts()
+     * @param {number} shown - Number of recipes shown
+     * @param {Object} state - Current filter state
+     */
+    updateFilterCounts: function(counts, shown, state) {
+        document.querySelectorAll('#filter-panel .filter-count').forEach(span => {
+            const count = counts[span.dataset.facet][span.dataset.value] || 0;
+            span.innerHTML = `(${count}<span class="sr-only"> recipe${count !== 1 ? 's' : ''}</span>)`;
+        });
+        
+        document.querySelectorAll('#recipe-filter option').forEach(option => {
+            if (option.value) {
+                option.textContent = `${option.dataset.label} (${counts.category[option.value] || 0})`;
+            }
+        });
+        
+        const timeSlider = document.getElementById('filter-max-time');
+        const timeText = state.maxTime !== null ? `Up to ${state.maxTime} mins` : 'Any';
+        document.getElementById('filter-max-time-value').textContent = timeText;
+        timeSlider.setAttribute('aria-valuetext', timeText);
+        
+        const total = this.filterBounds.count;
+        document.getElementById('filter-summary').textContent = `Showing ${shown} of ${total} recipe${total !== 1 ? 's' : ''}`;
     },
     
     /**
-     * Perform search based on query and category filter
+     * Perform search based on query, category filter and facets
      * @param {string} query - Search query
      * @param {string} category - Category filter
      */
     performSearch: function(query, category) {
-        // Normalize query
-        query = query.trim().toLowerCase();
+        const state = this.getFilterState();
+        state.query = query.trim();
+        state.category = category;
+        
+        // Without a search or filters the list can start before every recipe is loaded
+        if (RecipeFilters.toQueryString(state) === '' && RecipeManager.hasMorePages()) {
+            window.history.replaceState(null, '', window.location.pathname);
+            this.browseRecipes();
+            return;
+        }
+        
+        // Stop adding browsed recipes to the list the results will replace
+        this.browsing = false;
+        this.listGeneration++;
         
-        // Get all recipes
         RecipeManager.loadAllRecipes()
             .then(recipes => {
-                // Filter recipes based on search query and category
-                const filteredRecipes = recipes.filter(recipe => {
-                    // Category filter
-                    if (category && category !== 'All Categories' && recipe.category !== category) {
-                        return false;
-                    }
-                    
-                    // Search query filter
-                    if (query) {
-                        return recipe.title.toLowerCase().includes(query) || 
-                               recipe.description.toLowerCase().includes(query) ||
-                               recipe.ingredients.some(ing => ing.name.toLowerCase().includes(query));
-                    }
-                    
-                    return true;
-                });
+                this.updateFilterBounds(recipes, state);
+                return RecipeManager.rankRecipes(query);
+            })
+            .then(results => {
+                // Keep results passing the category and facet filters, in relevance order
+                const filteredResults = results.filter(result => RecipeFilters.matches(result.recipe, state));
+                
+                this.showRecipeErrors();
                 
-                // Display filtered recipes
-                this.displayRecipes(filteredRecipes);
+                if (this.filterBounds && document.getElementById('filter-panel')) {
+                    const counts = RecipeFilters.getCounts(results.map(result => result.recipe), state, this.filterBounds);
+                    this.updateFilterCounts(counts, filteredResults.length, state);
+                }
+                
+                // Keep the filters in the URL so the view can be bookmarked
+                window.history.replaceState(null, '', window.location.pathname + RecipeFilters.toQueryString(state));
+                
+                // Display filtered recipes with the matched words highlighted
+                const matchedTerms = {};
+                filteredResults.forEach(result => {
+                    matchedTerms[result.recipe.id] = result.terms;
+                });
+                this.displayRecipes(filteredResults.map(result => result.recipe), matchedTerms);
                 
                 // Announce results to screen readers
-                const resultCount = filteredRecipes.length;
+                const resultCount = filteredResults.length;
                 const resultMessage = `Found ${resultCount} recipe${resultCount !== 1 ? 's' : ''}`;
                 this.announceToScreenReader(resultMessage);
             })
@@ -205,208 +591,1610 @@ const AccessiChef = {
             });
     },
     
+    /**
+     * List every recipe, unsearched and unfiltered, starting with those loaded
+     * so far; the facet counts wait until every recipe is loaded
+     */
+    browseRecipes: function() {
+        this.browsing = true;
+        this.displayRecipes([], {});
+        
+        if (document.getElementById('filter-panel')) {
+            document.querySelectorAll('#filter-panel .filter-count').forEach(span => {
+                span.textContent = '';
+            });
+            document.querySelectorAll('#recipe-filter option').forEach(option => {
+                if (option.value) {
+                    option.textContent = option.dataset.label;
+                }
+            });
+            
+            const total = RecipeManager.getExpectedTotal();
+            document.getElementById('filter-max-time-value').textContent = 'Any';
+            document.getElementById('filter-summary').textContent = `${total} recipe${total !== 1 ? 's' : ''}`;
+        }
+        
+        const resultCount = RecipeManager.getExpectedTotal() - this.hiddenCount;
+        this.announceToScreenReader(`Found ${resultCount} recipe${resultCount !== 1 ? 's' : ''}`);
+    },
+    
     /**
      * Display recipes in the recipe container
+     * While browsing, the loaded recipes are listed as well.
      * @param {Array} recipes - Array of recipe objects
+     * @param {Object} matchedTerms - Optional search terms to highlight, keyed by recipe ID
      */
-    displayRecipes: function(recipes) {
+    displayRecipes: function(recipes, matchedTerms) {
         const container = document.getElementById('recipe-container');
+        const loadMoreButton = document.getElementById('load-more-recipes');
         
         // Clear existing recipes
         container.innerHTML = '';
         
-        if (recipes.length === 0) {
-            container.innerHTML = '<div class="col-12"><p class="text-center">No recipes found. Try a different search term.</p></div>';
-            return;
+        this.listGeneration++;
+        this.loadingMore = false;
+        if (loadMoreButton) {
+            loadMoreButton.disabled = false;
         }
         
-        // Create recipe cards
+        this.listedRecipes = [];
+        this.listedTerms = matchedTerms || {};
+        this.listedConflicts = {};
+        this.listedCount = 0;
+        this.hiddenCount = 0;
+        this.browsedCount = 0;
+        this.addListedRecipes(recipes);
+        
+        // Add cards a page at a time; the rest follow with the Load More button
+        this.showMoreRecipes(false);
+    },
+    
+    /**
+     * Add recipes to the end of the current list, checking them against the
+     * allergy profile and leaving out conflicts if asked to
+     * @param {Array} recipes - Recipes to add
+     */
+    addListedRecipes: function(recipes) {
         recipes.forEach(recipe => {
-            const card = document.createElement('div');
-            card.className = 'col-md-6 col-lg-4 mb-4';
-            card.setAttribute('role', 'listitem');
-            
-            card.innerHTML = `
-                <div class="card recipe-card h-100">
-                    <img src="${recipe.image}" class="card-img-top" alt="${recipe.title}">
-                    <div class="card-body">
-                        <h3 class="card-title">${recipe.title}</h3>
-                        <p class="card-text">${recipe.description.substring(0, 100)}${recipe.description.length > 100 ? '...' : ''}</p>
-                        <div class="recipe-meta mb-3">
-                            <p><i class="fas fa-clock" aria-hidden="true"></i> ${recipe.time} mins</p>
-                            <p><i class="fas fa-signal" aria-hidden="true"></i> ${recipe.difficulty}</p>
-                        </div>
-                        <a href="recipe-detail.html?id=${recipe.id}" class="btn btn-primary">View Recipe</a>
-                    </div>
-                </div>
-            `;
+            const conflicts = AllergyProfile.getConflicts(recipe);
             
-            container.appendChild(card);
+            if (AllergyProfile.mode === 'hide' && conflicts.length > 0) {
+                this.hiddenCount++;
+            } else {
+                this.listedConflicts[recipe.id] = conflicts;
+                this.listedRecipes.push(recipe);
+            }
         });
+        
+        if (this.hiddenCount === 0) {
+            return;
+        }
+        
+        const container = document.getElementById('recipe-container');
+        let note = container.querySelector('.allergy-hidden-note');
+        if (!note) {
+            container.insertAdjacentHTML('afterbegin', '<div class="col-12"><p class="allergy-hidden-note"></p></div>');
+            note = container.querySelector('.allergy-hidden-note');
+        }
+        
+        note.innerHTML = `
+            <i class="fas fa-eye-slash" aria-hidden="true"></i>
+            ${this.hiddenCount} recipe${this.hiddenCount !== 1 ? 's' : ''} hidden by your <a href="allergy-profile.html">allergy profile</a>.
+        `;
     },
     
     /**
-     * Display recipe details on the recipe detail page
-     * @param {Object} recipe - Recipe object
+     * Add the next page of recipe cards to the recipe list
+     * While browsing, the next page of recipes is read from the data source
+     * first if fewer than a page of cards are left to show.
+     * @param {boolean} moveFocus - Whether to move focus to the first new card,
+     *     for when the user asked for more
      */
-    displayRecipeDetails: function(recipe) {
-        // Set page title
-        document.title = `${recipe.title} - AccessiChef`;
-        
-        // Update recipe header
-        document.getElementById('recipe-image').src = recipe.image;
-        document.getElementById('recipe-image').alt = recipe.title;
-        document.getElementById('recipe-title').textContent = recipe.title;
-        document.getElementById('recipe-time').textContent = `${recipe.time} mins`;
-        document.getElementById('recipe-servings').textContent = `${recipe.servings} servings`;
-        document.getElementById('recipe-difficulty').textContent = recipe.difficulty;
-        document.getElementById('recipe-description').textContent = recipe.description;
+    showMoreRecipes: function(moveFocus) {
+        const container = document.getElementById('recipe-container');
+        const paging = document.getElementById('recipe-paging');
         
-        // Set initial servings
-        const servingsInput = document.getElementById('servings-adjustment');
-        if (servingsInput) {
-            servingsInput.value = recipe.servings;
+        if (this.browsing) {
+            const loaded = RecipeManager.getLoadedRecipes();
+            this.addListedRecipes(loaded.slice(this.browsedCount));
+            this.browsedCount = loaded.length;
+            
+            if (RecipeManager.hasMorePages() && this.listedRecipes.length < this.listedCount + this.recipesPerPage) {
+                this.loadMoreRecipes(moveFocus);
+                return;
+            }
         }
         
-        // Update ingredients list
-        this.updateIngredientsList(recipe, recipe.servings);
+        const nextRecipes = this.listedRecipes.slice(this.listedCount, this.listedCount + this.recipesPerPage);
+        const cards = nextRecipes.map(recipe => this.createRecipeCard(recipe));
         
-        // Update instructions list
-        const instructionsList = document.getElementById('instructions-list');
-        instructionsList.innerHTML = '';
+        cards.forEach(card => container.appendChild(card));
+        this.listedCount += nextRecipes.length;
         
-        recipe.instructions.forEach((instruction, index) => {
-            const li = document.createElement('li');
-            li.textContent = instruction.text;
-            
-            // Add data attribute for timer if present
-            if (instruction.time) {
-                li.dataset.timerMinutes = instruction.time;
-                li.innerHTML += ` <button class="btn btn-sm btn-outline-secondary set-timer-btn" 
-                                        data-time="${instruction.time}" 
-                                        aria-label="Set ${instruction.time} minute timer">
-                                    <i class="fas fa-stopwatch" aria-hidden="true"></i> ${instruction.time}m
-                                </button>`;
-            }
-            
-            instructionsList.appendChild(li);
-        });
+        if (this.listedCount === 0) {
+            container.insertAdjacentHTML('beforeend', '<div class="col-12"><p class="text-center">No recipes found. Try a different search term or clear some filters.</p></div>');
+        }
         
-        // Update nutrition information
-        const nutritionList = document.getElementById('nutrition-list');
-        nutritionList.innerHTML = '';
+        // While browsing, the total includes recipes not loaded yet
+        const total = this.browsing ?
+            Math.max(RecipeManager.getExpectedTotal() - this.hiddenCount, this.listedRecipes.length) :
+            this.listedRecipes.length;
+        if (paging) {
+            document.getElementById('recipe-paging-status').textContent =
+                `Listed ${this.listedCount} of ${total} ${this.browsing ? '' : 'matching '}recipe${total !== 1 ? 's' : ''}`;
+            paging.classList.toggle('d-none', this.listedCount >= total);
+        }
         
-        for (const [key, value] of Object.entries(recipe.nutrition)) {
-            const div = document.createElement('div');
-            div.className = 'nutrition-item';
-            div.innerHTML = `
-                <div class="nutrition-value">${value}</div>
-                <div class="nutrition-label">${key}</div>
-            `;
-            
-            nutritionList.appendChild(div);
+        // Continue from the first new card, rather than leaving focus on the
+        // button, which moves down or disappears
+        if (moveFocus && cards.length > 0) {
+            cards[0].querySelector('a.btn').focus();
+            this.announceToScreenReader(`Showing ${this.listedCount} of ${total} recipes`);
+        }
+    },
+    
+    /**
+     * Read the next page of recipes from the data source while browsing, then
+     * add their cards
+     * @param {boolean} moveFocus - Whether to move focus to the first new card
+     */
+    loadMoreRecipes: function(moveFocus) {
+        if (this.loadingMore) {
+            return;
         }
         
-        // Initialize step-by-step mode
-        this.initStepByStepMode(recipe);
+        const paging = document.getElementById('recipe-paging');
+        const pagingStatus = document.getElementById('recipe-paging-status');
+        const loadMoreButton = document.getElementById('load-more-recipes');
+        const generation = this.listGeneration;
         
-        // Initialize measurement unit conversion
+        this.loadingMore = true;
+        if (paging) {
+            pagingStatus.textContent = 'Loading more recipes...';
+            loadMoreButton.disabled = true;
+            paging.classList.remove('d-none');
+        }
+        
+        RecipeManager.loadNextPage()
+            .then(result => {
+                // Leave a list that was redrawn meanwhile to its own paging
+                if (generation !== this.listGeneration) {
+                    return;
+                }
+                
+                this.loadingMore = false;
+                if (loadMoreButton) {
+                    loadMoreButton.disabled = false;
+                }
+                
+                this.showRecipeErrors();
+                
+                // Once every recipe is loaded the facets can show their counts
+                if (result.complete) {
+                    this.updateFacetsForAllRecipes();
+                }
+                
+                this.showMoreRecipes(moveFocus);
+            })
+            .catch(error => {
+                console.error('Error loading more recipes:', error);
+                
+                if (generation !== this.listGeneration) {
+                    return;
+                }
+                
+                this.loadingMore = false;
+                if (paging) {
+                    loadMoreButton.disabled = false;
+                    pagingStatus.textContent = navigator.onLine ?
+                        'Error loading more recipes. Please try again.' :
+                        'You are offline. More recipes will load once you are back online.';
+                }
+            });
+    },
+    
+    /**
+     * Rebuild the facet panel and show its counts once every recipe is
+     * loaded, for a list that isn't searched or filtered
+     */
+    updateFacetsForAllRecipes: function() {
+        if (!this.filterBounds || !document.getElementById('filter-panel')) {
+            return;
+        }
+        
+        const recipes = RecipeManager.getLoadedRecipes();
+        const state = this.getFilterState();
+        
+        this.updateFilterBounds(recipes, state);
+        this.updateFilterCounts(RecipeFilters.getCounts(recipes, state, this.filterBounds), recipes.length, state);
+    },
+    
+    /**
+     * Create the card for a recipe in the recipe list
+     * @param {Object} recipe - Recipe object
+     * @returns {HTMLElement} Card element
+     */
+    createRecipeCard: function(recipe) {
+        const card = document.createElement('div');
+        card.className = 'col-md-6 col-lg-4 mb-4';
+        card.setAttribute('role', 'listitem');
+        
+        const terms = this.listedTerms[recipe.id] || [];
+        const description = recipe.description.substring(0, 100) + (recipe.description.length > 100 ? '...' : '');
+        
+        // Show ingredients that matched, since they aren't otherwise on the card
+        const matchedIngredients = recipe.ingredients
+            .filter(ingredient => RecipeSearch.tokenize(ingredient.name).some(term => terms.includes(term)))
+            .slice(0, 3)
+            .map(ingredient => RecipeSearch.highlight(ingredient.name, terms));
+        
+        // Flag recipes with ingredients the user avoids, in words as well as styling
+        const recipeConflicts = this.listedConflicts[recipe.id] || [];
+        const allergyWarning = recipeConflicts.length > 0 ? `
+            <p class="allergy-warning">
+                <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+                <strong>Allergy warning:</strong> ${RecipeSearch.escapeHtml(AllergyProfile.describeConflicts(recipeConflicts))}
+            </p>` : '';
+        
+        card.innerHTML = `
+            <div class="card recipe-card h-100${recipeConflicts.length > 0 ? ' recipe-card-flagged' : ''}">
+                <div class="card-body">
+                    <h3 class="card-title">${RecipeSearch.highlight(recipe.title, terms)}</h3>
+                    <p class="card-text">${RecipeSearch.highlight(description, terms)}</p>
+                    ${allergyWarning}
+                    ${matchedIngredients.length > 0 ? `<p class="search-matches small">Ingredients: ${matchedIngredients.join(', ')}</p>` : ''}
+                    <div class="recipe-meta mb-3">
+                        <p><i class="fas fa-clock" aria-hidden="true"></i> ${recipe.time} mins</p>
+                        <p><i class="fas fa-signal" aria-hidden="true"></i> ${recipe.difficulty}</p>
+                        ${recipe.imported ? '<p><i class="fas fa-file-import" aria-hidden="true"></i> Imported</p>' : ''}
+                    </div>
+                    <div class="recipe-card-dietary"></div>
+                    <a class="btn btn-primary">View Recipe</a>
+                </div>
+            </div>
+        `;
+        
+        // Text from imported recipes is set as properties, never parsed as HTML
+        card.querySelector('a.btn').href = `recipe-detail.html?id=${encodeURIComponent(recipe.id)}`;
+        if (recipe.image) {
+            const image = document.createElement('img');
+            image.className = 'card-img-top';
+            image.src = recipe.image;
+            image.alt = recipe.title;
+            card.querySelector('.recipe-card').prepend(image);
+        }
+        
+        // Dietary and allergen badges, with their ingredients for screen readers
+        card.querySelector('.recipe-card-dietary').appendChild(DietaryClassifier.createBadges(recipe, false));
+        
+        // Each card is one group in switch scanning
+        card.querySelector('.recipe-card').dataset.scanRegion = recipe.title;
+        
+        return card;
+    },
+    
+    /**
+     * Display recipe details on the recipe detail page
+     * @param {Object} recipe - Recipe object
+     */
+    displayRecipeDetails: function(recipe) {
+        // Set page title
+        document.title = `${recipe.title} - AccessiChef`;
+        
+        // Update recipe header
+        document.getElementById('recipe-image').src = recipe.image || '';
+        document.getElementById('recipe-image').alt = recipe.title;
+        document.getElementById('recipe-image').classList.toggle('d-none', !recipe.image);
+        document.getElementById('recipe-title').textContent = recipe.title;
+        document.getElementById('recipe-time').textContent = `${recipe.time} mins`;
+        document.getElementById('recipe-servings').textContent = `${recipe.servings} servings`;
+        document.getElementById('recipe-difficulty').textContent = recipe.difficulty;
+        document.getElementById('recipe-description').textContent = recipe.description;
+        
+        // Show dietary and allergen tags with the ingredients behind each one
+        const dietaryInfo = document.getElementById('recipe-dietary');
+        if (dietaryInfo) {
+            dietaryInfo.innerHTML = '';
+            dietaryInfo.appendChild(DietaryClassifier.createBadges(recipe, true));
+        }
+        
+        // Start from the servings and measurements chosen last time
+        const servings = AccessibilityFeatures.getRecipeServings(recipe.id) || recipe.servings;
+        this.measureBy = AccessibilityFeatures.recipeView.measureBy;
+        this.showUnitSystem(AccessibilityFeatures.recipeView.unitSystem);
+        
+        const servingsInput = document.getElementById('servings-adjustment');
+        if (servingsInput) {
+            servingsInput.value = servings;
+        }
+        document.getElementById('recipe-servings').textContent = `${servings} servings`;
+        
+        // Update ingredients list
+        this.updateIngredientsList(recipe, servings);
+        
+        // Update instructions list
+        const instructionsList = document.getElementById('instructions-list');
+        instructionsList.innerHTML = '';
+        
+        recipe.instructions.forEach((instruction, index) => {
+            const li = document.createElement('li');
+            
+            // Measurements in the text follow the selected unit system
+            const text = document.createElement('span');
+            text.className = 'instruction-text';
+            text.dataset.step = index;
+            InstructionConverter.renderText(text, instruction.text, this.unitSystem);
+            li.appendChild(text);
+            
+            // Add data attribute for timer if present
+            if (instruction.time) {
+                li.dataset.timerMinutes = instruction.time;
+                li.insertAdjacentHTML('beforeend', ` <button class="btn btn-sm btn-outline-secondary set-timer-btn" 
+                                        data-time="${instruction.time}" 
+                                        data-step="${index}" 
+                                        aria-label="Set ${instruction.time} minute timer">
+                                    <i class="fas fa-stopwatch" aria-hidden="true"></i> ${instruction.time}m
+                                </button>`);
+            }
+            
+            instructionsList.appendChild(li);
+        });
+        
+        // Update nutrition information
+        const nutritionList = document.getElementById('nutrition-list');
+        nutritionList.innerHTML = '';
+        
+        for (const [key, value] of Object.entries(recipe.nutrition)) {
+            const div = document.createElement('div');
+            div.className = 'nutrition-item';
+            div.innerHTML = `
+                <div class="nutrition-value"></div>
+                <div class="nutrition-label"></div>
+            `;
+            div.querySelector('.nutrition-value').textContent = value;
+            div.querySelector('.nutrition-label').textContent = key;
+            
+            nutritionList.appendChild(div);
+        }
+        
+        // Initialize step-by-step mode
+        this.initStepByStepMode(recipe);
+        
+        // Initialize measurement unit conversion
         this.initMeasurementConversion();
+        
+        // Initialize read-aloud narration
+        this.initNarration(recipe);
+    },
+    
+    /**
+     * Update ingredients list with adjusted quantities
+     * @param {Object} recipe - Recipe object
+     * @param {number} servings - Number of servings
+     */
+    updateIngredientsList: function(recipe, servings) {
+        const ingredientsList = document.getElementById('ingredients-list');
+        ingredientsList.innerHTML = '';
+        
+        const servingsRatio = servings / recipe.servings;
+        let hasEstimates = false;
+        this.currentServings = servings;
+        
+        // Show any saved swaps in place of the original ingredients
+        IngredientSubstitutions.getIngredients(recipe).forEach((ingredient, index) => {
+            const li = document.createElement('li');
+            
+            // Switch between weight and volume if requested
+            const measured = this.measureIngredient(ingredient);
+            
+            // Calculate adjusted amounts in each system, moved to the most readable unit
+            const metric = IngredientScaler.scaleIngredient(measured, servingsRatio, 'metric');
+            const imperial = IngredientScaler.scaleIngredient(measured, servingsRatio, 'imperial');
+            
+            // Add data attributes for metric and imperial units
+            li.dataset.metricAmount = MeasurementConverter.formatAmount(metric.amount, metric.unit);
+            li.dataset.metricUnit = metric.unit;
+            li.dataset.imperialAmount = MeasurementConverter.formatAmount(imperial.amount, imperial.unit);
+            li.dataset.imperialUnit = imperial.unit;
+            
+            // Display in metric by default
+            li.innerHTML = `
+                <span class="ingredient-amount"></span>
+                <span class="ingredient-unit"></span>
+                <span class="ingredient-name"></span>
+            `;
+            li.querySelector('.ingredient-amount').textContent = li.dataset.metricAmount;
+            li.querySelector('.ingredient-unit').textContent = metric.unit;
+            li.querySelector('.ingredient-name').textContent = ingredient.name;
+            
+            // Name the ingredient a swap replaced and offer the swaps that apply
+            if (ingredient.originalName) {
+                const swapNote = document.createElement('span');
+                swapNote.className = 'swap-note';
+                swapNote.textContent = ` (instead of ${ingredient.originalName})`;
+                li.querySelector('.ingredient-name').after(swapNote);
+            }
+            this.addSwapControl(li, recipe.ingredients[index], index, ingredient.ruleId);
+            
+            // Flag amounts that depend on an estimated density
+            if (measured.estimated || ingredient.estimated) {
+                hasEstimates = true;
+                li.classList.add('estimated-measure');
+                li.insertAdjacentHTML('afterbegin', `
+                    <span class="estimate-flag" title="Converted using an estimated density">
+                        <span aria-hidden="true">≈</span><span class="sr-only">approximately</span>
+                    </span>
+                `);
+            }
+            
+            // Highlight ingredients the user avoids
+            const allergyReasons = AllergyProfile.getIngredientReasons(ingredient.name);
+            if (allergyReasons.length > 0) {
+                li.classList.add('allergy-conflict');
+                li.insertAdjacentHTML('afterbegin', `
+                    <span class="allergy-flag">
+                        <i class="fas fa-exclamation-triangle" aria-hidden="true"></i><span class="sr-only">Allergy warning:</span>
+                    </span>
+                `);
+                
+                const reason = document.createElement('span');
+                reason.className = 'allergy-reason';
+                reason.textContent = ` (avoid: ${allergyReasons.join(', ')})`;
+                li.appendChild(reason);
+            }
+            
+            ingredientsList.appendChild(li);
+        });
+        
+        // Explain the estimate flag when it is used
+        const estimateNote = document.getElementById('estimate-note');
+        if (estimateNote) {
+            estimateNote.classList.toggle('d-none', !hasEstimates);
+        }
+        
+        this.updateModifiedNote(recipe);
+        
+        // Update display based on current unit selection
+        const metricBtn = document.getElementById('metric-btn');
+        const imperialBtn = document.getElementById('imperial-btn');
+        
+        if (imperialBtn && imperialBtn.classList.contains('active')) {
+            this.convertToImperial();
+        } else if (metricBtn) {
+            this.convertToMetric();
+        }
+    },
+    
+    /**
+     * Add a swap control to an ingredient row if any substitutes apply
+     * @param {HTMLElement} li - Ingredient list item
+     * @param {Object} original - Ingredient as written in the recipe
+     * @param {number} index - Ingredient index in the recipe
+     * @param {string} selectedRuleId - ID of the swap in use, if any
+     */
+    addSwapControl: function(li, original, index, selectedRuleId) {
+        const rules = IngredientSubstitutions.getRules(original);
+        if (rules.length === 0) {
+            return;
+        }
+        
+        const select = document.createElement('select');
+        select.className = 'form-select form-select-sm d-inline-block w-auto ms-2 swap-select';
+        select.dataset.index = index;
+        select.setAttribute('aria-label', `Swap ${original.name}`);
+        
+        const keep = document.createElement('option');
+        keep.value = '';
+        keep.textContent = 'Original ingredient';
+        select.appendChild(keep);
+        
+        rules.forEach(rule => {
+            const option = document.createElement('option');
+            option.value = rule.id;
+            option.textContent = `Swap for ${rule.name} (${IngredientSubstitutions.describeRatio(rule)}; ${rule.note})`;
+            option.selected = rule.id === selectedRuleId;
+            select.appendChild(option);
+        });
+        
+        li.appendChild(select);
+    },
+    
+    /**
+     * Show or hide the note saying the recipe's ingredients have been swapped
+     * @param {Object} recipe - Recipe object
+     */
+    updateModifiedNote: function(recipe) {
+        const note = document.getElementById('recipe-modified-note');
+        if (!note) {
+            return;
+        }
+        
+        const count = IngredientSubstitutions.countSwaps(recipe);
+        note.classList.toggle('d-none', count === 0);
+        note.querySelector('.recipe-modified-text').textContent =
+            `Modified recipe: ${count} ingredient${count !== 1 ? 's' : ''} swapped. The instructions still name the original ingredients.`;
+    },
+    
+    /**
+     * Initialize the ingredient swap controls
+     */
+    initSubstitutions: function() {
+        const ingredientsList = document.getElementById('ingredients-list');
+        
+        ingredientsList.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('swap-select')) {
+                return;
+            }
+            
+            const index = parseInt(e.target.dataset.index, 10);
+            const original = this.currentRecipe.ingredients[index];
+            const rule = IngredientSubstitutions.getRule(e.target.value);
+            
+            IngredientSubstitutions.setSwap(this.currentRecipe.id, index, e.target.value);
+            this.updateIngredientsList(this.currentRecipe, this.currentServings);
+            
+            // The list is rebuilt, so return focus to the same row's control
+            ingredientsList.querySelector(`.swap-select[data-index="${index}"]`).focus();
+            this.announceToScreenReader(rule ?
+                `Swapped ${original.name} for ${rule.name}` :
+                `Using ${original.name} again`);
+        });
+        
+        const resetButton = document.getElementById('reset-swaps');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                IngredientSubstitutions.clearSwaps(this.currentRecipe.id);
+                this.updateIngredientsList(this.currentRecipe, this.currentServings);
+                this.announceToScreenReader('All swaps undone; showing the original ingredients');
+                document.getElementById('ingredients-list').focus();
+            });
+        }
+    },
+    
+    /**
+     * Convert an ingredient between volume and weight for the current measure-by setting
+     * @param {Object} ingredient - Ingredient object
+     * @returns {Object} Ingredient with converted amount and unit, plus an estimated flag
+     */
+    measureIngredient: function(ingredient) {
+        let converted = null;
+        
+        if (this.measureBy === 'weight' && MeasurementConverter.isVolumeUnit(ingredient.unit)) {
+            converted = MeasurementConverter.convertVolumeToWeight(ingredient.amount, ingredient.unit, ingredient.name);
+        } else if (this.measureBy === 'volume' && MeasurementConverter.isWeightUnit(ingredient.unit)) {
+            converted = MeasurementConverter.convertWeightToVolume(ingredient.amount, ingredient.unit, ingredient.name);
+        }
+        
+        // Keep the original measurement when there is no known density
+        if (!converted) {
+            return { name: ingredient.name, amount: ingredient.amount, unit: ingredient.unit, estimated: false };
+        }
+        
+        return { name: ingredient.name, amount: converted.amount, unit: converted.unit, estimated: converted.estimated };
+    },
+    
+    /**
+     * Initialize servings adjustment functionality
+     */
+    initServingsAdjustment: function() {
+        const servingsInput = document.getElementById('servings-adjustment');
+        const increaseBtn = document.getElementById('increase-servings');
+        const decreaseBtn = document.getElementById('decrease-servings');
+        
+        if (servingsInput) {
+            // Update on input change
+            servingsInput.addEventListener('change', () => {
+                const newServings = parseInt(servingsInput.value, 10);
+                if (newServings > 0) {
+                    this.updateIngredientsList(this.currentRecipe, newServings);
+                    AccessibilityFeatures.setRecipeServings(this.currentRecipe, newServings);
+                    document.getElementById('recipe-servings').textContent = `${newServings} servings`;
+                    
+                    // Announce to screen readers
+                    this.announceToScreenReader(`Servings adjusted to ${newServings}`);
+                }
+            });
+        }
+        
+        if (increaseBtn) {
+            // Increase servings button
+            increaseBtn.addEventListener('click', () => {
+                const currentServings = parseInt(servingsInput.value, 10);
+                const newServings = currentServings + 1;
+                servingsInput.value = newServings;
+                
+                // Trigger change event
+                const event = new Event('change');
+                servingsInput.dispatchEvent(event);
+            });
+        }
+        
+        if (decreaseBtn) {
+            // Decrease servings button
+            decreaseBtn.addEventListener('click', () => {
+                const currentServings = parseInt(servingsInput.value, 10);
+                if (currentServings > 1) {
+                    const newServings = currentServings - 1;
+                    servingsInput.value = newServings;
+                    
+                    // Trigger change event
+                    const event = new Event('change');
+                    servingsInput.dispatchEvent(event);
+                }
+            });
+        }
+    },
+    
+    /**
+     * Initialize the "Add to Shopping List" button on the recipe detail page
+     */
+    initAddToShoppingList: function() {
+        const addButton = document.getElementById('add-to-shopping-list');
+        if (!addButton) {
+            return;
+        }
+        
+        addButton.addEventListener('click', () => {
+            ShoppingList.load();
+            
+            // Use the servings the ingredients list is currently showing
+            // and any ingredient swaps made on this page
+            const recipe = IngredientSubstitutions.applyToRecipe(this.currentRecipe);
+            const wasListed = ShoppingList.addRecipe(recipe, this.currentServings);
+            const title = this.currentRecipe.title;
+            
+            this.announceToScreenReader(wasListed ?
+                `Shopping list updated for ${title} at ${this.currentServings} servings` :
+                `${title} ingredients for ${this.currentServings} servings added to shopping list`);
+        });
+    },
+    
+    /**
+     * Initialize the export options on the recipe detail page
+     */
+    initExport: function() {
+        const downloadButton = document.getElementById('export-download');
+        if (!downloadButton) {
+            return;
+        }
+        
+        const formatSelect = document.getElementById('export-format');
+        const dinnerInput = document.getElementById('export-dinner-time');
+        dinnerInput.value = this.getDefaultDinnerTime();
+        this.updateExportSummary();
+        
+        downloadButton.addEventListener('click', () => {
+            const file = this.createExport(formatSelect.value);
+            if (file) {
+                RecipeExport.downloadFile(file.content, file.fileName, file.mimeType);
+                this.announceToScreenReader(`${file.fileName} downloaded`);
+            }
+        });
+        
+        document.getElementById('export-copy').addEventListener('click', () => {
+            const file = this.createExport(formatSelect.value);
+            if (!file) {
+                return;
+            }
+            
+            if (!navigator.clipboard) {
+                this.showExportError('Copying isn\'t available in this browser. Use Download instead.');
+                return;
+            }
+            
+            navigator.clipboard.writeText(file.content)
+                .then(() => {
+                    this.announceToScreenReader(`Recipe copied as ${RecipeExport.formats[formatSelect.value].label}`);
+                })
+                .catch(() => {
+                    this.showExportError('The recipe couldn\'t be copied. Use Download instead.');
+                });
+        });
+        
+        document.getElementById('export-calendar').addEventListener('click', () => {
+            // datetime-local values are read as local time
+            const dinnerTime = new Date(dinnerInput.value);
+            const file = this.createExport('calendar', { dinnerTime: dinnerTime });
+            if (!file) {
+                dinnerInput.focus();
+                return;
+            }
+            
+            RecipeExport.downloadFile(file.content, file.fileName, file.mimeType);
+            
+            const steps = RecipeExport.scheduleSteps(this.getExportRecipe(), dinnerTime);
+            const startTime = steps[0].start.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+            this.announceToScreenReader(`Calendar file downloaded with ${steps.length} timed step${steps.length !== 1 ? 's' : ''}. ` +
+                `The first starts at ${startTime}.`);
+        });
+    },
+    
+    /**
+     * Get the recipe as the page shows it, with swaps, servings and units applied
+     * @returns {Object} Recipe prepared by RecipeExport
+     */
+    getExportRecipe: function() {
+        const recipe = IngredientSubstitutions.applyToRecipe(this.currentRecipe);
+        
+        recipe.ingredients = recipe.ingredients.map(ingredient => {
+            const measured = this.measureIngredient(ingredient);
+            return Object.assign({}, ingredient, measured, { estimated: measured.estimated || Boolean(ingredient.estimated) });
+        });
+        
+        return RecipeExport.prepareRecipe(recipe, this.currentServings, this.unitSystem);
+    },
+    
+    /**
+     * Export the current recipe, showing any error beside the export options
+     * @param {string} format - Export format
+     * @param {Object} options - Options for RecipeExport.exportRecipe()
+     * @returns {Object|null} Exported file, or null if it couldn't be made
+     */
+    createExport: function(format, options) {
+        document.getElementById('export-error').classList.add('d-none');
+        
+        try {
+            return RecipeExport.exportRecipe(this.getExportRecipe(), format,
+                Object.assign({ pageUrl: window.location.href }, options));
+        } catch (error) {
+            this.showExportError(error.message);
+            return null;
+        }
+    },
+    
+    /**
+     * Show why an export failed
+     * @param {string} message - Error message
+     */
+    showExportError: function(message) {
+        const errorBox = document.getElementById('export-error');
+        errorBox.textContent = message;
+        errorBox.classList.remove('d-none');
+        AccessibilityFeatures.announceImportant(message);
+    },
+    
+    /**
+     * Say which servings and units the exports will use
+     */
+    updateExportSummary: function() {
+        const summary = document.getElementById('export-summary');
+        if (summary && this.currentServings) {
+            summary.textContent = `Exports use ${this.currentServings} servings and ${this.unitSystem} measurements, as shown on this page.`;
+        }
+    },
+    
+    /**
+     * Get the next 6:30 PM as a datetime-local value
+     * @returns {string} Local date and time, such as "2024-10-18T18:30"
+     */
+    getDefaultDinnerTime: function() {
+        const dinner = new Date();
+        if (dinner.getHours() > 18 || (dinner.getHours() === 18 && dinner.getMinutes() >= 30)) {
+            dinner.setDate(dinner.getDate() + 1);
+        }
+        
+        const pad = value => String(value).padStart(2, '0');
+        return `${dinner.getFullYear()}-${pad(dinner.getMonth() + 1)}-${pad(dinner.getDate())}T18:30`;
+    },
+    
+    /**
+     * Initialize the shopping list page
+     */
+    initShoppingListPage: function() {
+        const listContainer = document.getElementById('shopping-list');
+        
+        ShoppingList.load();
+        this.renderShoppingList();
+        
+        // Check items off
+        listContainer.addEventListener('change', (e) => {
+            if (e.target.classList.contains('shopping-item-check')) {
+                ShoppingList.setChecked(e.target.dataset.key, e.target.checked);
+                e.target.closest('li').classList.toggle('checked', e.target.checked);
+                this.updateShoppingListProgress();
+                
+                const item = ShoppingList.items.find(existing => existing.key === e.target.dataset.key);
+                this.announceToScreenReader(`${item.name} ${e.target.checked ? 'checked off' : 'unchecked'}`);
+            }
+        });
+        
+        // Move between items with the arrow, Home and End keys
+        listContainer.addEventListener('keydown', (e) => {
+            if (!e.target.classList.contains('shopping-item-check')) {
+                return;
+            }
+            
+            const checkboxes = Array.from(listContainer.querySelectorAll('.shopping-item-check'));
+            const index = checkboxes.indexOf(e.target);
+            const targets = {
+                ArrowDown: Math.min(index + 1, checkboxes.length - 1),
+                ArrowUp: Math.max(index - 1, 0),
+                Home: 0,
+                End: checkboxes.length - 1
+            };
+            
+            if (e.key in targets) {
+                e.preventDefault();
+                checkboxes[targets[e.key]].focus();
+            }
+        });
+        
+        // Remove a recipe from the list
+        document.getElementById('shopping-list-recipes').addEventListener('click', (e) => {
+            const button = e.target.closest('.remove-recipe-btn');
+            if (button) {
+                ShoppingList.removeRecipe(button.dataset.recipeId);
+                this.renderShoppingList();
+                this.announceToScreenReader(`${button.dataset.title} removed from shopping list`);
+                
+                // Keep focus on the page rather than losing it with the removed button
+                document.getElementById('shopping-list-heading').focus();
+            }
+        });
+        
+        document.getElementById('clear-checked').addEventListener('click', () => {
+            const count = ShoppingList.items.filter(item => item.checked).length;
+            ShoppingList.clearChecked();
+            this.renderShoppingList();
+            this.announceToScreenReader(`${count} checked ${count === 1 ? 'item' : 'items'} removed`);
+        });
+        
+        document.getElementById('clear-list').addEventListener('click', () => {
+            if (window.confirm('Remove everything from your shopping list?')) {
+                ShoppingList.clear();
+                this.renderShoppingList();
+                this.announceToScreenReader('Shopping list cleared');
+            }
+        });
+        
+        document.getElementById('print-list').addEventListener('click', () => {
+            window.print();
+        });
+    },
+    
+    /**
+     * Display the shopping list grouped by aisle
+     */
+    renderShoppingList: function() {
+        const listContainer = document.getElementById('shopping-list');
+        const recipesList = document.getElementById('shopping-list-recipes');
+        const emptyMessage = document.getElementById('shopping-list-empty');
+        
+        listContainer.innerHTML = '';
+        recipesList.innerHTML = '';
+        emptyMessage.classList.toggle('d-none', ShoppingList.items.length > 0);
+        
+        // Aisle groups, each with a heading and a list of checkable items
+        ShoppingList.getItemsByAisle().forEach((group, groupIndex) => {
+            const section = document.createElement('section');
+            section.className = 'shopping-aisle mb-3';
+            section.setAttribute('aria-labelledby', `aisle-heading-${groupIndex}`);
+            
+            const heading = document.createElement('h2');
+            heading.className = 'h4';
+            heading.id = `aisle-heading-${groupIndex}`;
+            heading.textContent = group.aisle;
+            section.appendChild(heading);
+            
+            const list = document.createElement('ul');
+            list.className = 'shopping-items list-unstyled';
+            
+            group.items.forEach((item, itemIndex) => {
+                const checkboxId = `shopping-item-${groupIndex}-${itemIndex}`;
+                const li = document.createElement('li');
+                li.className = 'shopping-item form-check';
+                li.classList.toggle('checked', item.checked);
+                
+                li.innerHTML = `
+                    <input class="form-check-input shopping-item-check" type="checkbox" id="${checkboxId}">
+                    <label class="form-check-label" for="${checkboxId}">
+                        <span class="shopping-item-quantity"></span>
+                        <span class="shopping-item-name"></span>
+                        <span class="shopping-item-recipes text-muted small"></span>
+                    </label>
+                `;
+                
+                const checkbox = li.querySelector('input');
+                checkbox.dataset.key = item.key;
+                checkbox.checked = item.checked;
+                
+                li.querySelector('.shopping-item-quantity').textContent = ShoppingList.formatQuantity(item);
+                li.querySelector('.shopping-item-name').textContent = item.name;
+                li.querySelector('.shopping-item-recipes').textContent = `(for ${ShoppingList.getRecipeTitles(item).join(', ')})`;
+                
+                list.appendChild(li);
+            });
+            
+            section.appendChild(list);
+            listContainer.appendChild(section);
+        });
+        
+        // Recipes on the list, each removable
+        ShoppingList.recipes.forEach(recipe => {
+            const li = document.createElement('li');
+            li.className = 'd-flex justify-content-between align-items-center mb-2';
+            li.innerHTML = `
+                <a href="recipe-detail.html?id=${encodeURIComponent(recipe.id)}"></a>
+                <button class="btn btn-sm btn-outline-danger remove-recipe-btn">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                    <span class="sr-only"></span>
+                </button>
+            `;
+            li.querySelector('a').textContent = `${recipe.title} (${recipe.servings} servings)`;
+            
+            const removeButton = li.querySelector('button');
+            removeButton.dataset.recipeId = recipe.id;
+            removeButton.dataset.title = recipe.title;
+            removeButton.querySelector('.sr-only').textContent = `Remove ${recipe.title}`;
+            recipesList.appendChild(li);
+        });
+        
+        this.updateShoppingListProgress();
+    },
+    
+    /**
+     * Update the count of checked shopping list items
+     */
+    updateShoppingListProgress: function() {
+        const progress = document.getElementById('shopping-list-progress');
+        const total = ShoppingList.items.length;
+        const checked = ShoppingList.items.filter(item => item.checked).length;
+        
+        progress.textContent = total > 0 ? `${checked} of ${total} items checked off` : '';
+    },
+    
+    /**
+     * Initialize the meal planner page
+     */
+    initMealPlannerPage: function() {
+        const planContainer = document.getElementById('meal-plan');
+        
+        MealPlanner.load();
+        
+        RecipeManager.loadAllRecipes()
+            .then(recipes => {
+                this.plannerRecipes = {};
+                recipes.forEach(recipe => {
+                    this.plannerRecipes[recipe.id] = recipe;
+                });
+                
+                this.renderMealPlan(recipes);
+                document.getElementById('meal-plan-loading').classList.add('d-none');
+            })
+            .catch(error => {
+                console.error('Error loading recipes:', error);
+                document.getElementById('meal-plan-loading').textContent = 'Error loading recipes. Please try again.';
+            });
+        
+        // Assign recipes and servings to slots
+        planContainer.addEventListener('change', (e) => {
+            const slot = e.target.closest('.meal-slot');
+            if (!slot) {
+                return;
+            }
+            
+            const day = slot.dataset.day;
+            const meal = slot.dataset.meal;
+            const recipeSelect = slot.querySelector('.meal-slot-recipe');
+            const servingsInput = slot.querySelector('.meal-slot-servings');
+            const recipe = this.plannerRecipes[recipeSelect.value];
+            
+            // A newly chosen recipe starts at its own serving count
+            if (e.target === recipeSelect && recipe) {
+                servingsInput.value = recipe.servings;
+            }
+            servingsInput.disabled = !recipe;
+            
+            MealPlanner.setSlot(day, meal, recipeSelect.value, parseInt(servingsInput.value, 10) || 1);
+            this.updateDaySummary(day);
+            this.renderWeekIngredients();
+            
+            const summary = MealPlanner.getDaySummary(day, this.plannerRecipes);
+            this.announceToScreenReader(recipe ?
+                `${recipe.title} planned for ${day} ${meal}, ${servingsInput.value} servings. ${day} cooking time ${MealPlanner.formatTime(summary.time)}` :
+                `${day} ${meal} cleared`);
+        });
+        
+        document.getElementById('add-plan-to-shopping-list').addEventListener('click', () => {
+            const totals = MealPlanner.getRecipeTotals(this.plannerRecipes);
+            
+            if (totals.length === 0) {
+                this.announceToScreenReader('Plan some meals before adding them to the shopping list');
+                return;
+            }
+            
+            ShoppingList.load();
+            totals.forEach(total => ShoppingList.addRecipe(total.recipe, total.servings));
+            this.announceToScreenReader(`${totals.length} ${totals.length === 1 ? 'recipe' : 'recipes'} added to shopping list`);
+        });
+        
+        document.getElementById('clear-plan').addEventListener('click', () => {
+            if (window.confirm('Remove every meal from your plan?')) {
+                MealPlanner.clear();
+                this.renderMealPlan(Object.values(this.plannerRecipes));
+                this.announceToScreenReader('Meal plan cleared');
+                document.getElementById('meal-planner-heading').focus();
+            }
+        });
+        
+        document.getElementById('print-plan').addEventListener('click', () => {
+            window.print();
+        });
+    },
+    
+    /**
+     * Display a card for each day with a recipe and servings control per meal
+     * @param {Array} recipes - Recipes that can be planned
+     */
+    renderMealPlan: function(recipes) {
+        const planContainer = document.getElementById('meal-plan');
+        planContainer.innerHTML = '';
+        
+        // Recipe options grouped by category, shared by every slot
+        const categories = [...new Set(recipes.map(recipe => recipe.category))];
+        const optionsHtml = '<option value="">No meal planned</option>' + categories.map(category => {
+            const options = recipes
+                .filter(recipe => recipe.category === category)
+                .map(recipe => `<option value="${RecipeSearch.escapeHtml(recipe.id)}">${RecipeSearch.escapeHtml(recipe.title)}</option>`)
+                .join('');
+            return `<optgroup label="${RecipeSearch.escapeHtml(category.charAt(0).toUpperCase() + category.slice(1))}">${options}</optgroup>`;
+        }).join('');
+        
+        MealPlanner.days.forEach(day => {
+            const dayId = day.toLowerCase();
+            const col = document.createElement('div');
+            col.className = 'col-md-6 col-lg-4 mb-4';
+            
+            const slotsHtml = MealPlanner.meals.map(meal => {
+                const mealName = meal.charAt(0).toUpperCase() + meal.slice(1);
+                const slotId = `${dayId}-${meal}`;
+                
+                return `
+                    <div class="meal-slot mb-3" data-day="${day}" data-meal="${meal}">
+                        <label for="${slotId}-recipe" class="form-label">
+                            ${mealName}<span class="sr-only"> on ${day}</span>
+                        </label>
+                        <div class="input-group">
+                            <select id="${slotId}-recipe" class="form-select meal-slot-recipe">${optionsHtml}</select>
+                            <label for="${slotId}-servings" class="input-group-text">
+                                Servings<span class="sr-only"> for ${day} ${meal}</span>
+                            </label>
+                            <input type="number" id="${slotId}-servings" class="form-control meal-slot-servings"
+                                   min="1" max="20" value="1">
+                        </div>
+                    </div>
+                `;
+            }).join('');
+            
+            col.innerHTML = `
+                <section class="card h-100 meal-day" aria-labelledby="${dayId}-heading">
+                    <div class="card-header">
+                        <h2 class="h4 mb-0" id="${dayId}-heading">${day}</h2>
+                    </div>
+                    <div class="card-body">
+                        ${slotsHtml}
+                        <div class="day-summary" id="${dayId}-summary"></div>
+                    </div>
+                </section>
+            `;
+            
+            // Restore saved slots
+            MealPlanner.meals.forEach(meal => {
+                const slot = MealPlanner.getSlot(day, meal);
+                const recipeSelect = col.querySelector(`#${dayId}-${meal}-recipe`);
+                const servingsInput = col.querySelector(`#${dayId}-${meal}-servings`);
+                const planned = slot && this.plannerRecipes[slot.recipeId];
+                
+                recipeSelect.value = planned ? slot.recipeId : '';
+                servingsInput.value = planned ? slot.servings : 1;
+                servingsInput.disabled = !planned;
+            });
+            
+            planContainer.appendChild(col);
+            this.updateDaySummary(day);
+        });
+        
+        this.renderWeekIngredients();
+    },
+    
+    /**
+     * Update a day's cooking time and nutrition totals
+     * @param {string} day - Day name
+     */
+    updateDaySummary: function(day) {
+        const summaryElement = document.getElementById(`${day.toLowerCase()}-summary`);
+        const summary = MealPlanner.getDaySummary(day, this.plannerRecipes);
+        
+        if (summary.meals.length === 0) {
+            summaryElement.innerHTML = '<p class="text-muted mb-0">Nothing planned.</p>';
+            return;
+        }
+        
+        const nutritionHtml = Object.entries(summary.nutrition).map(([nutrient, total]) => {
+            return `<li><span class="nutrition-label">${RecipeSearch.escapeHtml(nutrient)}:</span> ${Math.round(total.value)}${total.unit === 'g' ? '' : ' '}${RecipeSearch.escapeHtml(total.unit)}</li>`;
+        }).join('');
+        
+        summaryElement.innerHTML = `
+            <p class="mb-1">
+                <i class="fas fa-clock" aria-hidden="true"></i>
+                Cooking time: ${MealPlanner.formatTime(summary.time)}
+            </p>
+            <h3 class="h6 mb-1">Nutrition per person</h3>
+            <ul class="list-unstyled small mb-0">${nutritionHtml}</ul>
+        `;
+    },
+    
+    /**
+     * Display the consolidated, scaled ingredient list for the planned week
+     */
+    renderWeekIngredients: function() {
+        const container = document.getElementById('week-ingredients');
+        const items = MealPlanner.getWeekIngredients(this.plannerRecipes);
+        
+        container.innerHTML = '';
+        document.getElementById('week-ingredients-empty').classList.toggle('d-none', items.length > 0);
+        
+        ShoppingList.getItemsByAisle(items).forEach(group => {
+            const heading = document.createElement('h3');
+            heading.className = 'h5 mt-3';
+            heading.textContent = group.aisle;
+            container.appendChild(heading);
+            
+            const list = document.createElement('ul');
+            list.className = 'week-ingredients-list';
+            
+            group.items.forEach(item => {
+                const li = document.createElement('li');
+                li.innerHTML = '<span class="shopping-item-quantity"></span> <span class="shopping-item-name"></span>';
+                li.querySelector('.shopping-item-quantity').textContent = ShoppingList.formatQuantity(item);
+                li.querySelector('.shopping-item-name').textContent = item.name;
+                list.appendChild(li);
+            });
+            
+            container.appendChild(list);
+        });
+    },
+    
+    /**
+     * Show and announce a warning when a recipe conflicts with the allergy profile
+     * @param {Object} recipe - Recipe object
+     */
+    showAllergyWarning: function(recipe) {
+        const warning = document.getElementById('recipe-allergy-warning');
+        const conflicts = AllergyProfile.getConflicts(IngredientSubstitutions.applyToRecipe(recipe));
+        
+        if (!warning || conflicts.length === 0) {
+            return;
+        }
+        
+        const message = `Allergy warning: ${AllergyProfile.describeConflicts(conflicts)}.`;
+        warning.querySelector('.allergy-warning-text').textContent = message;
+        warning.classList.remove('d-none');
+        
+        AccessibilityFeatures.announceImportant(`${message} The ingredients are highlighted in the list.`);
+    },
+    
+    /**
+     * Initialize the allergy profile page
+     */
+    initAllergyProfilePage: function() {
+        AllergyProfile.load();
+        this.renderAllergyProfile();
+        
+        // Allergen checkboxes
+        document.getElementById('allergy-allergens').addEventListener('change', (e) => {
+            if (e.target.type === 'checkbox') {
+                AllergyProfile.setAllergen(e.target.value, e.target.checked);
+                this.announceToScreenReader(`${e.target.dataset.label} ${e.target.checked ? 'added to' : 'removed from'} your allergy profile`);
+            }
+        });
+        
+        // Add an ingredient to avoid
+        const ingredientInput = document.getElementById('allergy-ingredient-input');
+        document.getElementById('allergy-ingredient-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const name = ingredientInput.value.trim();
+            if (!name) {
+                return;
+            }
+            
+            if (AllergyProfile.addIngredient(name)) {
+                this.renderAllergyProfile();
+                this.announceToScreenReader(`${name} added to your allergy profile`);
+            } else {
+                this.announceToScreenReader(`${name} is already in your allergy profile`);
+            }
+            ingredientInput.value = '';
+        });
+        
+        // Remove an ingredient, returning focus to the input
+        document.getElementById('allergy-ingredients').addEventListener('click', (e) => {
+            const button = e.target.closest('.remove-ingredient-btn');
+            if (button) {
+                AllergyProfile.removeIngredient(button.dataset.ingredient);
+                this.renderAllergyProfile();
+                this.announceToScreenReader(`${button.dataset.ingredient} removed from your allergy profile`);
+                ingredientInput.focus();
+            }
+        });
+        
+        // Flag or hide conflicting recipes
+        document.querySelectorAll('input[name="allergy-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                AllergyProfile.setMode(radio.value);
+                this.announceToScreenReader(radio.value === 'hide' ?
+                    'Recipes containing these will be hidden' :
+                    'Recipes containing these will be shown with a warning');
+            });
+        });
+    },
+    
+    /**
+     * Display the saved allergy profile
+     */
+    renderAllergyProfile: function() {
+        const allergenContainer = document.getElementById('allergy-allergens');
+        allergenContainer.innerHTML = '';
+        
+        DietaryClassifier.allergens.forEach(allergen => {
+            const option = document.createElement('div');
+            option.className = 'form-check';
+            option.innerHTML = `
+                <input class="form-check-input" type="checkbox" id="allergy-${allergen.id}" value="${allergen.id}">
+                <label class="form-check-label" for="allergy-${allergen.id}">${allergen.label}</label>
+            `;
+            
+            const checkbox = option.querySelector('input');
+            checkbox.dataset.label = allergen.label;
+            checkbox.checked = AllergyProfile.allergens.includes(allergen.id);
+            allergenContainer.appendChild(option);
+        });
+        
+        const ingredientList = document.getElementById('allergy-ingredients');
+        ingredientList.innerHTML = '';
+        
+        if (AllergyProfile.ingredients.length === 0) {
+            ingredientList.innerHTML = '<li class="text-muted">No other ingredients added.</li>';
+        }
+        
+        AllergyProfile.ingredients.forEach(name => {
+            const li = document.createElement('li');
+            li.className = 'd-flex justify-content-between align-items-center mb-2';
+            li.innerHTML = `
+                <span class="allergy-ingredient-name"></span>
+                <button class="btn btn-sm btn-outline-danger remove-ingredient-btn">
+                    <i class="fas fa-times" aria-hidden="true"></i> Remove
+                </button>
+            `;
+            li.querySelector('.allergy-ingredient-name').textContent = name;
+            
+            const button = li.querySelector('.remove-ingredient-btn');
+            button.dataset.ingredient = name;
+            button.setAttribute('aria-label', `Remove ${name}`);
+            ingredientList.appendChild(li);
+        });
+        
+        document.getElementById(`allergy-mode-${AllergyProfile.mode}`).checked = true;
+    },
+    
+    /**
+     * Initialize saving and loading settings on the about page
+     */
+    initSettingsTransfer: function() {
+        const downloadButton = document.getElementById('settings-download');
+        if (!downloadButton) {
+            return;
+        }
+        
+        downloadButton.addEventListener('click', () => {
+            document.getElementById('settings-error').classList.add('d-none');
+            RecipeExport.downloadFile(AccessibilityFeatures.exportPreferences(), 'accessichef-settings.json', 'application/json');
+            this.announceToScreenReader('accessichef-settings.json downloaded');
+        });
+        
+        document.getElementById('settings-show-code').addEventListener('click', () => {
+            const code = AccessibilityFeatures.getShortCode();
+            document.getElementById('settings-code').textContent = code;
+            document.getElementById('settings-code-result').classList.remove('d-none');
+            
+            // Read the code a character at a time so it can be written down
+            this.announceToScreenReader(`Your short code is ${code.split('').join(' ')}`);
+        });
+        
+        const fileInput = document.getElementById('settings-file');
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) {
+                return;
+            }
+            
+            file.text()
+                .then(text => {
+                    let data;
+                    try {
+                        data = JSON.parse(text);
+                    } catch (error) {
+                        throw new Error('This isn\'t an AccessiChef settings file.');
+                    }
+                    this.loadSettings(AccessibilityFeatures.readPreferences(data), `Settings loaded from ${file.name}`);
+                })
+                .catch(error => {
+                    this.showSettingsError(error.message);
+                })
+                .then(() => {
+                    fileInput.value = '';
+                });
+        });
+        
+        document.getElementById('settings-code-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const codeInput = document.getElementById('settings-code-input');
+            
+            try {
+                this.loadSettings(AccessibilityFeatures.readShortCode(codeInput.value), 'Settings loaded from the short code');
+                codeInput.value = '';
+            } catch (error) {
+                this.showSettingsError(error.message);
+                codeInput.focus();
+            }
+        });
+    },
+    
+    /**
+     * Apply loaded settings and say so
+     * @param {Object} preferences - Complete preferences object
+     * @param {string} message - Message to announce
+     */
+    loadSettings: function(preferences, message) {
+        document.getElementById('settings-error').classList.add('d-none');
+        document.getElementById('settings-code-result').classList.add('d-none');
+        AccessibilityFeatures.importPreferences(preferences);
+        AccessibilityFeatures.announceToScreenReader(message);
+    },
+    
+    /**
+     * Show why settings couldn't be loaded
+     * @param {string} message - Error message
+     */
+    showSettingsError: function(message) {
+        const errorBox = document.getElementById('settings-error');
+        errorBox.textContent = message;
+        errorBox.classList.remove('d-none');
+        AccessibilityFeatures.announceImportant(message);
+    },
+    
+    /**
+     * Initialize the import recipes page
+     */
+    initImportPage: function() {
+        const textInput = document.getElementById('import-text');
+        
+        this.renderImportedRecipes();
+        
+        // Read a chosen file into the text box, where it can be checked
+        document.getElementById('import-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) {
+                return;
+            }
+            
+            file.text()
+                .then(text => {
+                    textInput.value = text;
+                    this.announceToScreenReader(`${file.name} opened. Choose Read Recipe to check it.`);
+                })
+                .catch(error => {
+                    this.showImportError('The file could not be opened: ' + error.message);
+                });
+        });
+        
+        document.getElementById('import-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            document.getElementById('import-error').classList.add('d-none');
+            
+            try {
+                const result = RecipeParser.parse(textInput.value);
+                this.importDraft = result.recipe;
+                this.showImportPreview(result);
+            } catch (error) {
+                this.showImportError(error.message);
+            }
+        });
+        
+        document.getElementById('import-save').addEventListener('click', () => {
+            this.saveImportedRecipe();
+        });
+        
+        document.getElementById('import-cancel').addEventListener('click', () => {
+            this.importDraft = null;
+            document.getElementById('import-preview').classList.add('d-none');
+            textInput.focus();
+        });
+        
+        // Remove an imported recipe, returning focus to the text box
+        document.getElementById('imported-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.remove-imported-btn');
+            if (button && window.confirm(`Remove "${button.dataset.title}" from your imported recipes?`)) {
+                ImportedRecipes.removeRecipe(button.dataset.recipeId);
+                RecipeManager.invalidateCache();
+                this.renderImportedRecipes();
+                this.announceToScreenReader(`${button.dataset.title} removed`);
+                textInput.focus();
+            }
+        });
     },
     
     /**
-     * Update ingredients list with adjusted quantities
-     * @param {Object} recipe - Recipe object
-     * @param {number} servings - Number of servings
+     * Show why a recipe couldn't be read, moving focus to the message
+     * @param {string} message - Error message
      */
-    updateIngredientsList: function(recipe, servings) {
-        const ingredientsList = document.getElementById('ingredients-list');
-        ingredientsList.innerHTML = '';
+    showImportError: function(message) {
+        const errorBox = document.getElementById('import-error');
+        errorBox.textContent = message;
+        errorBox.classList.remove('d-none');
+        errorBox.focus();
+    },
+    
+    /**
+     * Show a parsed recipe for checking before it is saved
+     * @param {Object} result - Result from RecipeParser.parse()
+     */
+    showImportPreview: function(result) {
+        const recipe = result.recipe;
         
-        const servingsRatio = servings / recipe.servings;
+        document.getElementById('import-title').value = recipe.title;
+        document.getElementById('import-category').value = recipe.category;
+        document.getElementById('import-servings').value = recipe.servings;
+        document.getElementById('import-time').value = recipe.time;
+        document.getElementById('import-difficulty').value = recipe.difficulty;
+        
+        // Anything guessed is listed first, so it gets checked
+        const warningBox = document.getElementById('import-warnings');
+        warningBox.innerHTML = '';
+        if (result.warnings.length > 0) {
+            warningBox.innerHTML = '<p class="mb-1"><strong>Please check:</strong></p><ul class="mb-0"></ul>';
+            result.warnings.forEach(warning => {
+                const li = document.createElement('li');
+                li.textContent = warning;
+                warningBox.querySelector('ul').appendChild(li);
+            });
+        }
+        warningBox.classList.toggle('d-none', result.warnings.length === 0);
         
+        const ingredientRows = document.getElementById('import-ingredients');
+        ingredientRows.innerHTML = '';
         recipe.ingredients.forEach(ingredient => {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td></td><td></td>';
+            row.cells[0].textContent = ingredient.amount > 0 ?
+                MeasurementConverter.formatMeasurement(ingredient.amount, ingredient.unit) : 'None';
+            row.cells[1].textContent = ingredient.name;
+            ingredientRows.appendChild(row);
+        });
+        
+        const stepList = document.getElementById('import-steps');
+        stepList.innerHTML = '';
+        recipe.instructions.forEach(step => {
             const li = document.createElement('li');
-            
-            // Calculate adjusted amount
-            const adjustedAmount = ingredient.amount * servingsRatio;
-            
-            // Add data attributes for metric and imperial units
-            li.dataset.metricAmount = adjustedAmount;
-            li.dataset.metricUnit = ingredient.unit;
-            li.dataset.imperialAmount = MeasurementConverter.convertToImperial(adjustedAmount, ingredient.unit).amount;
-            li.dataset.imperialUnit = MeasurementConverter.convertToImperial(adjustedAmount, ingredient.unit).unit;
-            
-            // Display in metric by default
-            li.innerHTML = `
-                <span class="ingredient-amount">${adjustedAmount}</span>
-                <span class="ingredient-unit">${ingredient.unit}</span>
-                <span class="ingredient-name">${ingredient.name}</span>
-            `;
-            
-            ingredientsList.appendChild(li);
+            li.textContent = step.text;
+            if (step.time) {
+                li.insertAdjacentHTML('beforeend', ` <span class="text-muted">(timer: ${step.time} min)</span>`);
+            }
+            stepList.appendChild(li);
         });
         
-        // Update display based on current unit selection
-        const metricBtn = document.getElementById('metric-btn');
-        const imperialBtn = document.getElementById('imperial-btn');
+        document.getElementById('import-invalid').classList.add('d-none');
+        document.getElementById('import-preview').classList.remove('d-none');
+        document.getElementById('import-preview-heading').focus();
         
-        if (imperialBtn && imperialBtn.classList.contains('active')) {
-            this.convertToImperial();
-        } else if (metricBtn) {
-            this.convertToMetric();
-        }
+        const source = result.format === 'json-ld' ? 'recipe data' : 'text';
+        this.announceToScreenReader(`Recipe read from ${source}: ${recipe.ingredients.length} ingredients and ${recipe.instructions.length} steps. ` +
+            (result.warnings.length > 0 ? `${result.warnings.length} details need checking.` : 'Check the details, then save.'));
     },
     
     /**
-     * Initialize servings adjustment functionality
+     * Save the checked recipe with any corrections made in the preview
      */
-    initServingsAdjustment: function() {
-        const servingsInput = document.getElementById('servings-adjustment');
-        const increaseBtn = document.getElementById('increase-servings');
-        const decreaseBtn = document.getElementById('decrease-servings');
-        
-        if (servingsInput) {
-            // Update on input change
-            servingsInput.addEventListener('change', () => {
-                const newServings = parseInt(servingsInput.value, 10);
-                if (newServings > 0) {
-                    this.updateIngredientsList(this.currentRecipe, newServings);
-                    document.getElementById('recipe-servings').textContent = `${newServings} servings`;
-                    
-                    // Announce to screen readers
-                    this.announceToScreenReader(`Servings adjusted to ${newServings}`);
-                }
-            });
+    saveImportedRecipe: function() {
+        if (!this.importDraft) {
+            return;
         }
         
-        if (increaseBtn) {
-            // Increase servings button
-            increaseBtn.addEventListener('click', () => {
-                const currentServings = parseInt(servingsInput.value, 10);
-                const newServings = currentServings + 1;
-                servingsInput.value = newServings;
-                
-                // Trigger change event
-                const event = new Event('change');
-                servingsInput.dispatchEvent(event);
-            });
+        const recipe = Object.assign({}, this.importDraft, {
+            title: document.getElementById('import-title').value.trim(),
+            category: document.getElementById('import-category').value,
+            servings: parseInt(document.getElementById('import-servings').value, 10),
+            time: parseInt(document.getElementById('import-time').value, 10),
+            difficulty: document.getElementById('import-difficulty').value
+        });
+        
+        // Problems are shown above the save button and announced
+        const invalidBox = document.getElementById('import-invalid');
+        const showProblem = message => {
+            invalidBox.textContent = message;
+            invalidBox.classList.remove('d-none');
+            AccessibilityFeatures.announceImportant(message);
+        };
+        
+        // Check against the same schema as the built-in recipes
+        const errors = RecipeValidator.validateRecipe(Object.assign({ id: 'imported-recipe' }, recipe));
+        if (errors.length > 0) {
+            showProblem('The recipe can\'t be saved yet: ' + errors.join('; ') + '.');
+            return;
         }
         
-        if (decreaseBtn) {
-            // Decrease servings button
-            decreaseBtn.addEventListener('click', () => {
-                const currentServings = parseInt(servingsInput.value, 10);
-                if (currentServings > 1) {
-                    const newServings = currentServings - 1;
-                    servingsInput.value = newServings;
-                    
-                    // Trigger change event
-                    const event = new Event('change');
-                    servingsInput.dispatchEvent(event);
+        // The new ID must not repeat any recipe's, so check the full list first
+        RecipeManager.loadAllRecipes()
+            .catch(error => {
+                console.warn('Could not load recipes to check IDs:', error);
+                return [];
+            })
+            .then(recipes => {
+                const stored = ImportedRecipes.addRecipe(recipe, recipes.map(entry => entry.id));
+                
+                if (!stored) {
+                    showProblem('The recipe couldn\'t be saved because this device\'s storage is full or turned off. ' +
+                        'Remove an imported recipe or free some space, then try again.');
+                    return;
+                }
+                
+                RecipeManager.invalidateCache();
+                
+                this.importDraft = null;
+                document.getElementById('import-preview').classList.add('d-none');
+                document.getElementById('import-text').value = '';
+                this.renderImportedRecipes();
+                
+                const link = document.querySelector(`#imported-list a[href="recipe-detail.html?id=${stored.id}"]`);
+                if (link) {
+                    link.focus();
                 }
+                this.announceToScreenReader(`${stored.title} saved. It now appears with the other recipes.`);
+            })
+            .catch(error => {
+                console.error('Error saving imported recipe:', error);
+                showProblem('The recipe couldn\'t be saved. Please try again.');
             });
+    },
+    
+    /**
+     * List the imported recipes with links and remove buttons
+     */
+    renderImportedRecipes: function() {
+        const list = document.getElementById('imported-list');
+        
+        ImportedRecipes.load();
+        list.innerHTML = '';
+        
+        if (ImportedRecipes.recipes.length === 0) {
+            list.innerHTML = '<li class="text-muted">No imported recipes yet.</li>';
+            return;
         }
+        
+        ImportedRecipes.recipes.forEach(recipe => {
+            const li = document.createElement('li');
+            li.className = 'imported-recipe d-flex justify-content-between align-items-center mb-2';
+            li.innerHTML = `
+                <span>
+                    <a></a>
+                    <span class="small text-muted"></span>
+                </span>
+                <button type="button" class="btn btn-sm btn-outline-danger remove-imported-btn">
+                    <i class="fas fa-trash" aria-hidden="true"></i> Remove
+                </button>
+            `;
+            li.querySelector('a').href = `recipe-detail.html?id=${encodeURIComponent(recipe.id)}`;
+            li.querySelector('a').textContent = recipe.title;
+            li.querySelector('.text-muted').textContent = `${recipe.category}, ${recipe.time} mins`;
+            
+            const button = li.querySelector('.remove-imported-btn');
+            button.dataset.recipeId = recipe.id;
+            button.dataset.title = recipe.title;
+            button.setAttribute('aria-label', `Remove ${recipe.title}`);
+            
+            list.appendChild(li);
+        });
     },
     
     /**
@@ -431,10 +2219,43 @@ const AccessiChef = {
         // Initialize current step
         let currentStep = 0;
         
+        // Update timer toggle and display for the current step's timer
+        const updateTimerControls = (changedTimer) => {
+            const stepTimer = RecipeTimer.getTimerForStep(currentStep, recipe.id);
+            
+            // Show a just-finished timer until the step gets a new one
+            RecipeTimer.updateTimerDisplay(timerDisplay, stepTimer || changedTimer || null);
+            
+            if (!recipe.instructions[currentStep].time) {
+                timerToggle.disabled = true;
+                timerToggle.innerHTML = `<i class="fas fa-stopwatch" aria-hidden="true"></i> No Timer`;
+                return;
+            }
+            
+            timerToggle.disabled = false;
+            timerToggle.dataset.time = recipe.instructions[currentStep].time;
+            
+            if (stepTimer && stepTimer.state === 'running') {
+                timerToggle.innerHTML = `<i class="fas fa-pause" aria-hidden="true"></i> Pause Timer`;
+            } else if (stepTimer && stepTimer.state === 'paused') {
+                timerToggle.innerHTML = `<i class="fas fa-play" aria-hidden="true"></i> Resume Timer`;
+            } else {
+                timerToggle.innerHTML = `<i class="fas fa-stopwatch" aria-hidden="true"></i> Start ${recipe.instructions[currentStep].time}m Timer`;
+            }
+        };
+        
+        // Keep step controls in sync with timers changed from the tray or elsewhere
+        RecipeTimer.addListener(timer => {
+            if (timer.recipeId === recipe.id && timer.step === currentStep) {
+                updateTimerControls(timer.state === 'done' ? timer : null);
+            }
+        });
+        
         // Update step display
         const updateStepDisplay = () => {
             currentStepNumber.textContent = currentStep + 1;
-            currentStepText.textContent = recipe.instructions[currentStep].text;
+            currentStepText.dataset.step = currentStep;
+            InstructionConverter.renderText(currentStepText, recipe.instructions[currentStep].text, this.unitSystem);
             
             // Enable/disable navigation buttons
             prevStepBtn.disabled = currentStep === 0;
@@ -442,17 +2263,15 @@ const AccessiChef = {
             nextStepBtn.textContent = currentStep === recipe.instructions.length - 1 ? 'Finish' : 'Next';
             
             // Handle timer if present for this step
-            if (recipe.instructions[currentStep].time) {
-                timerToggle.disabled = false;
-                timerToggle.dataset.time = recipe.instructions[currentStep].time;
-                timerToggle.innerHTML = `<i class="fas fa-stopwatch" aria-hidden="true"></i> Start ${recipe.instructions[currentStep].time}m Timer`;
-            } else {
-                timerToggle.disabled = true;
-                timerToggle.innerHTML = `<i class="fas fa-stopwatch" aria-hidden="true"></i> No Timer`;
-            }
+            updateTimerControls();
             
             // Announce step to screen readers
-            this.announceToScreenReader(`Step ${currentStep + 1} of ${recipe.instructions.length}: ${recipe.instructions[currentStep].text}`);
+            this.announceToScreenReader(`Step ${currentStep + 1} of ${recipe.instructions.length}: ${this.getStepText(currentStep)}`);
+            
+            // Read the step aloud if the user has opted in
+            if (AccessibilityFeatures.autoReadSteps) {
+                Narrator.readStep(currentStep + 1, recipe.instructions.length, this.getStepText(currentStep));
+            }
         };
         
         // Toggle between step-by-step and all steps views
@@ -465,9 +2284,6 @@ const AccessiChef = {
                 stepByStepView.classList.add('d-none');
                 stepByStepToggle.innerHTML = '<i class="fas fa-list-ol" aria-hidden="true"></i> Step-by-Step Mode';
                 
-                // Stop any active timer
-                RecipeTimer.stopTimer();
-                
                 // Announce mode change to screen readers
                 this.announceToScreenReader('Switched to all steps view');
             } else {
@@ -509,20 +2325,236 @@ const AccessiChef = {
             }
         });
         
+        // Read current step aloud
+        const readStepBtn = document.getElementById('read-step');
+        if (readStepBtn) {
+            readStepBtn.addEventListener('click', () => {
+                Narrator.readStep(currentStep + 1, recipe.instructions.length, this.getStepText(currentStep));
+            });
+        }
+        
         // Timer toggle button
         timerToggle.addEventListener('click', () => {
-            if (RecipeTimer.isRunning()) {
-                RecipeTimer.stopTimer();
-                timerToggle.innerHTML = `<i class="fas fa-stopwatch" aria-hidden="true"></i> Start ${timerToggle.dataset.time}m Timer`;
+            const stepTimer = RecipeTimer.getTimerForStep(currentStep, recipe.id);
+            
+            if (!stepTimer) {
+                this.startStepTimer(recipe, currentStep);
+            } else if (stepTimer.state === 'running') {
+                RecipeTimer.pauseTimer(stepTimer.id);
+                this.announceToScreenReader(`${stepTimer.label} timer paused`);
             } else {
-                const minutes = parseInt(timerToggle.dataset.time, 10);
-                RecipeTimer.startTimer(minutes * 60, timerDisplay, () => {
-                    // Timer completion callback
-                    this.announceToScreenReader('Timer complete!');
-                    timerToggle.innerHTML = `<i class="fas fa-stopwatch" aria-hidden="true"></i> Start ${timerToggle.dataset.time}m Timer`;
-                });
-                timerToggle.innerHTML = `<i class="fas fa-stop" aria-hidden="true"></i> Stop Timer`;
+                RecipeTimer.resumeTimer(stepTimer.id);
+                this.announceToScreenReader(`${stepTimer.label} timer resumed`);
+            }
+        });
+        
+        // Voice commands and keyboard shortcuts trigger the same controls as pointer users
+        const commands = {
+            next: () => {
+                if (!stepByStepView.classList.contains('d-none')) {
+                    nextStepBtn.click();
+                } else {
+                    stepByStepToggle.click();
+                }
+            },
+            back: () => {
+                if (prevStepBtn.disabled) {
+                    this.announceToScreenReader('Already at the first step');
+                } else {
+                    prevStepBtn.click();
+                }
+            },
+            repeat: () => {
+                if (!stepByStepView.classList.contains('d-none')) {
+                    updateStepDisplay();
+                }
+            },
+            startTimer: () => {
+                const stepTimer = RecipeTimer.getTimerForStep(currentStep, recipe.id);
+                
+                if (timerToggle.disabled) {
+                    this.announceToScreenReader('This step has no timer');
+                } else if (!stepTimer || stepTimer.state === 'paused') {
+                    timerToggle.click();
+                }
+            },
+            pauseTimer: () => {
+                const stepTimer = RecipeTimer.getTimerForStep(currentStep, recipe.id);
+                
+                if (stepTimer && stepTimer.state === 'running') {
+                    timerToggle.click();
+                }
+            },
+            howMuch: (ingredientQuery) => {
+                this.announceToScreenReader(this.describeIngredientAmount(ingredientQuery));
+            }
+        };
+        
+        this.initVoiceControl(commands);
+        
+        const inStepMode = () => !stepByStepView.classList.contains('d-none');
+        
+        KeyboardShortcuts.register('step-next', commands.next);
+        
+        KeyboardShortcuts.register('step-previous', commands.back, inStepMode);
+        
+        KeyboardShortcuts.register('step-repeat', commands.repeat, inStepMode);
+        
+        KeyboardShortcuts.register('step-timer', () => {
+            if (timerToggle.disabled) {
+                this.announceToScreenReader('This step has no timer');
+            } else {
+                timerToggle.click();
+            }
+        }, inStepMode);
+    },
+    
+    /**
+     * Start a timer for a recipe step
+     * @param {Object} recipe - Recipe object
+     * @param {number} stepIndex - Zero-based step index
+     * @returns {string} ID of the new timer
+     */
+    startStepTimer: function(recipe, stepIndex) {
+        const minutes = recipe.instructions[stepIndex].time;
+        const timerId = RecipeTimer.startTimer(minutes * 60, {
+            label: `${recipe.title}, step ${stepIndex + 1}`,
+            step: stepIndex,
+            recipeId: recipe.id
+        });
+        
+        // Announce to screen readers
+        this.announceToScreenReader(`${minutes} minute timer started for step ${stepIndex + 1}`);
+        
+        return timerId;
+    },
+    
+    /**
+     * Initialize hands-free voice control and its toggle button
+     * @param {Object} actions - Voice command actions passed to VoiceControl
+     */
+    initVoiceControl: function(actions) {
+        const voiceToggle = document.getElementById('voice-control-toggle');
+        
+        VoiceControl.init(actions);
+        
+        if (!voiceToggle) {
+            return;
+        }
+        
+        // Hide the toggle when the browser has no speech recognition
+        if (!VoiceControl.isSupported()) {
+            voiceToggle.classList.add('d-none');
+            return;
+        }
+        
+        voiceToggle.addEventListener('click', () => {
+            const isListening = VoiceControl.toggle();
+            
+            voiceToggle.setAttribute('aria-pressed', isListening ? 'true' : 'false');
+            voiceToggle.innerHTML = isListening ?
+                '<i class="fas fa-microphone-slash" aria-hidden="true"></i> Stop Voice Control' :
+                '<i class="fas fa-microphone" aria-hidden="true"></i> Voice Control';
+            
+            // Announce to screen readers
+            this.announceToScreenReader(isListening ?
+                'Voice control on. Say next, back, repeat, start timer, pause timer, or how much followed by an ingredient.' :
+                'Voice control off');
+        });
+    },
+    
+    /**
+     * Describe the displayed amount of an ingredient matching a spoken query
+     * @param {string} query - Ingredient name or part of it
+     * @returns {string} Sentence describing the amount
+     */
+    describeIngredientAmount: function(query) {
+        // Compare word stems so "onions" matches "onion, diced"
+        const toStems = text => text.toLowerCase()
+            .split(/[^a-z]+/)
+            .filter(word => word.length > 1)
+            .map(word => word.replace(/(es|s)$/, ''));
+        
+        const queryStems = toStems(query || '');
+        
+        if (queryStems.length === 0) {
+            return 'Please say the name of an ingredient';
+        }
+        
+        const items = document.querySelectorAll('#ingredients-list li');
+        
+        for (const item of items) {
+            const name = item.querySelector('.ingredient-name').textContent.trim();
+            const nameStems = toStems(name);
+            
+            if (queryStems.every(stem => nameStems.includes(stem))) {
+                const amount = item.querySelector('.ingredient-amount').textContent.trim();
+                const unit = item.querySelector('.ingredient-unit').textContent.trim();
+                return `${amount} ${unit} ${name}`.replace(/\s+/g, ' ');
+            }
+        }
+        
+        return `No ingredient matching ${query} in this recipe`;
+    },
+    
+    /**
+     * Initialize read-aloud narration controls and settings
+     * @param {Object} recipe - Recipe object
+     */
+    initNarration: function(recipe) {
+        const narrationControls = document.getElementById('narration-controls');
+        const readStepBtn = document.getElementById('read-step');
+        
+        // Hide narration controls when speech synthesis is unavailable
+        if (!Narrator.isSupported()) {
+            if (narrationControls) {
+                narrationControls.classList.add('d-none');
             }
+            if (readStepBtn) {
+                readStepBtn.classList.add('d-none');
+            }
+            return;
+        }
+        
+        document.getElementById('read-summary').addEventListener('click', () => Narrator.readSummary(recipe));
+        document.getElementById('read-ingredients').addEventListener('click', () => Narrator.readIngredients());
+        document.getElementById('stop-reading').addEventListener('click', () => Narrator.stop());
+        
+        // Narration settings
+        const rateInput = document.getElementById('narration-rate');
+        const rateValue = document.getElementById('narration-rate-value');
+        const pitchInput = document.getElementById('narration-pitch');
+        const pitchValue = document.getElementById('narration-pitch-value');
+        const voiceSelect = document.getElementById('narration-voice');
+        const autoReadCheckbox = document.getElementById('narration-auto-read');
+        
+        rateInput.value = AccessibilityFeatures.narrationRate;
+        rateValue.textContent = AccessibilityFeatures.narrationRate;
+        pitchInput.value = AccessibilityFeatures.narrationPitch;
+        pitchValue.textContent = AccessibilityFeatures.narrationPitch;
+        autoReadCheckbox.checked = AccessibilityFeatures.autoReadSteps;
+        Narrator.populateVoiceSelect(voiceSelect);
+        
+        rateInput.addEventListener('change', () => {
+            AccessibilityFeatures.setNarrationSettings({ rate: parseFloat(rateInput.value) });
+            rateValue.textContent = AccessibilityFeatures.narrationRate;
+            Narrator.speak('This is the new speaking rate.');
+        });
+        
+        pitchInput.addEventListener('change', () => {
+            AccessibilityFeatures.setNarrationSettings({ pitch: parseFloat(pitchInput.value) });
+            pitchValue.textContent = AccessibilityFeatures.narrationPitch;
+            Narrator.speak('This is the new pitch.');
+        });
+        
+        voiceSelect.addEventListener('change', () => {
+            AccessibilityFeatures.setNarrationSettings({ voice: voiceSelect.value });
+            Narrator.speak('This is the new voice.');
+        });
+        
+        autoReadCheckbox.addEventListener('change', () => {
+            AccessibilityFeatures.setNarrationSettings({ autoRead: autoReadCheckbox.checked });
+            this.announceToScreenReader(autoReadCheckbox.checked ? 'Steps will be read aloud' : 'Steps will not be read aloud');
         });
     },
     
@@ -532,15 +2564,33 @@ const AccessiChef = {
     initMeasurementConversion: function() {
         const metricBtn = document.getElementById('metric-btn');
         const imperialBtn = document.getElementById('imperial-btn');
+        const measureBySelect = document.getElementById('measure-by');
+        
+        // Switch between measuring by weight, volume or as written
+        if (measureBySelect) {
+            measureBySelect.value = this.measureBy;
+            measureBySelect.addEventListener('change', () => {
+                this.measureBy = measureBySelect.value;
+                AccessibilityFeatures.setRecipeView({ measureBy: this.measureBy });
+                
+                const servings = parseInt(document.getElementById('servings-adjustment').value, 10) || this.currentRecipe.servings;
+                this.updateIngredientsList(this.currentRecipe, servings);
+                
+                // Announce to screen readers
+                const descriptions = {
+                    recipe: 'Ingredients shown as written in the recipe',
+                    weight: 'Ingredients shown by weight where possible',
+                    volume: 'Ingredients shown by volume where possible'
+                };
+                this.announceToScreenReader(descriptions[this.measureBy]);
+            });
+        }
         
         // Convert to metric units
         metricBtn.addEventListener('click', () => {
-            metricBtn.classList.add('active');
-            metricBtn.setAttribute('aria-pressed', 'true');
-            imperialBtn.classList.remove('active');
-            imperialBtn.setAttribute('aria-pressed', 'false');
-            
+            this.showUnitSystem('metric');
             this.convertToMetric();
+            AccessibilityFeatures.setRecipeView({ unitSystem: 'metric' });
             
             // Announce to screen readers
             this.announceToScreenReader('Measurements converted to metric units');
@@ -548,22 +2598,38 @@ const AccessiChef = {
         
         // Convert to imperial units
         imperialBtn.addEventListener('click', () => {
-            imperialBtn.classList.add('active');
-            imperialBtn.setAttribute('aria-pressed', 'true');
-            metricBtn.classList.remove('active');
-            metricBtn.setAttribute('aria-pressed', 'false');
-            
+            this.showUnitSystem('imperial');
             this.convertToImperial();
+            AccessibilityFeatures.setRecipeView({ unitSystem: 'imperial' });
             
             // Announce to screen readers
             this.announceToScreenReader('Measurements converted to imperial units');
         });
     },
     
+    /**
+     * Mark the chosen measurement system on the unit buttons
+     * @param {string} unitSystem - 'metric' or 'imperial'
+     */
+    showUnitSystem: function(unitSystem) {
+        const metricBtn = document.getElementById('metric-btn');
+        const imperialBtn = document.getElementById('imperial-btn');
+        if (!metricBtn || !imperialBtn) {
+            return;
+        }
+        
+        metricBtn.classList.toggle('active', unitSystem === 'metric');
+        metricBtn.setAttribute('aria-pressed', String(unitSystem === 'metric'));
+        imperialBtn.classList.toggle('active', unitSystem === 'imperial');
+        imperialBtn.setAttribute('aria-pressed', String(unitSystem === 'imperial'));
+    },
+    
     /**
      * Convert all ingredients to metric units
      */
     convertToMetric: function() {
+        this.unitSystem = 'metric';
+        
         const ingredients = document.querySelectorAll('#ingredients-list li');
         ingredients.forEach(ingredient => {
             const amountEl = ingredient.querySelector('.ingredient-amount');
@@ -572,12 +2638,17 @@ const AccessiChef = {
             amountEl.textContent = ingredient.dataset.metricAmount;
             unitEl.textContent = ingredient.dataset.metricUnit;
         });
+        
+        this.updateInstructionText();
+        this.updateExportSummary();
     },
     
     /**
      * Convert all ingredients to imperial units
      */
     convertToImperial: function() {
+        this.unitSystem = 'imperial';
+        
         const ingredients = document.querySelectorAll('#ingredients-list li');
         ingredients.forEach(ingredient => {
             const amountEl = ingredient.querySelector('.ingredient-amount');
@@ -586,6 +2657,34 @@ const AccessiChef = {
             amountEl.textContent = ingredient.dataset.imperialAmount;
             unitEl.textContent = ingredient.dataset.imperialUnit;
         });
+        
+        this.updateInstructionText();
+        this.updateExportSummary();
+    },
+    
+    /**
+     * Re-render measurements in the instruction text for the current unit system
+     */
+    updateInstructionText: function() {
+        if (!this.currentRecipe) {
+            return;
+        }
+        
+        document.querySelectorAll('#instructions-list .instruction-text, #current-step-text[data-step]').forEach(element => {
+            const instruction = this.currentRecipe.instructions[parseInt(element.dataset.step, 10)];
+            if (instruction) {
+                InstructionConverter.renderText(element, instruction.text, this.unitSystem);
+            }
+        });
+    },
+    
+    /**
+     * Get an instruction's text as plain text in the current unit system
+     * @param {number} stepIndex - Zero-based step index
+     * @returns {string} Instruction text
+     */
+    getStepText: function(stepIndex) {
+        return InstructionConverter.convertText(this.currentRecipe.instructions[stepIndex].text, this.unitSystem);
     },
     
     /**
@@ -596,15 +2695,7 @@ const AccessiChef = {
         const simplifiedViewToggle = document.getElementById('simplified-view-toggle');
         if (simplifiedViewToggle) {
             simplifiedViewToggle.addEventListener('click', () => {
-                document.body.classList.toggle('simplified-view');
-                
-                const isSimplified = document.body.classList.contains('simplified-view');
-                simplifiedViewToggle.innerHTML = isSimplified ? 
-                    '<i class="fas fa-glasses" aria-hidden="true"></i> Standard View' : 
-                    '<i class="fas fa-glasses" aria-hidden="true"></i> Simplified View';
-                
-                // Announce to screen readers
-                this.announceToScreenReader(isSimplified ? 'Simplified view enabled' : 'Standard view enabled');
+                AccessibilityFeatures.setSimplifiedView(!AccessibilityFeatures.simplifiedView);
             });
         }
         
@@ -624,35 +2715,8 @@ const AccessiChef = {
                 const button = e.target.classList.contains('set-timer-btn') ? 
                     e.target : e.target.parentElement;
                 
-                const minutes = parseInt(button.dataset.time, 10);
-                
-                // Create a timer display if it doesn't exist
-                let timerDisplay = document.getElementById('inline-timer-display');
-                if (!timerDisplay) {
-                    timerDisplay = document.createElement('div');
-                    timerDisplay.id = 'inline-timer-display';
-                    timerDisplay.className = 'timer-display mt-3 mb-3';
-                    document.getElementById('instructions').appendChild(timerDisplay);
-                }
-                
-                RecipeTimer.startTimer(minutes * 60, timerDisplay, () => {
-                    // Timer completion callback
-                    this.announceToScreenReader('Timer complete!');
-                    
-                    // Add visual notification
-                    const notification = document.createElement('div');
-                    notification.className = 'alert alert-success';
-                    notification.innerHTML = '<strong>Timer Complete!</strong>';
-                    document.getElementById('instructions').insertBefore(notification, timerDisplay);
-                    
-                    // Remove notification after 5 seconds
-                    setTimeout(() => {
-                        notification.remove();
-                    }, 5000);
-                });
-                
-                // Announce to screen readers
-                this.announceToScreenReader(`${minutes} minute timer started`);
+                // Timers appear in the timer tray, which also announces completion
+                this.startStepTimer(this.currentRecipe, parseInt(button.dataset.step, 10));
             }
         });
         
@@ -665,7 +2729,7 @@ const AccessiChef = {
                     window.location.href = 'about.html#accessibility-statement';
                 } else {
                     // Scroll to accessibility statement section
-                    document.querySelector('.card-header h3').scrollIntoView({ behavior: 'smooth' });
+                    document.querySelector('.card-header h3').scrollIntoView({ behavior: AccessibilityFeatures.getScrollBehavior() });
                 }
             });
         }
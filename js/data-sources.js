@@ -0,0 +1,393 @@
+/**
+ * AccessiChef - Recipe Data Sources
+ * 
+ * This file contains the adapters RecipeManager loads recipes through. Each
+ * adapter reads recipes from one kind of store and offers the same methods:
+ * 
+ *   listRecipes(page, pageSize)  Promise of { recipes, total } for one page,
+ *                                with pages numbered from 1
+ *   getRecipe(id)                Promise of one recipe, or null if there is none
+ *   invalidate()                 Drop anything cached so the next call reads fresh data
+ * 
+ * Listed recipes are complete records, since search, filters and allergy
+ * checks all need the ingredients. Adapters pass recipes through as stored;
+ * RecipeManager validates them.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Recipe Data Sources - Factories for the recipe data adapters
+ */
+const RecipeDataSources = {
+    /**
+     * Storage key for a saved data source configuration
+     */
+    storageKey: 'accessichef_data_source',
+    
+    /**
+     * Configuration used when none is saved
+     */
+    defaultConfig: { type: 'static', url: 'data/recipes.json' },
+    
+    /**
+     * Fetch JSON, treating a 404 as no data
+     * @param {string} url - URL to fetch
+     * @param {boolean} reload - Whether to bypass the HTTP cache
+     * @returns {Promise<*>} Promise resolving to the parsed JSON, or null for a 404
+     */
+    fetchJson: function(url, reload) {
+        return fetch(url, { cache: reload ? 'reload' : 'default' })
+            .then(response => {
+                if (response.status === 404) {
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${url}: ${response.status}`);
+                }
+                return response.json();
+            });
+    },
+    
+    /**
+     * Create a source reading every recipe from one JSON file shaped like
+     * data/recipes.json. The file is fetched once and paged in memory.
+     * @param {string} url - URL of the JSON file
+     * @returns {Object} Data source
+     */
+    createStaticSource: function(url) {
+        let pending = null;
+        let reload = false;
+        
+        const load = () => {
+            if (!pending) {
+                pending = this.fetchJson(url, reload)
+                    .then(data => {
+                        if (!data || !Array.isArray(data.recipes)) {
+                            throw new Error(`Recipe data at ${url} must contain a recipes list`);
+                        }
+                        reload = false;
+                        return data.recipes;
+                    })
+                    .catch(error => {
+                        // Let the next call try again
+                        pending = null;
+                        throw error;
+                    });
+            }
+            return pending;
+        };
+        
+        return {
+            type: 'static',
+            
+            listRecipes: function(page, pageSize) {
+                return load().then(recipes => ({
+                    recipes: recipes.slice((page - 1) * pageSize, page * pageSize),
+                    total: recipes.length
+                }));
+            },
+            
+            getRecipe: function(id) {
+                return load().then(recipes => recipes.find(recipe => recipe && recipe.id === id) || null);
+            },
+            
+            invalidate: function() {
+                pending = null;
+                reload = true;
+            }
+        };
+    },
+    
+    /**
+     * Create a source reading from a paginated REST API:
+     *   GET {baseUrl}/recipes?page=1&pageSize=50  returns { recipes, total }
+     *   GET {baseUrl}/recipes/{id}                returns the recipe, or 404
+     * scripts/mock-recipe-server.js serves this API locally.
+     * @param {string} baseUrl - API root, such as "http://localhost:8080/api"
+     * @returns {Object} Data source
+     */
+    createRestSource: function(baseUrl) {
+        const root = baseUrl.replace(/\/+$/, '');
+        let reload = false;
+        
+        return {
+            type: 'rest',
+            
+            listRecipes: (page, pageSize) => {
+                return this.fetchJson(`${root}/recipes?page=${page}&pageSize=${pageSize}`, reload)
+                    .then(data => {
+                        if (!data || !Array.isArray(data.recipes)) {
+                            throw new Error(`Recipe page ${page} from ${root} must contain a recipes list`);
+                        }
+                        
+                        // Keep bypassing the HTTP cache until the listing has been read through
+                        if (page * pageSize >= data.total) {
+                            reload = false;
+                        }
+                        
+                        return { recipes: data.recipes, total: data.total };
+                    });
+            },
+            
+            getRecipe: id => {
+                return this.fetchJson(`${root}/recipes/${encodeURIComponent(id)}`, reload);
+            },
+            
+            invalidate: function() {
+                reload = true;
+            }
+        };
+    },
+    
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - Request to wait for
+     * @returns {Promise<*>} Promise resolving to the request's result
+     */
+    requestToPromise: function(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    /**
+     * Create a source reading from an IndexedDB object store keyed by recipe ID.
+     * Given a seed source, an empty store is filled from it first, which keeps
+     * a local copy of another source's recipes; invalidating refills it.
+     * @param {Object} options - Options: dbName, storeName and seed (another data source)
+     * @returns {Object} Data source, with putRecipes() and clear() for writing
+     */
+    createIndexedDbSource: function(options) {
+        const dbName = (options && options.dbName) || 'accessichef';
+        const storeName = (options && options.storeName) || 'recipes';
+        const seed = options && options.seed;
+        const requestToPromise = this.requestToPromise;
+        let database = null;
+        let seeding = null;
+        let stale = false;
+        
+        const open = () => {
+            if (!database) {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(storeName, { keyPath: 'id' });
+                };
+                database = requestToPromise(request);
+            }
+            return database;
+        };
+        
+        const withStore = (mode, callback) => {
+            return open().then(db => {
+                const transaction = db.transaction(storeName, mode);
+                const result = callback(transaction.objectStore(storeName));
+                
+                return new Promise((resolve, reject) => {
+                    transaction.oncomplete = () => resolve(result);
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error);
+                });
+            });
+        };
+        
+        const source = {
+            type: 'indexeddb',
+            
+            listRecipes: function(page, pageSize) {
+                return source.ready().then(() => withStore('readonly', store => {
+                    const result = { recipes: [], total: 0 };
+                    const skip = (page - 1) * pageSize;
+                    let skipped = false;
+                    
+                    store.count().onsuccess = event => {
+                        result.total = event.target.result;
+                    };
+                    
+                    store.openCursor().onsuccess = event => {
+                        const cursor = event.target.result;
+                        if (!cursor) {
+                            return;
+                        }
+                        if (skip > 0 && !skipped) {
+                            skipped = true;
+                            cursor.advance(skip);
+                            return;
+                        }
+                        result.recipes.push(cursor.value);
+                        if (result.recipes.length < pageSize) {
+                            cursor.continue();
+                        }
+                    };
+                    
+                    return result;
+                }));
+            },
+            
+            getRecipe: function(id) {
+                return source.ready().then(() => withStore('readonly', store => {
+                    const result = {};
+                    store.get(id).onsuccess = event => {
+                        result.recipe = event.target.result || null;
+                    };
+                    return result;
+                })).then(result => result.recipe);
+            },
+            
+            invalidate: function() {
+                if (seed) {
+                    seed.invalidate();
+                    stale = true;
+                    seeding = null;
+                }
+            },
+            
+            /**
+             * Fill the store from the seed source if it is empty or stale
+             * @returns {Promise} Promise resolving once the store is ready to read
+             */
+            ready: function() {
+                if (!seed) {
+                    return open();
+                }
+                
+                if (!seeding) {
+                    seeding = withStore('readonly', store => requestToPromise(store.count()))
+                        .then(count => {
+                            if (count > 0 && !stale) {
+                                return null;
+                            }
+                            
+                            return RecipeDataSources.readAll(seed, 50)
+                                .then(recipes => source.clear().then(() => source.putRecipes(recipes)))
+                                .then(() => {
+                                    stale = false;
+                                });
+                        })
+                        .catch(error => {
+                            // Let the next read try again
+                            seeding = null;
+                            throw error;
+                        });
+                }
+                
+                return seeding;
+            },
+            
+            /**
+             * Add or replace recipes. Entries without a text ID can't be stored and are skipped.
+             * @param {Array} recipes - Recipes to store
+             * @returns {Promise} Promise resolving once they are written
+             */
+            putRecipes: function(recipes) {
+                return withStore('readwrite', store => {
+                    recipes
+                        .filter(recipe => recipe && typeof recipe.id === 'string')
+                        .forEach(recipe => store.put(recipe));
+                });
+            },
+            
+            /**
+             * Remove every stored recipe
+             * @returns {Promise} Promise resolving once the store is empty
+             */
+            clear: function() {
+                return withStore('readwrite', store => {
+                    store.clear();
+                });
+            }
+        };
+        
+        return source;
+    },
+    
+    /**
+     * Read every recipe from a source, a page at a time
+     * @param {Object} source - Data source
+     * @param {number} pageSize - Recipes to request per page
+     * @param {Function} onProgress - Optional callback given (loaded, total) after each page
+     * @returns {Promise<Array>} Promise resolving to all recipes, in source order
+     */
+    readAll: function(source, pageSize, onProgress) {
+        const recipes = [];
+        
+        const readPage = page => {
+            return source.listRecipes(page, pageSize)
+                .then(result => {
+                    recipes.push(...result.recipes);
+                    
+                    if (onProgress) {
+                        onProgress(recipes.length, result.total);
+                    }
+                    
+                    // A short page means the listing ended, even if the total was off
+                    if (recipes.length < result.total && result.recipes.length === pageSize) {
+                        return readPage(page + 1);
+                    }
+                    return recipes;
+                });
+        };
+        
+        return readPage(1);
+    },
+    
+    /**
+     * Create a data source from a configuration object:
+     *   { type: 'static', url }
+     *   { type: 'rest', url }
+     *   { type: 'indexeddb', dbName, storeName, seed: another configuration }
+     * @param {Object} config - Data source configuration
+     * @returns {Object} Data source
+     */
+    createFromConfig: function(config) {
+        switch (config && config.type) {
+            case 'static':
+                return this.createStaticSource(config.url);
+            case 'rest':
+                return this.createRestSource(config.url);
+            case 'indexeddb':
+                return this.createIndexedDbSource({
+                    dbName: config.dbName,
+                    storeName: config.storeName,
+                    seed: config.seed ? this.createFromConfig(config.seed) : null
+                });
+            default:
+                throw new Error('Unknown recipe data source: ' + JSON.stringify(config));
+        }
+    },
+    
+    /**
+     * Create the data source saved in localStorage, or the default static file
+     * @returns {Object} Data source
+     */
+    createConfigured: function() {
+        let config = this.defaultConfig;
+        
+        try {
+            const saved = typeof localStorage !== 'undefined' && localStorage.getItem(this.storageKey);
+            if (saved) {
+                config = JSON.parse(saved);
+            }
+        } catch (error) {
+            console.warn('Could not read the recipe data source setting:', error);
+        }
+        
+        try {
+            return this.createFromConfig(config);
+        } catch (error) {
+            console.warn(error.message + '; using ' + this.defaultConfig.url);
+            return this.createFromConfig(this.defaultConfig);
+        }
+    }
+};
+
+// Export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeDataSources;
+}
@@ -0,0 +1,105 @@
+/**
+ * AccessiChef - Imported Recipes
+ * 
+ * This file stores recipes the user has imported on this device. RecipeManager
+ * lists them alongside the recipes from the data source.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Imported Recipes - Recipes saved from the import page
+ */
+const ImportedRecipes = {
+    /**
+     * Storage key for the imported recipes
+     */
+    storageKey: 'accessichef_imported_recipes',
+    
+    /**
+     * Imported recipes, oldest first
+     */
+    recipes: [],
+    
+    /**
+     * Load the imported recipes
+     */
+    load: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            
+            if (Array.isArray(saved)) {
+                this.recipes = saved;
+            }
+        } catch (error) {
+            console.warn('Could not load imported recipes:', error);
+        }
+    },
+    
+    /**
+     * Save the imported recipes
+     * @returns {boolean} True if saved, false if storage refused them (for example when full)
+     */
+    save: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.recipes));
+            return true;
+        } catch (error) {
+            console.error('Error saving imported recipes:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Get copies of the imported recipes, so tags added while they are shown
+     * aren't saved with them
+     * @returns {Array} Recipes, each marked as imported
+     */
+    getRecipes: function() {
+        return this.recipes.map(recipe => Object.assign(JSON.parse(JSON.stringify(recipe)), { imported: true }));
+    },
+    
+    /**
+     * Get a copy of one imported recipe
+     * @param {string} recipeId - Recipe ID
+     * @returns {Object|null} Recipe, or null if no imported recipe has that ID
+     */
+    getRecipe: function(recipeId) {
+        return this.getRecipes().find(recipe => recipe.id === recipeId) || null;
+    },
+    
+    /**
+     * Add a recipe, giving it an ID from its title
+     * @param {Object} recipe - Recipe without an ID
+     * @param {Array<string>} takenIds - IDs of the other recipes shown, which the new ID must not repeat
+     * @returns {Object|null} The stored recipe, or null if it couldn't be saved
+     */
+    addRecipe: function(recipe, takenIds) {
+        const stored = Object.assign({
+            id: RecipeParser.createId(recipe.title, takenIds.concat(this.recipes.map(entry => entry.id)))
+        }, recipe);
+        
+        this.recipes.push(stored);
+        
+        if (!this.save()) {
+            this.recipes.pop();
+            return null;
+        }
+        
+        return stored;
+    },
+    
+    /**
+     * Remove an imported recipe
+     * @param {string} recipeId - Recipe ID
+     */
+    removeRecipe: function(recipeId) {
+        this.recipes = this.recipes.filter(recipe => recipe.id !== recipeId);
+        this.save();
+    }
+};
@@ -0,0 +1,580 @@
+/**
+ * AccessiChef - Keyboard Shortcuts
+ * 
+ * This file keeps a registry of keyboard shortcuts. Every shortcut the site
+ * offers is defined here with its default keys; each page registers the
+ * actions for the ones it uses. Users can change the keys for any of them,
+ * and the "?" key opens a dialog listing every shortcut available on the
+ * page. Changed keys are saved with the other accessibility preferences.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Keyboard Shortcuts - Registry of shortcuts with changeable keys
+ */
+const KeyboardShortcuts = {
+    /**
+     * Registered shortcuts, in the order they were registered
+     */
+    shortcuts: [],
+    
+    /**
+     * Every shortcut the site offers, on any page, with its default keys and
+     * the group and description shown in the help dialog. Pages register
+     * actions only for the shortcuts they use, and changed keys are checked
+     * against this whole list so they can't clash on another page.
+     */
+    definitions: {
+        'show-shortcuts': { keys: '?', group: 'General', description: 'Show keyboard shortcuts' },
+        'go-home': { keys: 'Alt+H', group: 'General', description: 'Go to the recipe list' },
+        'accessibility-menu': { keys: 'Alt+A', group: 'Accessibility', description: 'Open the accessibility menu' },
+        'text-increase': { keys: 'Alt+I', group: 'Accessibility', description: 'Increase text size' },
+        'text-decrease': { keys: 'Alt+D', group: 'Accessibility', description: 'Decrease text size' },
+        'high-contrast': { keys: 'Alt+C', group: 'Accessibility', description: 'Turn the high contrast theme on or off' },
+        'simplified-view': { keys: 'Alt+S', group: 'Accessibility', description: 'Turn the simplified view on or off' },
+        'switch-scanning': { keys: 'Alt+W', group: 'Accessibility', description: 'Turn switch scanning on or off' },
+        'timer-tray': { keys: 'Alt+M', group: 'Timers', description: 'Move to the timer tray' },
+        'step-timer': { keys: 'Alt+T', group: 'Timers', description: 'Start, pause or resume the current step\'s timer' },
+        'step-next': { keys: 'Alt+N', group: 'Step-by-Step Mode', description: 'Next step, starting step-by-step mode if needed' },
+        'step-previous': { keys: 'Alt+P', group: 'Step-by-Step Mode', description: 'Previous step' },
+        'step-repeat': { keys: 'Alt+R', group: 'Step-by-Step Mode', description: 'Repeat the current step' }
+    },
+    
+    /**
+     * Modifier keys, in the order they are written in key names such as "Ctrl+Alt+N"
+     */
+    modifiers: ['Ctrl', 'Alt', 'Shift', 'Meta'],
+    
+    /**
+     * Keys the browser or operating system keeps for itself, which pages can't use
+     */
+    reservedKeys: ['Ctrl+W', 'Ctrl+T', 'Ctrl+N', 'Ctrl+Q', 'Ctrl+L', 'Ctrl+Tab', 'Ctrl+Shift+Tab',
+        'Alt+F4', 'Alt+ArrowLeft', 'Alt+ArrowRight', 'Alt+Home'],
+    
+    /**
+     * Help dialog, once it has been created
+     */
+    dialog: null,
+    
+    /**
+     * ID of the shortcut waiting for new keys in the help dialog
+     */
+    capturingId: null,
+    
+    /**
+     * Element to return focus to when the help dialog closes
+     */
+    returnFocus: null,
+    
+    /**
+     * Whether the keydown listener has been added
+     */
+    initialized: false,
+    
+    /**
+     * Start listening for shortcuts and register the help shortcut
+     */
+    init: function() {
+        if (this.initialized) {
+            return;
+        }
+        this.initialized = true;
+        
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        
+        // Buttons that open the help dialog, such as the one in the accessibility menu
+        document.querySelectorAll('[data-shortcut-help]').forEach(button => {
+            button.addEventListener('click', () => this.openHelp());
+        });
+        
+        this.register('show-shortcuts', () => this.openHelp());
+        this.updateKeyHints();
+    },
+    
+    /**
+     * Register the action for a shortcut in the definitions, replacing any
+     * registered with the same ID
+     * @param {string} id - Shortcut ID
+     * @param {Function} action - Function to run when the keys are pressed
+     * @param {Function} [isAvailable] - Function that says whether the shortcut can be used right now
+     * @throws {Error} If no shortcut is defined with that ID
+     */
+    register: function(id, action, isAvailable) {
+        const definition = this.definitions[id];
+        
+        if (!definition) {
+            throw new Error(`No keyboard shortcut is defined with the ID "${id}"`);
+        }
+        
+        this.unregister(id);
+        this.shortcuts.push(Object.assign({}, definition, {
+            id: id,
+            keys: this.normalizeKeys(definition.keys),
+            action: action,
+            isAvailable: isAvailable || (() => true)
+        }));
+    },
+    
+    /**
+     * Remove a registered shortcut
+     * @param {string} id - Shortcut ID
+     */
+    unregister: function(id) {
+        this.shortcuts = this.shortcuts.filter(shortcut => shortcut.id !== id);
+    },
+    
+    /**
+     * Get a registered shortcut
+     * @param {string} id - Shortcut ID
+     * @returns {Object|null} Shortcut, or null if none is registered with that ID
+     */
+    getShortcut: function(id) {
+        return this.shortcuts.find(shortcut => shortcut.id === id) || null;
+    },
+    
+    /**
+     * Get the keys a shortcut uses, with any change the user has made
+     * @param {string} id - Shortcut ID
+     * @returns {string|null} Key name such as "Alt+N", or null if the shortcut isn't registered
+     */
+    getKeys: function(id) {
+        const shortcut = this.getShortcut(id);
+        return shortcut ? (AccessibilityFeatures.shortcutBindings[id] || shortcut.keys) : null;
+    },
+    
+    /**
+     * Write a key name in the standard form, such as "alt+n" as "Alt+N"
+     * @param {string} keys - Key name
+     * @returns {string} Key name with modifiers in a fixed order
+     */
+    normalizeKeys: function(keys) {
+        const parts = String(keys).split(/\+(?!$)/).map(part => part.trim());
+        const key = parts.pop();
+        const aliases = { control: 'Ctrl', option: 'Alt', cmd: 'Meta', command: 'Meta' };
+        
+        const used = parts.map(part => {
+            const lower = part.toLowerCase();
+            return aliases[lower] || this.modifiers.find(modifier => modifier.toLowerCase() === lower) || part;
+        });
+        
+        return this.modifiers.filter(modifier => used.includes(modifier))
+            .concat(key.length === 1 ? key.toUpperCase() : key)
+            .join('+');
+    },
+    
+    /**
+     * Get the key name for a key press
+     * @param {KeyboardEvent} e - Keydown event
+     * @returns {string|null} Key name, or null if only a modifier was pressed
+     */
+    getEventKeys: function(e) {
+        if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph'].includes(e.key)) {
+            return null;
+        }
+        
+        // With Alt or Option some systems type a symbol, so fall back to the key's position
+        let key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+        if (!/^[A-Z0-9]$/.test(key) && (e.altKey || e.ctrlKey || e.metaKey) && /^(Key[A-Z]|Digit[0-9])$/.test(e.code || '')) {
+            key = e.code.slice(-1);
+        }
+        
+        // Shift is part of symbols such as "?", so it's only named with other keys
+        const shiftNamed = !(key.length === 1 && !/^[A-Z0-9]$/.test(key));
+        
+        const parts = [];
+        if (e.ctrlKey) {
+            parts.push('Ctrl');
+        }
+        if (e.altKey) {
+            parts.push('Alt');
+        }
+        if (e.shiftKey && shiftNamed) {
+            parts.push('Shift');
+        }
+        if (e.metaKey) {
+            parts.push('Meta');
+        }
+        parts.push(key);
+        
+        return parts.join('+');
+    },
+    
+    /**
+     * Run the shortcut for a key press, unless the user is typing
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown: function(e) {
+        // The help dialog handles its own keys
+        if (this.dialog && this.dialog.open) {
+            return;
+        }
+        
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+            return;
+        }
+        
+        const keys = this.getEventKeys(e);
+        if (!keys) {
+            return;
+        }
+        
+        const shortcut = this.shortcuts.find(entry => this.getKeys(entry.id) === keys && entry.isAvailable());
+        if (shortcut) {
+            e.preventDefault();
+            shortcut.action();
+        }
+    },
+    
+    /**
+     * Check whether a shortcut can use some keys
+     * @param {string} id - Shortcut ID
+     * @param {string} keys - Key name
+     * @returns {string|null} Why the keys can't be used, or null if they can
+     */
+    checkKeys: function(id, keys) {
+        const parts = keys.split(/\+(?!$)/);
+        const key = parts[parts.length - 1];
+        const hasModifier = parts.some(part => ['Ctrl', 'Alt', 'Meta'].includes(part));
+        
+        if (key === 'Tab' || key === 'Escape') {
+            return 'Tab and Escape are needed to move around the page and close menus.';
+        }
+        
+        if (this.reservedKeys.includes(keys)) {
+            return `${keys} is kept by the browser.`;
+        }
+        
+        // Single letters, digits and navigation keys are needed for typing and screen reader commands
+        if (!hasModifier && !/^F([1-9]|1[0-2])$/.test(key) && !(key.length === 1 && !/^[A-Z0-9]$/.test(key))) {
+            return 'Add Alt or Ctrl, so the shortcut doesn\'t get in the way of typing or screen reader keys.';
+        }
+        
+        const other = this.shortcuts.find(shortcut => shortcut.id !== id && this.getKeys(shortcut.id) === keys);
+        if (other) {
+            return `${keys} is already used for "${other.description}".`;
+        }
+        
+        // Shortcuts from other pages aren't registered here, so check their saved or default keys
+        const bindings = AccessibilityFeatures.shortcutBindings;
+        const elsewhere = Object.keys(this.definitions)
+            .find(otherId => otherId !== id && !this.getShortcut(otherId) &&
+                (bindings[otherId] || this.normalizeKeys(this.definitions[otherId].keys)) === keys);
+        if (elsewhere) {
+            return `${keys} is already used for "${this.definitions[elsewhere].description}" on another page.`;
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Change the keys for a shortcut
+     * @param {string} id - Shortcut ID
+     * @param {string} keys - Key name
+     * @throws {Error} If the keys can't be used
+     */
+    rebind: function(id, keys) {
+        const shortcut = this.getShortcut(id);
+        const normalized = this.normalizeKeys(keys);
+        const problem = this.checkKeys(id, normalized);
+        
+        if (problem) {
+            throw new Error(problem);
+        }
+        
+        const bindings = Object.assign({}, AccessibilityFeatures.shortcutBindings);
+        if (normalized === shortcut.keys) {
+            delete bindings[id];
+        } else {
+            bindings[id] = normalized;
+        }
+        
+        AccessibilityFeatures.setShortcutBindings(bindings);
+        this.updateKeyHints();
+    },
+    
+    /**
+     * Go back to the default keys for one shortcut, or for all of them
+     * @param {string} [id] - Shortcut ID, or nothing to reset every shortcut
+     */
+    resetKeys: function(id) {
+        const bindings = Object.assign({}, AccessibilityFeatures.shortcutBindings);
+        
+        if (id) {
+            delete bindings[id];
+        } else {
+            this.shortcuts.forEach(shortcut => delete bindings[shortcut.id]);
+        }
+        
+        AccessibilityFeatures.setShortcutBindings(bindings);
+        this.updateKeyHints();
+    },
+    
+    /**
+     * Tell assistive technology which keys open the help dialog
+     */
+    updateKeyHints: function() {
+        document.querySelectorAll('[data-shortcut-help]').forEach(button => {
+            button.setAttribute('aria-keyshortcuts', this.getKeys('show-shortcuts'));
+        });
+    },
+    
+    /**
+     * Create the help dialog if it doesn't exist
+     * @returns {HTMLDialogElement} Help dialog
+     */
+    ensureDialog: function() {
+        if (this.dialog && document.body.contains(this.dialog)) {
+            return this.dialog;
+        }
+        
+        const dialog = document.createElement('dialog');
+        dialog.id = 'shortcut-help';
+        dialog.className = 'shortcut-help';
+        dialog.setAttribute('aria-labelledby', 'shortcut-help-heading');
+        dialog.setAttribute('aria-describedby', 'shortcut-help-intro');
+        dialog.innerHTML = `
+            <h2 id="shortcut-help-heading" tabindex="-1">Keyboard Shortcuts</h2>
+            <p id="shortcut-help-intro">These shortcuts work anywhere on this page except while typing in a form field. To change one, choose Change and press the new keys, or press Escape to keep the old ones.</p>
+            <p id="shortcut-help-status" class="shortcut-help-status" role="status"></p>
+            <div class="shortcut-help-groups"></div>
+            <div class="shortcut-help-actions">
+                <button type="button" class="btn btn-outline-secondary" data-shortcut-action="reset-all">Reset All Shortcuts</button>
+                <button type="button" class="btn btn-primary" data-shortcut-action="close">Close</button>
+            </div>
+        `;
+        
+        // Handle the dialog's buttons with a single delegated listener
+        dialog.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-shortcut-action]');
+            if (!button) {
+                return;
+            }
+            
+            const id = button.dataset.shortcutId;
+            switch (button.dataset.shortcutAction) {
+                case 'change':
+                    this.startCapture(id);
+                    break;
+                case 'reset':
+                    this.resetKeys(id);
+                    this.renderHelp(`${this.getShortcut(id).description} is back to ${this.getKeys(id)}.`, id);
+                    break;
+                case 'reset-all':
+                    this.resetKeys();
+                    this.renderHelp('All shortcuts are back to their usual keys.');
+                    break;
+                case 'close':
+                    this.closeHelp();
+                    break;
+            }
+        });
+        
+        dialog.addEventListener('keydown', (e) => this.handleCaptureKey(e));
+        
+        // Escape while waiting for new keys only cancels the change
+        dialog.addEventListener('cancel', (e) => {
+            if (this.capturingId) {
+                e.preventDefault();
+                this.stopCapture('Change cancelled.');
+            }
+        });
+        
+        dialog.addEventListener('close', () => {
+            this.capturingId = null;
+            if (this.returnFocus && document.body.contains(this.returnFocus)) {
+                this.returnFocus.focus();
+            }
+        });
+        
+        document.body.appendChild(dialog);
+        this.dialog = dialog;
+        
+        return dialog;
+    },
+    
+    /**
+     * Open the help dialog
+     */
+    openHelp: function() {
+        const dialog = this.ensureDialog();
+        if (dialog.open) {
+            return;
+        }
+        
+        this.returnFocus = document.activeElement;
+        this.renderHelp('');
+        
+        // Browsers without showModal() still show the dialog, without a backdrop
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+        
+        dialog.querySelector('#shortcut-help-heading').focus();
+    },
+    
+    /**
+     * Close the help dialog
+     */
+    closeHelp: function() {
+        if (!this.dialog || !this.dialog.open) {
+            return;
+        }
+        
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+            this.dialog.dispatchEvent(new Event('close'));
+        }
+    },
+    
+    /**
+     * List the shortcuts available on this page in the help dialog
+     * @param {string} status - Message to show above the list
+     * @param {string} [focusId] - Shortcut whose Change button should have focus afterwards
+     */
+    renderHelp: function(status, focusId) {
+        const dialog = this.ensureDialog();
+        const groups = dialog.querySelector('.shortcut-help-groups');
+        const available = this.shortcuts.filter(shortcut => shortcut.isAvailable());
+        
+        groups.innerHTML = '';
+        
+        [...new Set(available.map(shortcut => shortcut.group))].forEach(group => {
+            const section = document.createElement('section');
+            section.innerHTML = `
+                <h3 class="h5"></h3>
+                <table class="table table-sm shortcut-help-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Action</th>
+                            <th scope="col">Keys</th>
+                            <th scope="col"><span class="sr-only">Change keys</span></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            `;
+            section.querySelector('h3').textContent = group;
+            
+            available.filter(shortcut => shortcut.group === group).forEach(shortcut => {
+                const keys = this.getKeys(shortcut.id);
+                const changed = keys !== shortcut.keys;
+                const clash = available.find(other => other !== shortcut && this.getKeys(other.id) === keys);
+                const capturing = this.capturingId === shortcut.id;
+                
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <th scope="row"></th>
+                    <td><kbd></kbd><span class="shortcut-help-note"></span></td>
+                    <td class="text-end">
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-shortcut-action="change"></button>
+                        ${changed ? '<button type="button" class="btn btn-sm btn-outline-secondary ms-1" data-shortcut-action="reset">Reset</button>' : ''}
+                    </td>
+                `;
+                row.querySelector('th').textContent = shortcut.description;
+                row.querySelector('kbd').textContent = keys;
+                row.querySelector('.shortcut-help-note').textContent =
+                    (changed ? ` (changed from ${shortcut.keys})` : '') +
+                    (clash ? ` Also used for "${clash.description}"; change one of them.` : '');
+                
+                row.querySelectorAll('button').forEach(button => {
+                    button.dataset.shortcutId = shortcut.id;
+                });
+                
+                const changeButton = row.querySelector('[data-shortcut-action="change"]');
+                changeButton.textContent = capturing ? 'Press new keys…' : 'Change';
+                changeButton.setAttribute('aria-label', capturing ?
+                    `Press the new keys for ${shortcut.description}, or Escape to cancel` :
+                    `Change keys for ${shortcut.description}`);
+                
+                const resetButton = row.querySelector('[data-shortcut-action="reset"]');
+                if (resetButton) {
+                    resetButton.setAttribute('aria-label', `Reset ${shortcut.description} to ${shortcut.keys}`);
+                }
+                
+                section.querySelector('tbody').appendChild(row);
+            });
+            
+            groups.appendChild(section);
+        });
+        
+        this.setHelpStatus(status);
+        
+        // Re-rendering replaces the buttons, so put focus back where it was
+        if (focusId) {
+            const button = groups.querySelector(`[data-shortcut-action="change"][data-shortcut-id="${focusId}"]`);
+            if (button) {
+                button.focus();
+            }
+        }
+    },
+    
+    /**
+     * Show a message in the help dialog's status line
+     * @param {string} message - Message to show and announce
+     */
+    setHelpStatus: function(message) {
+        this.ensureDialog().querySelector('#shortcut-help-status').textContent = message;
+    },
+    
+    /**
+     * Wait for the user to press new keys for a shortcut
+     * @param {string} id - Shortcut ID
+     */
+    startCapture: function(id) {
+        this.capturingId = id;
+        this.renderHelp(`Press the new keys for ${this.getShortcut(id).description}, or Escape to cancel.`, id);
+    },
+    
+    /**
+     * Stop waiting for new keys
+     * @param {string} message - Message to show
+     */
+    stopCapture: function(message) {
+        const id = this.capturingId;
+        this.capturingId = null;
+        this.renderHelp(message, id);
+    },
+    
+    /**
+     * Use a key press in the help dialog as a shortcut's new keys
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleCaptureKey: function(e) {
+        if (!this.capturingId) {
+            return;
+        }
+        
+        e.preventDefault();
+        e.stopPropagation();
+        
+        if (e.key === 'Escape') {
+            this.stopCapture('Change cancelled.');
+            return;
+        }
+        
+        // Wait for the rest of the chord when only a modifier is down
+        const keys = this.getEventKeys(e);
+        if (!keys) {
+            return;
+        }
+        
+        const shortcut = this.getShortcut(this.capturingId);
+        try {
+            this.rebind(shortcut.id, keys);
+            this.stopCapture(`${shortcut.description} is now ${this.getKeys(shortcut.id)}.`);
+        } catch (error) {
+            this.setHelpStatus(`${error.message} Press other keys, or Escape to cancel.`);
+        }
+    }
+};
@@ -0,0 +1,224 @@
+/**
+ * AccessiChef - Weekly Meal Planner
+ * 
+ * This file manages a weekly meal plan. Recipes are assigned to day and meal
+ * slots, each with its own serving count, and the plan is summarized as daily
+ * cooking time, daily nutrition and one scaled ingredient list for the week.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Meal Planner - Stores and summarizes the weekly meal plan
+ */
+const MealPlanner = {
+    /**
+     * Storage key for the saved plan
+     */
+    storageKey: 'accessichef_meal_plan',
+    
+    /**
+     * Days of the week, in display order
+     */
+    days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+    
+    /**
+     * Meal slots within each day, matching the recipe categories
+     */
+    meals: ['breakfast', 'lunch', 'dinner', 'snack'],
+    
+    /**
+     * Planned slots keyed by "day-meal", as { recipeId, servings }
+     */
+    slots: {},
+    
+    /**
+     * Load the saved plan
+     */
+    load: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            
+            if (saved && saved.slots && typeof saved.slots === 'object') {
+                this.slots = saved.slots;
+            }
+        } catch (error) {
+            console.warn('Could not load meal plan:', error);
+        }
+    },
+    
+    /**
+     * Save the plan
+     */
+    save: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ slots: this.slots }));
+        } catch (error) {
+            console.error('Error saving meal plan:', error);
+        }
+    },
+    
+    /**
+     * Get the key for a slot
+     * @param {string} day - Day name
+     * @param {string} meal - Meal name
+     * @returns {string} Slot key
+     */
+    getSlotKey: function(day, meal) {
+        return `${day.toLowerCase()}-${meal}`;
+    },
+    
+    /**
+     * Get the plan for a slot
+     * @param {string} day - Day name
+     * @param {string} meal - Meal name
+     * @returns {Object|null} Slot with recipeId and servings, or null if empty
+     */
+    getSlot: function(day, meal) {
+        return this.slots[this.getSlotKey(day, meal)] || null;
+    },
+    
+    /**
+     * Assign a recipe to a slot, or empty it
+     * @param {string} day - Day name
+     * @param {string} meal - Meal name
+     * @param {string} recipeId - Recipe ID, or an empty value to clear the slot
+     * @param {number} servings - Servings to cook
+     */
+    setSlot: function(day, meal, recipeId, servings) {
+        const key = this.getSlotKey(day, meal);
+        
+        if (recipeId) {
+            this.slots[key] = { recipeId: recipeId, servings: Math.max(1, servings) };
+        } else {
+            delete this.slots[key];
+        }
+        
+        this.save();
+    },
+    
+    /**
+     * Remove every planned meal
+     */
+    clear: function() {
+        this.slots = {};
+        this.save();
+    },
+    
+    /**
+     * Get a day's planned meals with their recipes
+     * Slots whose recipe no longer exists are skipped.
+     * @param {string} day - Day name
+     * @param {Object} recipesById - Recipes keyed by ID
+     * @returns {Array} Entries as { meal, recipe, servings }
+     */
+    getDayMeals: function(day, recipesById) {
+        return this.meals
+            .map(meal => ({ meal: meal, slot: this.getSlot(day, meal) }))
+            .filter(entry => entry.slot && recipesById[entry.slot.recipeId])
+            .map(entry => ({
+                meal: entry.meal,
+                recipe: recipesById[entry.slot.recipeId],
+                servings: entry.slot.servings
+            }));
+    },
+    
+    /**
+     * Parse a nutrition value such as "320 kcal" or "12g"
+     * @param {string} text - Nutrition value as written in the recipe
+     * @returns {Object|null} Object with numeric value and unit, or null if not a number
+     */
+    parseNutritionValue: function(text) {
+        const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(.*)$/);
+        return match ? { value: parseFloat(match[1]), unit: match[2] } : null;
+    },
+    
+    /**
+     * Summarize one day of the plan
+     * Nutrition is per person: one serving of each planned meal, since the
+     * recipe nutrition is given per serving.
+     * @param {string} day - Day name
+     * @param {Object} recipesById - Recipes keyed by ID
+     * @returns {Object} Object with meals, total time in minutes and nutrition totals
+     */
+    getDaySummary: function(day, recipesById) {
+        const meals = this.getDayMeals(day, recipesById);
+        const nutrition = {};
+        
+        meals.forEach(entry => {
+            Object.entries(entry.recipe.nutrition || {}).forEach(([nutrient, text]) => {
+                const parsed = this.parseNutritionValue(text);
+                if (!parsed) {
+                    return;
+                }
+                
+                if (!nutrition[nutrient]) {
+                    nutrition[nutrient] = { value: 0, unit: parsed.unit };
+                }
+                nutrition[nutrient].value += parsed.value;
+            });
+        });
+        
+        return {
+            meals: meals,
+            time: meals.reduce((total, entry) => total + entry.recipe.time, 0),
+            nutrition: nutrition
+        };
+    },
+    
+    /**
+     * Get the total servings of each recipe across the week
+     * @param {Object} recipesById - Recipes keyed by ID
+     * @returns {Array} Entries as { recipe, servings }
+     */
+    getRecipeTotals: function(recipesById) {
+        const totals = {};
+        
+        this.days.forEach(day => {
+            this.getDayMeals(day, recipesById).forEach(entry => {
+                if (!totals[entry.recipe.id]) {
+                    totals[entry.recipe.id] = { recipe: entry.recipe, servings: 0 };
+                }
+                totals[entry.recipe.id].servings += entry.servings;
+            });
+        });
+        
+        return Object.values(totals);
+    },
+    
+    /**
+     * Build one scaled ingredient list for the whole week
+     * @param {Object} recipesById - Recipes keyed by ID
+     * @returns {Array} Shopping list items, merged as in ShoppingList
+     */
+    getWeekIngredients: function(recipesById) {
+        const items = [];
+        
+        this.getRecipeTotals(recipesById).forEach(total => {
+            ShoppingList.addIngredients(items, total.recipe, total.servings);
+        });
+        
+        return items;
+    },
+    
+    /**
+     * Format a number of minutes as hours and minutes
+     * @param {number} minutes - Minutes to format
+     * @returns {string} Formatted time, such as "1 hr 25 mins"
+     */
+    formatTime: function(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const remaining = minutes % 60;
+        
+        if (hours === 0) {
+            return `${remaining} mins`;
+        }
+        
+        return remaining > 0 ? `${hours} hr ${remaining} mins` : `${hours} hr`;
+    }
+};
@@ -0,0 +1,156 @@
+/**
+ * AccessiChef - Read-Aloud Narrator
+ * 
+ * This file provides built-in narration of recipe content using the browser's
+ * speech synthesis, so users without a screen reader can hear steps,
+ * ingredients and recipe summaries read aloud.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Narrator - Reads recipe content aloud using speech synthesis
+ */
+const Narrator = {
+    /**
+     * Check if speech synthesis is available
+     * @returns {boolean} True if narration is supported
+     */
+    isSupported: function() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window &&
+            typeof window.SpeechSynthesisUtterance === 'function';
+    },
+    
+    /**
+     * Check if the narrator is currently speaking
+     * @returns {boolean} True if speaking
+     */
+    isSpeaking: function() {
+        return this.isSupported() && window.speechSynthesis.speaking;
+    },
+    
+    /**
+     * Get the voices available for narration
+     * @returns {Array} Array of SpeechSynthesisVoice objects
+     */
+    getVoices: function() {
+        return this.isSupported() ? window.speechSynthesis.getVoices() : [];
+    },
+    
+    /**
+     * Speak text aloud using the saved narration settings
+     * @param {string} text - Text to speak
+     */
+    speak: function(text) {
+        if (!this.isSupported() || !text) {
+            return;
+        }
+        
+        // Interrupt anything already being read so narration follows the user
+        this.stop();
+        
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.rate = AccessibilityFeatures.narrationRate;
+        utterance.pitch = AccessibilityFeatures.narrationPitch;
+        
+        // Use the preferred voice if it is installed
+        const voiceName = AccessibilityFeatures.narrationVoice;
+        if (voiceName) {
+            const voice = this.getVoices().find(v => v.name === voiceName);
+            if (voice) {
+                utterance.voice = voice;
+                utterance.lang = voice.lang;
+            }
+        }
+        
+        utterance.onerror = (event) => {
+            console.warn('Narration error:', event.error);
+        };
+        
+        window.speechSynthesis.speak(utterance);
+    },
+    
+    /**
+     * Stop any narration in progress
+     */
+    stop: function() {
+        if (this.isSupported()) {
+            window.speechSynthesis.cancel();
+        }
+    },
+    
+    /**
+     * Read a single instruction step
+     * @param {number} stepNumber - One-based step number
+     * @param {number} totalSteps - Total number of steps
+     * @param {string} text - Step text
+     */
+    readStep: function(stepNumber, totalSteps, text) {
+        this.speak(`Step ${stepNumber} of ${totalSteps}. ${text}`);
+    },
+    
+    /**
+     * Read the ingredients list as currently displayed
+     * (so adjusted servings and the selected unit system are respected)
+     */
+    readIngredients: function() {
+        const items = document.querySelectorAll('#ingredients-list li');
+        
+        if (items.length === 0) {
+            return;
+        }
+        
+        const lines = Array.from(items).map(item => {
+            const amount = item.querySelector('.ingredient-amount').textContent.trim();
+            const unit = item.querySelector('.ingredient-unit').textContent.trim();
+            const name = item.querySelector('.ingredient-name').textContent.trim();
+            return `${amount} ${unit} ${name}`.replace(/\s+/g, ' ');
+        });
+        
+        this.speak(`Ingredients. ${lines.join('. ')}.`);
+    },
+    
+    /**
+     * Read a short summary of a recipe
+     * @param {Object} recipe - Recipe object
+     */
+    readSummary: function(recipe) {
+        const servings = document.getElementById('recipe-servings');
+        const servingsText = servings ? servings.textContent : `${recipe.servings} servings`;
+        
+        this.speak(`${recipe.title}. ${recipe.description} Takes ${recipe.time} minutes. ` +
+            `Makes ${servingsText}. Difficulty: ${recipe.difficulty}. ` +
+            `${recipe.ingredients.length} ingredients and ${recipe.instructions.length} steps.`);
+    },
+    
+    /**
+     * Fill a select element with the available voices
+     * @param {HTMLSelectElement} select - Select element to populate
+     */
+    populateVoiceSelect: function(select) {
+        const fill = () => {
+            const voices = this.getVoices();
+            select.innerHTML = '<option value="">Default voice</option>';
+            
+            voices.forEach(voice => {
+                const option = document.createElement('option');
+                option.value = voice.name;
+                option.textContent = `${voice.name} (${voice.lang})`;
+                option.selected = voice.name === AccessibilityFeatures.narrationVoice;
+                select.appendChild(option);
+            });
+        };
+        
+        fill();
+        
+        // Voices load asynchronously in most browsers
+        if (this.isSupported()) {
+            window.speechSynthesis.addEventListener('voiceschanged', fill);
+        }
+    }
+};
\ No newline at end of file
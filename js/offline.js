@@ -0,0 +1,150 @@
+/**
+ * AccessiChef - Offline Support
+ * 
+ * This file registers the service worker (sw.js) that keeps the site working
+ * offline, shows an indicator while the connection is down and asks for the
+ * recipe data to be refreshed when it returns. Pages that show recipes can
+ * listen for the refreshed data.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Offline Support - Service worker registration and connection status
+ */
+const OfflineSupport = {
+    /**
+     * Service worker script, relative to the pages
+     */
+    serviceWorkerUrl: 'sw.js',
+    
+    /**
+     * Background sync tag the service worker refreshes recipe data for
+     */
+    syncTag: 'refresh-recipes',
+    
+    /**
+     * Service worker registration, once registered
+     */
+    registration: null,
+    
+    /**
+     * Offline indicator element
+     */
+    indicatorElement: null,
+    
+    /**
+     * Functions called when the service worker has fetched newer recipe data
+     */
+    listeners: [],
+    
+    /**
+     * Register the service worker and start watching the connection
+     */
+    init: function() {
+        this.createIndicator();
+        this.updateIndicator();
+        
+        window.addEventListener('offline', () => {
+            this.updateIndicator();
+            this.requestBackgroundRefresh();
+            AccessibilityFeatures.announceToScreenReader('You are offline. Recipes you have opened before are still available.');
+        });
+        
+        window.addEventListener('online', () => {
+            this.updateIndicator();
+            this.refreshNow();
+            AccessibilityFeatures.announceToScreenReader('You are back online.');
+        });
+        
+        // Service workers need a secure origin, which includes localhost
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+            return;
+        }
+        
+        navigator.serviceWorker.register(this.serviceWorkerUrl)
+            .then(registration => {
+                this.registration = registration;
+            })
+            .catch(error => {
+                console.warn('Could not register the service worker:', error);
+            });
+        
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'recipes-updated') {
+                this.listeners.forEach(listener => listener());
+            }
+        });
+    },
+    
+    /**
+     * Add a function to call when newer recipe data has been fetched
+     * @param {Function} listener - Function to call
+     */
+    addListener: function(listener) {
+        this.listeners.push(listener);
+    },
+    
+    /**
+     * Create the offline indicator below the page header
+     */
+    createIndicator: function() {
+        if (document.getElementById('offline-indicator')) {
+            this.indicatorElement = document.getElementById('offline-indicator');
+            return;
+        }
+        
+        const indicator = document.createElement('div');
+        indicator.id = 'offline-indicator';
+        indicator.className = 'offline-indicator d-none';
+        indicator.innerHTML = `
+            <i class="fas fa-wifi" aria-hidden="true"></i>
+            <strong>Offline.</strong> Showing saved recipes; your lists and settings are kept on this device.
+        `;
+        
+        const header = document.querySelector('header');
+        if (header) {
+            header.after(indicator);
+        } else {
+            document.body.prepend(indicator);
+        }
+        
+        this.indicatorElement = indicator;
+    },
+    
+    /**
+     * Show or hide the offline indicator to match the connection
+     */
+    updateIndicator: function() {
+        if (this.indicatorElement) {
+            this.indicatorElement.classList.toggle('d-none', navigator.onLine);
+        }
+    },
+    
+    /**
+     * Ask the browser to refresh the recipe data once the connection returns,
+     * even if the site has been closed by then. Browsers without background
+     * sync refresh from the online event instead.
+     */
+    requestBackgroundRefresh: function() {
+        if (this.registration && this.registration.sync) {
+            this.registration.sync.register(this.syncTag).catch(error => {
+                console.warn('Could not schedule a background refresh:', error);
+            });
+        }
+    },
+    
+    /**
+     * Ask the service worker to refresh the recipe data now
+     */
+    refreshNow: function() {
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: this.syncTag });
+        }
+    }
+};
@@ -3,6 +3,7 @@
  * 
  * This file contains functionality for loading, parsing, and managing recipe data.
  * It provides methods for retrieving recipe listings and detailed recipe information.
+ * Recipes are read through one of the adapters in data-sources.js.
  * 
  * @author Spencer Purdy
  * @version 1.0.0
@@ -16,76 +17,330 @@
  * Recipe Manager - Handles loading and processing recipe data
  */
 const RecipeManager = {
+    /**
+     * Data source recipes are read through, from RecipeDataSources
+     * Created from the saved configuration on first use.
+     */
+    dataSource: null,
+    
+    /**
+     * Recipes requested from the data source per page
+     */
+    pageSize: 50,
+    
+    /**
+     * How long loaded recipes are kept before being read again, in milliseconds
+     */
+    cacheMaxAge: 10 * 60 * 1000,
+    
     /**
      * Cache for loaded recipes to avoid redundant fetches
      */
     recipeCache: null,
     
     /**
-     * Load all recipes from the data source
+     * When the recipe cache was filled
+     */
+    cacheTime: 0,
+    
+    /**
+     * Recipes read from the data source so far, validated and classified, in
+     * source order; imported recipes are added after the last page
+     */
+    loadedRecipes: [],
+    
+    /**
+     * IDs of the loaded recipes, used to find repeats across pages
+     */
+    loadedIds: new Set(),
+    
+    /**
+     * Next page to request from the data source, and the number of recipes
+     * the source said it has (null until the first page arrives)
+     */
+    nextPage: 1,
+    sourceTotal: null,
+    
+    /**
+     * Number of entries read from the data source, valid or not
+     */
+    readCount: 0,
+    
+    /**
+     * Promise for a page still in progress, shared by concurrent callers
+     */
+    pendingPage: null,
+    
+    /**
+     * Recipes loaded one at a time, keyed by ID, for pages that don't need the full list
+     */
+    recipeDetails: {},
+    
+    /**
+     * Recipes left out because they failed validation, as { index, id, title, errors }
+     */
+    invalidRecipes: [],
+    
+    /**
+     * Get the data source, creating the configured one the first time
+     * @returns {Object} Data source
+     */
+    getDataSource: function() {
+        if (!this.dataSource) {
+            this.dataSource = RecipeDataSources.createConfigured();
+        }
+        return this.dataSource;
+    },
+    
+    /**
+     * Switch to another data source, dropping everything loaded from the old one
+     * @param {Object} source - Data source from RecipeDataSources
+     */
+    setDataSource: function(source) {
+        this.dataSource = source;
+        this.invalidateCache();
+    },
+    
+    /**
+     * Drop cached recipes so the next request reads them from the data source again
+     */
+    invalidateCache: function() {
+        this.recipeCache = null;
+        this.cacheTime = 0;
+        this.loadedRecipes = [];
+        this.loadedIds = new Set();
+        this.nextPage = 1;
+        this.sourceTotal = null;
+        this.readCount = 0;
+        this.pendingPage = null;
+        this.recipeDetails = {};
+        this.invalidRecipes = [];
+        
+        if (this.dataSource) {
+            this.dataSource.invalidate();
+        }
+    },
+    
+    /**
+     * Check whether the recipe cache is filled and recent enough to use
+     * @returns {boolean} True if the cache can be used
+     */
+    isCacheFresh: function() {
+        return Boolean(this.recipeCache) && Date.now() - this.cacheTime < this.cacheMaxAge;
+    },
+    
+    /**
+     * Check whether the data source has pages that haven't been read yet
+     * @returns {boolean} True if loadNextPage() would read more recipes
+     */
+    hasMorePages: function() {
+        return !this.recipeCache;
+    },
+    
+    /**
+     * Get the recipes loaded so far
+     * @returns {Array} All recipes once fully loaded, otherwise those from the pages read so far
+     */
+    getLoadedRecipes: function() {
+        return this.loadedRecipes;
+    },
+    
+    /**
+     * Get the number of recipes the list will have once fully loaded
+     * Until then this is an estimate, as recipes on later pages may turn out to be invalid.
+     * @returns {number} Number of recipes
+     */
+    getExpectedTotal: function() {
+        if (this.recipeCache) {
+            return this.recipeCache.length;
+        }
+        
+        ImportedRecipes.load();
+        const unread = Math.max((this.sourceTotal || 0) - this.readCount, 0);
+        return this.loadedRecipes.length + unread + ImportedRecipes.recipes.length;
+    },
+    
+    /**
+     * Validate and classify newly read recipes and add them to the loaded list
+     * @param {Array} recipes - Recipes as read
+     * @returns {Array} The recipes that passed validation
+     */
+    addLoadedRecipes: function(recipes) {
+        // Leave out recipes that don't match the schema rather than failing later
+        const result = RecipeValidator.validateRecipes(recipes, {
+            firstIndex: this.readCount,
+            seenIds: this.loadedIds
+        });
+        
+        this.readCount += recipes.length;
+        this.invalidRecipes = this.invalidRecipes.concat(result.invalid);
+        
+        if (result.invalid.length > 0) {
+            console.error('Invalid recipes left out:\n' + result.invalid.map(entry => {
+                return `${RecipeValidator.describeRecipe(entry)}: ${entry.errors.join('; ')}`;
+            }).join('\n'));
+        }
+        
+        // Tag each recipe with its allergens and diets
+        DietaryClassifier.classifyRecipes(result.valid);
+        this.loadedRecipes.push(...result.valid);
+        return result.valid;
+    },
+    
+    /**
+     * Read the next page of recipes from the data source
+     * After the last page, recipes imported on this device are added and the
+     * loaded recipes become the cached full list.
+     * @returns {Promise<Object>} Promise resolving to { recipes, complete }, where
+     *     recipes are the valid recipes the page added
+     */
+    loadNextPage: function() {
+        if (this.recipeCache) {
+            return Promise.resolve({ recipes: [], complete: true });
+        }
+        
+        if (this.pendingPage) {
+            return this.pendingPage;
+        }
+        
+        const page = this.nextPage;
+        const load = this.getDataSource().listRecipes(page, this.pageSize)
+            .then(result => {
+                // Ignore the page if the cache was invalidated while loading
+                if (this.pendingPage !== load) {
+                    return this.loadNextPage();
+                }
+                
+                this.sourceTotal = result.total;
+                this.nextPage = page + 1;
+                const added = this.addLoadedRecipes(result.recipes);
+                
+                // A short page means the listing ended, even if the total was off
+                const complete = this.readCount >= result.total || result.recipes.length < this.pageSize;
+                
+                if (complete) {
+                    // Recipes imported on this device are listed after the source's own
+                    ImportedRecipes.load();
+                    added.push(...this.addLoadedRecipes(ImportedRecipes.getRecipes()));
+                    
+                    this.recipeCache = this.loadedRecipes;
+                    this.cacheTime = Date.now();
+                }
+                
+                this.pendingPage = null;
+                return { recipes: added, complete: complete };
+            })
+            .catch(error => {
+                if (this.pendingPage === load) {
+                    this.pendingPage = null;
+                }
+                throw error;
+            });
+        
+        this.pendingPage = load;
+        return load;
+    },
+    
+    /**
+     * Load all recipes from the data source, reading whichever pages are left
+     * @param {Function} onProgress - Optional callback given (loaded, total) after each page
      * @returns {Promise<Array>} Promise resolving to array of recipe objects
      */
-    loadAllRecipes: function() {
+    loadAllRecipes: function(onProgress) {
         // Return cached recipes if available
-        if (this.recipeCache) {
+        if (this.isCacheFresh()) {
             return Promise.resolve(this.recipeCache);
         }
         
-        // Fetch recipes from data file
-        return fetch('data/recipes.json')
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error('Failed to load recipes: ' + response.status);
+        if (this.recipeCache) {
+            // Past its age, so make sure the source doesn't answer from its own cache
+            this.invalidateCache();
+        }
+        
+        return this.loadNextPage()
+            .then(result => {
+                if (result.complete) {
+                    return this.recipeCache;
                 }
-                return response.json();
-            })
-            .then(data => {
-                // Cache the recipes
-                this.recipeCache = data.recipes;
-                return this.recipeCache;
+                
+                if (onProgress) {
+                    onProgress(this.readCount, this.sourceTotal);
+                }
+                return this.loadAllRecipes(onProgress);
             });
     },
     
     /**
      * Load a specific recipe by ID
+     * Uses the recipes already listed if it's among them, and otherwise looks among the
+     * imported recipes and then asks the data source for just this recipe.
      * @param {string} recipeId - ID of the recipe to load
      * @returns {Promise<Object>} Promise resolving to recipe object
      */
     loadRecipe: function(recipeId) {
-        return this.loadAllRecipes()
-            .then(recipes => {
-                const recipe = recipes.find(r => r.id === recipeId);
+        const listed = this.getLoadedRecipes().find(r => r.id === recipeId);
+        if (listed) {
+            return Promise.resolve(listed);
+        }
+        
+        if (this.recipeDetails[recipeId]) {
+            return Promise.resolve(this.recipeDetails[recipeId]);
+        }
+        
+        ImportedRecipes.load();
+        const imported = ImportedRecipes.getRecipe(recipeId);
+        
+        return (imported ? Promise.resolve(imported) : this.getDataSource().getRecipe(recipeId))
+            .then(recipe => {
                 if (!recipe) {
                     throw new Error('Recipe not found: ' + recipeId);
                 }
+                
+                const errors = RecipeValidator.validateRecipe(recipe);
+                if (errors.length > 0) {
+                    throw new Error(`Invalid recipe data for ${recipeId}: ${errors.join('; ')}`);
+                }
+                
+                DietaryClassifier.classifyRecipes([recipe]);
+                this.recipeDetails[recipeId] = recipe;
                 return recipe;
             });
     },
     
     /**
-     * Search recipes by query terms
-     * @param {string} query - Search query to match against recipes
-     * @returns {Promise<Array>} Promise resolving to filtered array of recipe objects
+     * Get the search index, building it over all recipes the first time
+     * @returns {Promise<Object>} Promise resolving to RecipeSearch once indexed
      */
-    searchRecipes: function(query) {
-        // Normalize query
-        query = query.trim().toLowerCase();
-        
-        if (!query) {
-            return this.loadAllRecipes();
-        }
-        
+    getSearchIndex: function() {
         return this.loadAllRecipes()
             .then(recipes => {
-                return recipes.filter(recipe => {
-                    // Match against title, description, and ingredients
-                    return recipe.title.toLowerCase().includes(query) || 
-                           recipe.description.toLowerCase().includes(query) ||
-                           recipe.ingredients.some(ing => ing.name.toLowerCase().includes(query));
-                });
+                if (!RecipeSearch.index || RecipeSearch.index.recipes !== recipes) {
+                    RecipeSearch.buildIndex(recipes);
+                }
+                return RecipeSearch;
             });
     },
     
+    /**
+     * Search recipes and rank them by relevance
+     * @param {string} query - Search query
+     * @returns {Promise<Array>} Promise resolving to results as { recipe, score, terms }, best first
+     */
+    rankRecipes: function(query) {
+        return this.getSearchIndex()
+            .then(search => search.search(query));
+    },
+    
+    /**
+     * Search recipes by query terms
+     * @param {string} query - Search query to match against recipes
+     * @returns {Promise<Array>} Promise resolving to matching recipe objects, most relevant first
+     */
+    searchRecipes: function(query) {
+        return this.rankRecipes(query)
+            .then(results => results.map(result => result.recipe));
+    },
+    
     /**
      * Filter recipes by category
      * @param {string} category - Category to filter by
@@ -0,0 +1,343 @@
+/**
+ * AccessiChef - Shopping List
+ * 
+ * This file manages a shopping list built from one or more recipes. Each
+ * recipe's scaled ingredients are kept as separate contributions so a recipe
+ * can be updated or removed later, and quantities of the same ingredient are
+ * merged whenever their units can be converted into each other.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Shopping List - Stores, merges and groups shopping list items
+ */
+const ShoppingList = {
+    /**
+     * Storage key for the saved list
+     */
+    storageKey: 'accessichef_shopping_list',
+    
+    /**
+     * Recipes on the list, as { id, title, servings }
+     */
+    recipes: [],
+    
+    /**
+     * Items on the list, as { key, name, aisle, checked, sources }
+     * Each source is a { recipeId, amount, unit } contribution from one recipe.
+     */
+    items: [],
+    
+    /**
+     * Store aisles in walking order, each with keywords matched against
+     * whole words of the ingredient key. Aisles are checked in order, so
+     * more specific keywords ("peanut butter") come before general ones ("butter").
+     */
+    aisles: [
+        { name: 'Spices and Seasonings', keywords: ['salt', 'black pepper', 'red pepper flake', 'cinnamon', 'cumin', 'paprika', 'turmeric', 'nutmeg', 'chili powder', 'curry powder', 'garam masala', 'oregano', 'dried thyme', 'bay leaf', 'spice', 'seasoning'] },
+        { name: 'Baking', keywords: ['flour', 'sugar', 'baking soda', 'baking powder', 'yeast', 'cornstarch', 'cocoa powder', 'chocolate chip', 'vanilla extract', 'breadcrumb', 'shredded coconut'] },
+        { name: 'Pantry', keywords: ['oil', 'vinegar', 'soy sauce', 'honey', 'syrup', 'tahini', 'peanut butter', 'broth', 'stock', 'coconut milk', 'tomato paste', 'crushed tomato', 'diced tomato', 'canned', 'bean', 'chickpea', 'lentil', 'olive', 'wine', 'nut', 'walnut', 'seed', 'raisin', 'dried fruit', 'oat', 'water'] },
+        { name: 'Bread, Pasta and Grains', keywords: ['bread', 'bun', 'tortilla', 'pasta', 'rice', 'quinoa', 'noodle'] },
+        { name: 'Dairy and Eggs', keywords: ['milk', 'butter', 'cheese', 'yogurt', 'cream', 'egg'] },
+        { name: 'Meat and Fish', keywords: ['chicken', 'beef', 'pork', 'turkey', 'bacon', 'salmon', 'fish', 'shrimp', 'tofu'] },
+        { name: 'Frozen', keywords: ['frozen'] },
+        { name: 'Produce', keywords: ['onion', 'garlic', 'tomato', 'pepper', 'zucchini', 'carrot', 'celery', 'potato', 'spinach', 'lettuce', 'cucumber', 'avocado', 'banana', 'apple', 'berry', 'lemon', 'lime', 'mushroom', 'broccoli', 'pea', 'ginger', 'basil', 'parsley', 'cilantro', 'dill', 'thyme', 'herb'] }
+    ],
+    
+    /**
+     * Aisle used for anything that matches no keyword
+     */
+    otherAisle: 'Other',
+    
+    /**
+     * Leading words of comma-separated notes that describe preparation rather
+     * than what to buy, as in "onion, diced" or "sesame seeds, for garnish"
+     */
+    preparationWords: [
+        'diced', 'minced', 'sliced', 'chopped', 'halved', 'rinsed', 'drained', 'peeled', 'cored', 'cubed',
+        'grated', 'crumbled', 'mashed', 'melted', 'softened', 'packed', 'pitted', 'julienned', 'cut', 'thinly',
+        'finely', 'roughly', 'cold', 'warm', 'fresh', 'for'
+    ],
+    
+    /**
+     * Descriptor words that still change what is bought, so "diced tomatoes"
+     * (canned) and "tomatoes" (fresh) stay separate items
+     */
+    distinctWords: ['diced', 'canned', 'frozen', 'dried'],
+    
+    /**
+     * Load the saved list
+     */
+    load: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            
+            if (saved && Array.isArray(saved.items)) {
+                this.recipes = Array.isArray(saved.recipes) ? saved.recipes : [];
+                this.items = saved.items;
+            }
+        } catch (error) {
+            console.warn('Could not load shopping list:', error);
+        }
+    },
+    
+    /**
+     * Save the list
+     */
+    save: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                recipes: this.recipes,
+                items: this.items
+            }));
+        } catch (error) {
+            console.error('Error saving shopping list:', error);
+        }
+    },
+    
+    /**
+     * Get the name to shop for, without preparation notes
+     * @param {string} name - Ingredient name as written in the recipe
+     * @returns {string} Shopping name
+     */
+    getShoppingName: function(name) {
+        // Split on commas outside parentheses, so "(raisins, cranberries)" stays whole
+        const parts = String(name || '').split(/,(?![^(]*\))/).map(part => part.trim()).filter(part => part);
+        
+        const kept = parts.filter((part, index) => {
+            const firstWord = part.toLowerCase().split(/\s+/)[0];
+            return index === 0 || !this.preparationWords.includes(firstWord);
+        });
+        
+        return kept.join(', ');
+    },
+    
+    /**
+     * Get the key used to merge ingredients with the same name
+     * @param {string} name - Shopping name
+     * @returns {string} Merge key
+     */
+    getKey: function(name) {
+        const words = name
+            .toLowerCase()
+            .replace(/\([^)]*\)/g, ' ')
+            .replace(/[^a-z\s-]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word)
+            .map(word => IngredientDensity.singularize(word));
+        
+        const coreWords = words.filter(word => {
+            return this.distinctWords.includes(word) || !IngredientDensity.descriptorWords.includes(word);
+        });
+        
+        return (coreWords.length > 0 ? coreWords : words).join(' ');
+    },
+    
+    /**
+     * Find the aisle an ingredient is usually found in
+     * @param {string} key - Merge key of the ingredient
+     * @returns {string} Aisle name
+     */
+    getAisle: function(key) {
+        const padded = ` ${key} `;
+        
+        const aisle = this.aisles.find(candidate => {
+            return candidate.keywords.some(keyword => padded.includes(` ${keyword} `));
+        });
+        
+        return aisle ? aisle.name : this.otherAisle;
+    },
+    
+    /**
+     * Add a recipe's ingredients at the given servings
+     * Adding a recipe that is already on the list replaces its earlier amounts.
+     * @param {Object} recipe - Recipe object
+     * @param {number} servings - Number of servings to shop for
+     * @returns {boolean} True if the recipe was already on the list
+     */
+    addRecipe: function(recipe, servings) {
+        const wasListed = this.removeRecipe(recipe.id, false);
+        
+        this.recipes.push({ id: recipe.id, title: recipe.title, servings: servings });
+        this.addIngredients(this.items, recipe, servings);
+        
+        this.save();
+        return wasListed;
+    },
+    
+    /**
+     * Add a recipe's scaled ingredients to a list of items, merging by name
+     * Used for the saved list and for lists built elsewhere, such as the meal plan.
+     * @param {Array} items - Items to add to
+     * @param {Object} recipe - Recipe object
+     * @param {number} servings - Number of servings to shop for
+     * @returns {Array} The same items array
+     */
+    addIngredients: function(items, recipe, servings) {
+        const ratio = servings / recipe.servings;
+        
+        recipe.ingredients.forEach(ingredient => {
+            const name = this.getShoppingName(ingredient.name);
+            const key = this.getKey(name);
+            
+            let item = items.find(existing => existing.key === key);
+            if (!item) {
+                item = { key: key, name: name, aisle: this.getAisle(key), checked: false, sources: [] };
+                items.push(item);
+            }
+            
+            // Amounts are stored unrounded so merged totals stay accurate
+            const unscaled = IngredientScaler.unscaledUnits.includes(ingredient.unit);
+            item.sources.push({
+                recipeId: recipe.id,
+                amount: unscaled ? ingredient.amount : ingredient.amount * ratio,
+                unit: ingredient.unit
+            });
+        });
+        
+        return items;
+    },
+    
+    /**
+     * Remove a recipe and its contributions from the list
+     * @param {string} recipeId - ID of the recipe to remove
+     * @param {boolean} persist - Whether to save afterwards (defaults to true)
+     * @returns {boolean} True if the recipe was on the list
+     */
+    removeRecipe: function(recipeId, persist) {
+        const wasListed = this.recipes.some(recipe => recipe.id === recipeId);
+        
+        this.recipes = this.recipes.filter(recipe => recipe.id !== recipeId);
+        this.items.forEach(item => {
+            item.sources = item.sources.filter(source => source.recipeId !== recipeId);
+        });
+        this.items = this.items.filter(item => item.sources.length > 0);
+        
+        if (persist !== false) {
+            this.save();
+        }
+        
+        return wasListed;
+    },
+    
+    /**
+     * Check or uncheck an item
+     * @param {string} key - Merge key of the item
+     * @param {boolean} checked - Whether the item has been picked up
+     */
+    setChecked: function(key, checked) {
+        const item = this.items.find(existing => existing.key === key);
+        
+        if (item) {
+            item.checked = checked;
+            this.save();
+        }
+    },
+    
+    /**
+     * Remove every checked item
+     * Recipes with no items left are removed too.
+     */
+    clearChecked: function() {
+        this.items = this.items.filter(item => !item.checked);
+        this.recipes = this.recipes.filter(recipe => {
+            return this.items.some(item => item.sources.some(source => source.recipeId === recipe.id));
+        });
+        this.save();
+    },
+    
+    /**
+     * Remove everything from the list
+     */
+    clear: function() {
+        this.recipes = [];
+        this.items = [];
+        this.save();
+    },
+    
+    /**
+     * Merge an item's contributions into as few quantities as possible
+     * Amounts are added together when MeasurementConverter can convert between
+     * their units; otherwise they are listed separately.
+     * @param {Object} item - Shopping list item
+     * @returns {Array} Merged quantities as { amount, unit }
+     */
+    mergeQuantities: function(item) {
+        const quantities = [];
+        
+        item.sources.forEach(source => {
+            // Vague amounts such as "to taste" are listed once and never added up
+            if (IngredientScaler.unscaledUnits.includes(source.unit)) {
+                if (!quantities.some(quantity => quantity.unit === source.unit)) {
+                    quantities.push({ amount: source.amount, unit: source.unit });
+                }
+                return;
+            }
+            
+            const match = quantities.find(quantity => {
+                return quantity.unit === source.unit || MeasurementConverter.convert(1, source.unit, quantity.unit) !== null;
+            });
+            
+            if (!match) {
+                quantities.push({ amount: source.amount, unit: source.unit });
+            } else if (match.unit === source.unit) {
+                match.amount += source.amount;
+            } else {
+                match.amount += MeasurementConverter.convert(source.amount, source.unit, match.unit);
+            }
+        });
+        
+        return quantities;
+    },
+    
+    /**
+     * Describe an item's total quantity for display
+     * @param {Object} item - Shopping list item
+     * @returns {string} Quantity text, such as "1 ½ cup + 2" or "to taste"
+     */
+    formatQuantity: function(item) {
+        return this.mergeQuantities(item).map(quantity => {
+            if (IngredientScaler.unscaledUnits.includes(quantity.unit)) {
+                return quantity.unit;
+            }
+            
+            const normalized = IngredientScaler.normalize(quantity.amount, quantity.unit);
+            return MeasurementConverter.formatMeasurement(normalized.amount, normalized.unit);
+        }).join(' + ');
+    },
+    
+    /**
+     * Get the titles of the recipes an item is needed for
+     * @param {Object} item - Shopping list item
+     * @returns {Array<string>} Recipe titles
+     */
+    getRecipeTitles: function(item) {
+        return this.recipes
+            .filter(recipe => item.sources.some(source => source.recipeId === recipe.id))
+            .map(recipe => recipe.title);
+    },
+    
+    /**
+     * Group items by aisle, in store order
+     * @param {Array} items - Optional items to group; defaults to the saved list
+     * @returns {Array} Groups as { aisle, items }, with empty aisles left out
+     */
+    getItemsByAisle: function(items) {
+        const aisleNames = this.aisles.map(aisle => aisle.name).concat(this.otherAisle);
+        
+        return aisleNames
+            .map(aisle => ({
+                aisle: aisle,
+                items: (items || this.items)
+                    .filter(item => item.aisle === aisle)
+                    .sort((a, b) => a.name.localeCompare(b.name))
+            }))
+            .filter(group => group.items.length > 0);
+    }
+};
@@ -0,0 +1,250 @@
+/**
+ * AccessiChef - Ingredient Substitutions
+ * 
+ * This file suggests substitutes for ingredients someone can't eat or doesn't
+ * have, using a table of swap rules with their ratios, and remembers the swaps
+ * chosen for each recipe. Quantities are rewritten through MeasurementConverter
+ * so a substitute measured differently from the original (oil by volume in
+ * place of butter by weight) still gets a sensible amount.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Ingredient Substitutions - Swap rules and saved swaps per recipe
+ */
+const IngredientSubstitutions = {
+    /**
+     * Storage key for the saved swaps
+     */
+    storageKey: 'accessichef_substitutions',
+    
+    /**
+     * Swap rules. Each matches ingredient names containing one of its
+     * keywords (as whole words, with or without a plural ending) and none of
+     * its exclusions. The substitute amount is the original times the ratio;
+     * with measure 'volume', a weighed original is first converted to volume.
+     * Rules with a unit replace counted ingredients ("3 garlic cloves") with
+     * ratio units of the substitute per item.
+     */
+    rules: [
+        { id: 'butter-olive-oil', keywords: ['butter'], excludes: ['peanut butter', 'nut butter'], name: 'olive oil', ratio: 0.75, measure: 'volume', note: 'for savoury dishes and quick breads' },
+        { id: 'butter-coconut-oil', keywords: ['butter'], excludes: ['peanut butter', 'nut butter'], name: 'coconut oil', ratio: 1, measure: 'volume', note: 'dairy-free, firm when cold like butter' },
+        { id: 'egg-flax-egg', keywords: ['egg'], excludes: ['flax egg'], name: 'flax egg (1 tbsp ground flaxseed + 3 tbsp water each)', ratio: 1, counted: true, note: 'egg-free binder for baking' },
+        { id: 'milk-plant-milk', keywords: ['milk'], excludes: ['coconut milk', 'buttermilk', 'plant-based'], name: 'unsweetened oat or soy milk', ratio: 1, note: 'dairy-free' },
+        { id: 'cream-coconut-cream', keywords: ['heavy cream', 'cream'], excludes: ['coconut cream', 'sour cream', 'ice cream'], name: 'coconut cream', ratio: 1, note: 'dairy-free' },
+        { id: 'yogurt-coconut-yogurt', keywords: ['yogurt'], excludes: ['coconut yogurt'], name: 'coconut yogurt', ratio: 1, note: 'dairy-free' },
+        { id: 'parmesan-nutritional-yeast', keywords: ['parmesan'], name: 'nutritional yeast', ratio: 0.5, note: 'dairy-free, with a similar savoury taste' },
+        { id: 'flour-gluten-free', keywords: ['all-purpose flour', 'plain flour'], name: 'gluten-free all-purpose flour blend', ratio: 1, note: 'gluten-free' },
+        { id: 'pasta-gluten-free', keywords: ['pasta'], excludes: ['gluten-free'], name: 'gluten-free pasta', ratio: 1, note: 'gluten-free' },
+        { id: 'breadcrumbs-oats', keywords: ['breadcrumb'], name: 'rolled oats, blitzed fine', ratio: 1, note: 'use gluten-free oats if needed' },
+        { id: 'soy-sauce-tamari', keywords: ['soy sauce'], name: 'tamari', ratio: 1, note: 'gluten-free soy sauce' },
+        { id: 'soy-sauce-coconut-aminos', keywords: ['soy sauce'], name: 'coconut aminos', ratio: 1, note: 'soy-free and gluten-free' },
+        { id: 'honey-maple-syrup', keywords: ['honey'], name: 'maple syrup', ratio: 1, note: 'vegan' },
+        { id: 'sugar-honey', keywords: ['granulated sugar'], name: 'honey', ratio: 0.75, measure: 'volume', note: 'reduce other liquids slightly' },
+        { id: 'nuts-seeds', keywords: ['walnut', 'nut'], name: 'sunflower or pumpkin seeds', ratio: 1, note: 'nut-free' },
+        { id: 'lemon-juice-vinegar', keywords: ['lemon juice'], name: 'white wine vinegar', ratio: 0.5, note: 'sharper, so use half' },
+        { id: 'wine-broth', keywords: ['white wine', 'wine'], excludes: ['vinegar'], name: 'vegetable broth with 1 tsp lemon juice', ratio: 1, note: 'alcohol-free' },
+        { id: 'garlic-powder', keywords: ['garlic clove'], name: 'garlic powder', ratio: 0.125, unit: 'tsp', note: 'when you have no fresh garlic' }
+    ],
+    
+    /**
+     * Saved swaps keyed by recipe ID, then by ingredient index, as rule IDs
+     */
+    swaps: {},
+    
+    /**
+     * Load the saved swaps
+     */
+    load: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            
+            if (saved && typeof saved === 'object') {
+                this.swaps = saved;
+            }
+        } catch (error) {
+            console.warn('Could not load ingredient swaps:', error);
+        }
+    },
+    
+    /**
+     * Save the swaps
+     */
+    save: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.swaps));
+        } catch (error) {
+            console.error('Error saving ingredient swaps:', error);
+        }
+    },
+    
+    /**
+     * Check whether a name contains a phrase as whole words
+     * @param {string} name - Lowercase ingredient name
+     * @param {string} phrase - Lowercase word or phrase
+     * @returns {boolean} True if found, allowing a plural ending
+     */
+    containsPhrase: function(name, phrase) {
+        return new RegExp(`(?<![a-z])${phrase.replace(/\s+/g, '\\s+')}(?:e?s)?(?![a-z])`).test(name);
+    },
+    
+    /**
+     * Find the rules that apply to an ingredient
+     * @param {Object} ingredient - Ingredient object as written in the recipe
+     * @returns {Array} Matching rules, in table order
+     */
+    getRules: function(ingredient) {
+        const name = String(ingredient.name || '').toLowerCase();
+        
+        return this.rules.filter(rule => {
+            if ((rule.counted || rule.unit) && ingredient.unit !== '') {
+                return false;
+            }
+            
+            return rule.keywords.some(keyword => this.containsPhrase(name, keyword)) &&
+                !(rule.excludes || []).some(phrase => name.includes(phrase));
+        });
+    },
+    
+    /**
+     * Find a rule by ID
+     * @param {string} ruleId - Rule ID
+     * @returns {Object|null} Rule, or null if there is no such rule
+     */
+    getRule: function(ruleId) {
+        return this.rules.find(rule => rule.id === ruleId) || null;
+    },
+    
+    /**
+     * Describe how much of a substitute to use, for the swap control
+     * @param {Object} rule - Swap rule
+     * @returns {string} Description, such as "¾ as much"
+     */
+    describeRatio: function(rule) {
+        if (rule.unit) {
+            return `${MeasurementConverter.formatMeasurement(rule.ratio, rule.unit)} per item`;
+        }
+        
+        return rule.ratio === 1 ? 'same amount' : `${MeasurementConverter.formatAmount(rule.ratio, '')} as much`;
+    },
+    
+    /**
+     * Work out the substitute for an ingredient
+     * @param {Object} ingredient - Ingredient object as written in the recipe
+     * @param {Object} rule - Swap rule to apply
+     * @returns {Object} Ingredient with the substitute's name, amount and unit, plus
+     *     originalName, ruleId and an estimated flag
+     */
+    applyRule: function(ingredient, rule) {
+        let amount = ingredient.amount;
+        let unit = ingredient.unit;
+        let estimated = false;
+        
+        if (rule.unit) {
+            unit = rule.unit;
+        } else if (rule.measure === 'volume' && MeasurementConverter.isWeightUnit(unit)) {
+            // Measure the original by volume so the ratio compares like with like
+            const volume = MeasurementConverter.convertWeightToVolume(amount, unit, ingredient.name);
+            if (volume) {
+                amount = volume.amount;
+                unit = volume.unit;
+                estimated = volume.estimated;
+            }
+        }
+        
+        return {
+            name: rule.name,
+            amount: IngredientScaler.unscaledUnits.includes(unit) ? amount : amount * rule.ratio,
+            unit: unit,
+            originalName: ingredient.name,
+            ruleId: rule.id,
+            estimated: estimated
+        };
+    },
+    
+    /**
+     * Get the swaps chosen for a recipe
+     * @param {string} recipeId - Recipe ID
+     * @returns {Object} Rule IDs keyed by ingredient index
+     */
+    getSwaps: function(recipeId) {
+        return this.swaps[recipeId] || {};
+    },
+    
+    /**
+     * Choose or undo a swap
+     * @param {string} recipeId - Recipe ID
+     * @param {number} index - Ingredient index in the recipe
+     * @param {string} ruleId - Rule ID, or an empty value to use the original ingredient
+     */
+    setSwap: function(recipeId, index, ruleId) {
+        const recipeSwaps = Object.assign({}, this.getSwaps(recipeId));
+        
+        if (ruleId) {
+            recipeSwaps[index] = ruleId;
+        } else {
+            delete recipeSwaps[index];
+        }
+        
+        if (Object.keys(recipeSwaps).length > 0) {
+            this.swaps[recipeId] = recipeSwaps;
+        } else {
+            delete this.swaps[recipeId];
+        }
+        
+        this.save();
+    },
+    
+    /**
+     * Undo every swap in a recipe
+     * @param {string} recipeId - Recipe ID
+     */
+    clearSwaps: function(recipeId) {
+        delete this.swaps[recipeId];
+        this.save();
+    },
+    
+    /**
+     * Get a recipe's ingredients with its saved swaps applied
+     * Swaps whose rule no longer applies are ignored.
+     * @param {Object} recipe - Recipe object
+     * @returns {Array} Ingredients; swapped ones also have originalName and ruleId
+     */
+    getIngredients: function(recipe) {
+        const recipeSwaps = this.getSwaps(recipe.id);
+        
+        return recipe.ingredients.map((ingredient, index) => {
+            const rule = this.getRule(recipeSwaps[index]);
+            
+            if (!rule || !this.getRules(ingredient).includes(rule)) {
+                return ingredient;
+            }
+            
+            return this.applyRule(ingredient, rule);
+        });
+    },
+    
+    /**
+     * Count the swaps that apply to a recipe
+     * @param {Object} recipe - Recipe object
+     * @returns {number} Number of swapped ingredients
+     */
+    countSwaps: function(recipe) {
+        return this.getIngredients(recipe).filter(ingredient => ingredient.ruleId).length;
+    },
+    
+    /**
+     * Get a copy of a recipe with its saved swaps applied
+     * @param {Object} recipe - Recipe object
+     * @returns {Object} Recipe with swapped ingredients
+     */
+    applyToRecipe: function(recipe) {
+        return Object.assign({}, recipe, { ingredients: this.getIngredients(recipe) });
+    }
+};
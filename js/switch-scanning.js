@@ -0,0 +1,553 @@
+/**
+ * AccessiChef - Switch Scanning
+ * 
+ * This file provides a scanning mode for users who operate the app with one
+ * switch. A highlight moves through the groups on the page, such as the
+ * navigation, each recipe card and the step controls; choosing a group moves
+ * the highlight through the controls inside it. Space, Enter or a click
+ * chooses the highlighted item, so a switch that sends any of them works.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Switch Scanning - Single-switch scanning of groups, then controls
+ */
+const SwitchScanning = {
+    /**
+     * Times to go round without a choice before scanning pauses
+     */
+    maxLoops: 3,
+    
+    /**
+     * Elements that can be chosen inside a group
+     */
+    controlSelector: 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])',
+    
+    /**
+     * Whether scanning is running on this page
+     */
+    active: false,
+    
+    /**
+     * What is being scanned: 'regions' for the groups, or 'controls' for the controls in one group
+     */
+    level: 'regions',
+    
+    /**
+     * Group being scanned when the level is 'controls'
+     */
+    region: null,
+    
+    /**
+     * Highlighted item, with its element, label and kind ('region', 'control' or 'exit')
+     */
+    current: null,
+    
+    /**
+     * Times round the current items without a choice
+     */
+    loops: 0,
+    
+    /**
+     * Why scanning is waiting instead of moving: '' while moving, 'idle' after
+     * going round without a choice, or 'typing' while a text field has focus
+     */
+    waiting: '',
+    
+    /**
+     * Timeout that moves the highlight on
+     */
+    timer: null,
+    
+    /**
+     * Set while a chosen control is being clicked, so the click isn't taken as a choice
+     */
+    activating: false,
+    
+    /**
+     * Status bar shown while scanning
+     */
+    statusBar: null,
+    
+    /**
+     * Whether the key and click listeners have been added
+     */
+    listening: false,
+    
+    /**
+     * Start or stop scanning to match the saved preferences
+     */
+    update: function() {
+        const settings = AccessibilityFeatures.switchScanning;
+        
+        document.querySelectorAll('#switch-scanning-toggle').forEach(button => {
+            button.setAttribute('aria-pressed', String(settings.enabled));
+        });
+        
+        if (settings.enabled && !this.active) {
+            this.start();
+        } else if (!settings.enabled && this.active) {
+            this.stop();
+        } else if (this.active) {
+            this.updateStatusBar();
+        }
+    },
+    
+    /**
+     * Start scanning from the first group
+     */
+    start: function() {
+        this.addListeners();
+        this.ensureStatusBar().classList.remove('d-none');
+        document.body.classList.add('switch-scanning');
+        
+        this.active = true;
+        this.level = 'regions';
+        this.region = null;
+        this.current = null;
+        this.loops = 0;
+        this.waiting = '';
+        this.advance();
+    },
+    
+    /**
+     * Stop scanning and remove the highlight
+     */
+    stop: function() {
+        clearTimeout(this.timer);
+        this.active = false;
+        this.waiting = '';
+        this.highlight(null);
+        document.body.classList.remove('switch-scanning');
+        
+        if (this.statusBar) {
+            this.statusBar.classList.add('d-none');
+        }
+    },
+    
+    /**
+     * Listen for the switch: Space, Enter or a click anywhere on the page
+     */
+    addListeners: function() {
+        if (this.listening) {
+            return;
+        }
+        this.listening = true;
+        
+        // Capture the keys before the page's own handlers see them
+        document.addEventListener('keydown', (e) => {
+            if (!this.active) {
+                return;
+            }
+            
+            if (e.key === 'Escape') {
+                if (this.waiting === 'typing') {
+                    e.preventDefault();
+                    document.activeElement.blur();
+                    this.resume();
+                } else if (this.level === 'controls') {
+                    e.preventDefault();
+                    this.leaveRegion();
+                }
+                return;
+            }
+            
+            // Keys pressed on a status bar button that has focus use that button
+            if ((e.key === ' ' || e.key === 'Enter') && this.waiting !== 'typing' && !this.isDirect(e.target)) {
+                e.preventDefault();
+                e.stopPropagation();
+                
+                // A switch held down repeats the key, which would choose several items
+                if (!e.repeat) {
+                    this.select();
+                }
+            }
+        }, true);
+        
+        // Browsers click a button when Space is released, so stop that too
+        document.addEventListener('keyup', (e) => {
+            if (this.active && e.key === ' ' && this.waiting !== 'typing' && !this.isDirect(e.target)) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        }, true);
+        
+        document.addEventListener('click', (e) => {
+            if (!this.active || this.activating || e.target.closest('[data-scan-ignore]') || this.isDirect(e.target)) {
+                return;
+            }
+            
+            e.preventDefault();
+            e.stopPropagation();
+            this.select();
+        }, true);
+    },
+    
+    /**
+     * Check whether an event target is inside an element marked data-scan-direct,
+     * whose controls are scanned like any other but can also be clicked or
+     * pressed directly without being taken as a switch press
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} True if the target is a direct control
+     */
+    isDirect: function(target) {
+        return Boolean(target && target.closest && target.closest('[data-scan-direct]'));
+    },
+    
+    /**
+     * Check whether an element is shown on the page
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean} True if the element takes up space and isn't hidden
+     */
+    isVisible: function(element) {
+        return element.getClientRects().length > 0 && window.getComputedStyle(element).visibility !== 'hidden';
+    },
+    
+    /**
+     * Get the groups to scan: each element marked with data-scan-region, then
+     * any controls outside them as one more group, or an open dialog
+     * @returns {Array<Object>} Groups with an element, label and controls
+     */
+    getRegions: function() {
+        // An open dialog, such as the shortcut help, is the only group until it closes
+        const dialog = [...document.querySelectorAll('dialog[open]')].find(element => this.isVisible(element));
+        if (dialog) {
+            const heading = document.getElementById(dialog.getAttribute('aria-labelledby'));
+            const controls = this.getControls(dialog);
+            return controls.length > 0 ? [{ element: dialog, label: heading ? heading.textContent.trim() : 'Dialog', controls: controls }] : [];
+        }
+        
+        const marked = [...document.querySelectorAll('[data-scan-region]')].filter(element => this.isVisible(element));
+        const regions = marked.map(element => ({
+            element: element,
+            label: element.dataset.scanRegion,
+            controls: this.getControls(element).filter(control => control.closest('[data-scan-region]') === element)
+        }));
+        
+        const others = this.getControls(document.body).filter(control => !control.closest('[data-scan-region]'));
+        if (others.length > 0) {
+            regions.push({
+                element: document.querySelector('main') || document.body,
+                label: 'Other controls on this page',
+                controls: others
+            });
+        }
+        
+        return regions.filter(region => region.controls.length > 0);
+    },
+    
+    /**
+     * Get the controls that can be chosen inside an element
+     * @param {HTMLElement} container - Element to look in
+     * @returns {Array<HTMLElement>} Visible, enabled controls in page order
+     */
+    getControls: function(container) {
+        return [...container.querySelectorAll(this.controlSelector)]
+            .filter(control => !control.disabled && !control.closest('[data-scan-ignore]') && this.isVisible(control));
+    },
+    
+    /**
+     * Get the items to scan at the current level
+     * Controls are followed by an item that leaves the group.
+     * @returns {Array<Object>} Items with an element, label and kind
+     */
+    getItems: function() {
+        const regions = this.getRegions();
+        
+        if (this.level === 'controls') {
+            const region = regions.find(entry => entry.element === this.region.element && entry.label === this.region.label);
+            if (region) {
+                this.region = region;
+                return region.controls
+                    .map(control => ({ element: control, label: this.getLabel(control), kind: 'control' }))
+                    .concat({ element: region.element, label: `Leave ${region.label}`, kind: 'exit' });
+            }
+            
+            // The group has gone, for example after a view change, so go back to the groups
+            this.level = 'regions';
+            this.region = null;
+        }
+        
+        return regions.map(region => ({ element: region.element, label: region.label, kind: 'region', region: region }));
+    },
+    
+    /**
+     * Get a name for a control to show in the status bar
+     * @param {HTMLElement} control - Control element
+     * @returns {string} Control name
+     */
+    getLabel: function(control) {
+        const label = control.labels && control.labels.length > 0 ? control.labels[0].textContent : '';
+        
+        return (control.getAttribute('aria-label') || label || control.textContent || control.value ||
+            control.title || 'Unnamed control').trim().replace(/\s+/g, ' ').replace(/:$/, '');
+    },
+    
+    /**
+     * Move the highlight to the next item, pausing after going round too often
+     */
+    advance: function() {
+        clearTimeout(this.timer);
+        
+        const items = this.getItems();
+        // Keep checking, since recipe cards and other controls can be added after the page loads
+        if (items.length === 0) {
+            this.highlight(null);
+            this.setStatus('Nothing to choose yet.');
+            this.schedule();
+            return;
+        }
+        
+        let index = this.current ? items.findIndex(item => item.element === this.current.element && item.kind === this.current.kind) + 1 : 0;
+        if (index >= items.length) {
+            index = 0;
+            this.loops++;
+        }
+        
+        if (this.loops >= this.maxLoops) {
+            this.waiting = 'idle';
+            this.setStatus('Scanning paused. Press your switch to start again.');
+            return;
+        }
+        
+        this.highlight(items[index]);
+        this.schedule();
+    },
+    
+    /**
+     * Wait for the chosen scan speed, then move on
+     */
+    schedule: function() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.advance(), AccessibilityFeatures.switchScanning.interval);
+    },
+    
+    /**
+     * Highlight an item and show its name
+     * @param {Object|null} item - Item to highlight, or null to remove the highlight
+     */
+    highlight: function(item) {
+        document.querySelectorAll('.scan-highlight').forEach(element => {
+            element.classList.remove('scan-highlight', 'scan-highlight-exit');
+        });
+        
+        this.current = item;
+        if (!item) {
+            return;
+        }
+        
+        item.element.classList.add('scan-highlight');
+        item.element.classList.toggle('scan-highlight-exit', item.kind === 'exit');
+        
+        if (typeof item.element.scrollIntoView === 'function') {
+            item.element.scrollIntoView({ block: 'nearest', behavior: AccessibilityFeatures.getScrollBehavior() });
+        }
+        
+        this.setStatus(item.kind === 'region' ? `Group: ${item.label}` : item.label);
+    },
+    
+    /**
+     * Choose the highlighted item
+     */
+    select: function() {
+        if (this.waiting) {
+            this.resume();
+            return;
+        }
+        
+        const item = this.current;
+        if (!item) {
+            return;
+        }
+        
+        this.loops = 0;
+        
+        if (item.kind === 'exit') {
+            this.leaveRegion();
+        } else if (item.kind === 'region') {
+            // A group with one control, such as a recipe card's link, chooses it straight away
+            if (item.region.controls.length === 1) {
+                this.activate(item.region.controls[0]);
+            } else {
+                this.level = 'controls';
+                this.region = item.region;
+                this.current = null;
+                this.advance();
+            }
+        } else {
+            this.activate(item.element);
+        }
+    },
+    
+    /**
+     * Go back from a group's controls to the groups, starting at that group
+     */
+    leaveRegion: function() {
+        const region = this.region;
+        
+        this.level = 'regions';
+        this.region = null;
+        this.loops = 0;
+        this.highlight(region ? { element: region.element, label: region.label, kind: 'region', region: region } : null);
+        this.schedule();
+    },
+    
+    /**
+     * Use a chosen control, then carry on scanning from it
+     * Text fields get focus and scanning waits while the user types.
+     * @param {HTMLElement} control - Control element
+     */
+    activate: function(control) {
+        const isTextField = control.tagName === 'TEXTAREA' || control.tagName === 'SELECT' || control.isContentEditable ||
+            (control.tagName === 'INPUT' && !['button', 'submit', 'reset', 'checkbox', 'radio', 'file', 'range', 'color'].includes(control.type));
+        
+        if (isTextField) {
+            clearTimeout(this.timer);
+            control.focus();
+            this.waiting = 'typing';
+            this.setStatus(`Using ${this.getLabel(control)}. Press Escape or click to carry on scanning.`);
+            return;
+        }
+        
+        this.activating = true;
+        try {
+            control.click();
+        } finally {
+            this.activating = false;
+        }
+        
+        // Stay on the control, so buttons such as Next can be chosen again
+        if (this.level === 'regions') {
+            const region = this.getRegions().find(entry => entry.controls.includes(control));
+            if (region) {
+                this.level = 'controls';
+                this.region = region;
+            }
+        }
+        
+        if (this.active && document.body.contains(control)) {
+            this.highlight({ element: control, label: this.getLabel(control), kind: 'control' });
+            this.schedule();
+        } else if (this.active) {
+            this.current = null;
+            this.advance();
+        }
+    },
+    
+    /**
+     * Carry on scanning after a pause or after typing
+     */
+    resume: function() {
+        this.waiting = '';
+        this.loops = 0;
+        
+        if (this.current && document.body.contains(this.current.element)) {
+            this.highlight(this.current);
+            this.schedule();
+        } else {
+            this.current = null;
+            this.advance();
+        }
+    },
+    
+    /**
+     * Create the status bar if it doesn't exist
+     * @returns {HTMLElement} Status bar
+     */
+    ensureStatusBar: function() {
+        if (this.statusBar && document.body.contains(this.statusBar)) {
+            return this.statusBar;
+        }
+        
+        const bar = document.createElement('div');
+        bar.id = 'scan-status';
+        bar.className = 'scan-status d-none';
+        bar.setAttribute('role', 'region');
+        bar.setAttribute('aria-label', 'Switch scanning');
+        bar.dataset.scanRegion = 'Switch scanning controls';
+        bar.innerHTML = `
+            <p class="scan-status-text mb-1"></p>
+            <p class="scan-status-speed small mb-1"></p>
+            <div class="scan-status-actions" data-scan-direct>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-scan-action="slower">Slower</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-scan-action="faster">Faster</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-scan-action="stop">Stop Scanning</button>
+            </div>
+        `;
+        
+        // The buttons are one group in the scan, and can also be clicked or used from the keyboard directly
+        bar.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-scan-action]');
+            if (!button) {
+                return;
+            }
+            
+            const speeds = AccessibilityFeatures.scanSpeeds;
+            const index = speeds.indexOf(AccessibilityFeatures.switchScanning.interval);
+            switch (button.dataset.scanAction) {
+                case 'slower':
+                    this.setSpeed(speeds[Math.min(speeds.length - 1, index + 1)]);
+                    break;
+                case 'faster':
+                    this.setSpeed(speeds[Math.max(0, index - 1)]);
+                    break;
+                case 'stop':
+                    AccessibilityFeatures.setSwitchScanning({ enabled: false });
+                    break;
+            }
+        });
+        
+        document.body.appendChild(bar);
+        this.statusBar = bar;
+        this.updateStatusBar();
+        
+        return bar;
+    },
+    
+    /**
+     * Change how long the highlight stays on each item
+     * @param {number} interval - Time in milliseconds, one of AccessibilityFeatures.scanSpeeds
+     */
+    setSpeed: function(interval) {
+        AccessibilityFeatures.setSwitchScanning({ interval: interval });
+        AccessibilityFeatures.announceToScreenReader(`Scan speed ${this.describeSpeed(interval)} per item`);
+    },
+    
+    /**
+     * Describe a scan speed
+     * @param {number} interval - Time in milliseconds
+     * @returns {string} Time such as "1.5 seconds"
+     */
+    describeSpeed: function(interval) {
+        const seconds = interval / 1000;
+        return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+    },
+    
+    /**
+     * Show the scan speed in the status bar
+     */
+    updateStatusBar: function() {
+        const bar = this.ensureStatusBar();
+        const speeds = AccessibilityFeatures.scanSpeeds;
+        const interval = AccessibilityFeatures.switchScanning.interval;
+        
+        bar.querySelector('.scan-status-speed').textContent =
+            `${this.describeSpeed(interval)} per item. Press Space, Enter or click to choose.`;
+        bar.querySelector('[data-scan-action="slower"]').disabled = interval === speeds[speeds.length - 1];
+        bar.querySelector('[data-scan-action="faster"]').disabled = interval === speeds[0];
+    },
+    
+    /**
+     * Show what is highlighted or why scanning is waiting
+     * @param {string} message - Status message
+     */
+    setStatus: function(message) {
+        this.ensureStatusBar().querySelector('.scan-status-text').textContent = message;
+    }
+};
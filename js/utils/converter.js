@@ -4,6 +4,12 @@
  * This utility provides functions for converting between metric and imperial
  * measurement units for cooking ingredients.
  * 
+ * Every unit belongs to a dimension (volume, weight, length, temperature or
+ * count) and is defined by its size in that dimension's base unit: millilitres
+ * for volume, grams for weight and centimetres for length. Conversions always
+ * pass through the base unit, so any two units of the same dimension can be
+ * converted without dedicated factors.
+ * 
  * @author Spencer Purdy
  * @version 1.0.0
  * @for COMP 5970/6970 Assistive and Accessible Computing
@@ -17,180 +23,368 @@
  */
 const MeasurementConverter = {
     /**
-     * Conversion factors for various units
+     * Unit definitions
+     * dimension - what the unit measures
+     * toBase - size of one unit in the base unit (ml for volume, g for weight, cm for length)
+     * system - 'metric', 'imperial' (US customary) or 'both' for units used everywhere
      */
-    conversionFactors: {
-        // Volume conversions
-        'ml': {
-            toMetric: 1,
-            toImperial: 0.033814
-        },
-        'l': {
-            toMetric: 1000,
-            toImperial: 33.814
-        },
-        'floz': {
-            toMetric: 29.5735,
-            toImperial: 1
-        },
-        'cup': {
-            toMetric: 236.588,
-            toImperial: 8
-        },
-        'pint': {
-            toMetric: 473.176,
-            toImperial: 16
-        },
-        'quart': {
-            toMetric: 946.353,
-            toImperial: 32
-        },
-        'tbsp': {
-            toMetric: 14.7868,
-            toImperial: 0.5
-        },
-        'tsp': {
-            toMetric: 4.92892,
-            toImperial: 0.166667
-        },
+    units: {
+        // Volume (base unit: ml)
+        'ml': { dimension: 'volume', toBase: 1, system: 'metric' },
+        'l': { dimension: 'volume', toBase: 1000, system: 'metric' },
+        'tsp': { dimension: 'volume', toBase: 4.92892, system: 'both' },
+        'tbsp': { dimension: 'volume', toBase: 14.7868, system: 'both' },
+        'floz': { dimension: 'volume', toBase: 29.5735, system: 'imperial' },
+        'cup': { dimension: 'volume', toBase: 236.588, system: 'imperial' },
+        'pint': { dimension: 'volume', toBase: 473.176, system: 'imperial' },
+        'quart': { dimension: 'volume', toBase: 946.353, system: 'imperial' },
+        'gallon': { dimension: 'volume', toBase: 3785.41, system: 'imperial' },
         
-        // Weight conversions
-        'g': {
-            toMetric: 1,
-            toImperial: 0.035274
-        },
-        'kg': {
-            toMetric: 1000,
-            toImperial: 35.274
-        },
-        'oz': {
-            toMetric: 28.3495,
-            toImperial: 1
+        // Weight (base unit: g)
+        'g': { dimension: 'weight', toBase: 1, system: 'metric' },
+        'kg': { dimension: 'weight', toBase: 1000, system: 'metric' },
+        'oz': { dimension: 'weight', toBase: 28.3495, system: 'imperial' },
+        'lb': { dimension: 'weight', toBase: 453.592, system: 'imperial' },
+        'stick': { dimension: 'weight', toBase: 113.398, system: 'imperial' },
+        
+        // Length (base unit: cm), used for pan sizes and cutting instructions
+        'mm': { dimension: 'length', toBase: 0.1, system: 'metric' },
+        'cm': { dimension: 'length', toBase: 1, system: 'metric' },
+        'inch': { dimension: 'length', toBase: 2.54, system: 'imperial' },
+        
+        // Temperature (converted by formula rather than factor)
+        '°C': { dimension: 'temperature', system: 'metric' },
+        '°F': { dimension: 'temperature', system: 'imperial' },
+        
+        // Counts and packages are never converted
+        '': { dimension: 'count', system: 'both' },
+        'can': { dimension: 'count', system: 'both' },
+        'clove': { dimension: 'count', system: 'both' },
+        'pinch': { dimension: 'count', system: 'both' },
+        'dash': { dimension: 'count', system: 'both' },
+        'to taste': { dimension: 'count', system: 'both' }
+    },
+    
+    /**
+     * Alternative spellings mapped to unit keys (compared in lowercase)
+     */
+    unitAliases: {
+        'milliliter': 'ml', 'milliliters': 'ml', 'millilitre': 'ml', 'millilitres': 'ml',
+        'liter': 'l', 'liters': 'l', 'litre': 'l', 'litres': 'l',
+        'teaspoon': 'tsp', 'teaspoons': 'tsp', 'tsps': 'tsp',
+        'tablespoon': 'tbsp', 'tablespoons': 'tbsp', 'tbsps': 'tbsp', 'tbs': 'tbsp',
+        'fl oz': 'floz', 'fl. oz.': 'floz', 'fluid ounce': 'floz', 'fluid ounces': 'floz',
+        'cups': 'cup',
+        'pints': 'pint', 'pt': 'pint',
+        'quarts': 'quart', 'qt': 'quart',
+        'gallons': 'gallon', 'gal': 'gallon',
+        'gram': 'g', 'grams': 'g',
+        'kilogram': 'kg', 'kilograms': 'kg', 'kgs': 'kg',
+        'ounce': 'oz', 'ounces': 'oz',
+        'pound': 'lb', 'pounds': 'lb', 'lbs': 'lb',
+        'sticks': 'stick',
+        'cans': 'can',
+        'cloves': 'clove',
+        'pinches': 'pinch',
+        'dashes': 'dash',
+        'millimeter': 'mm', 'millimeters': 'mm', 'millimetre': 'mm', 'millimetres': 'mm',
+        'centimeter': 'cm', 'centimeters': 'cm', 'centimetre': 'cm', 'centimetres': 'cm',
+        'inches': 'inch', 'in.': 'inch', '"': 'inch',
+        '°c': '°C', 'celsius': '°C', 'degrees celsius': '°C', 'degrees c': '°C',
+        '°f': '°F', 'fahrenheit': '°F', 'degrees fahrenheit': '°F', 'degrees f': '°F'
+    },
+    
+    /**
+     * Display units for each system, in order of preference as amounts grow.
+     * A unit is used when the amount in that unit is at least its minimum.
+     * Teaspoons and tablespoons are kept in metric because metric kitchens
+     * use 5 ml and 15 ml measuring spoons.
+     */
+    unitLadders: {
+        metric: {
+            volume: [
+                { unit: 'tsp', minimum: 0 },
+                { unit: 'tbsp', minimum: 1 },
+                { unit: 'ml', minimum: 60 },
+                { unit: 'l', minimum: 1 }
+            ],
+            weight: [
+                { unit: 'g', minimum: 0 },
+                { unit: 'kg', minimum: 1 }
+            ],
+            length: [
+                { unit: 'cm', minimum: 0 }
+            ]
         },
-        'lb': {
-            toMetric: 453.592,
-            toImperial: 16
+        imperial: {
+            volume: [
+                { unit: 'tsp', minimum: 0 },
+                { unit: 'tbsp', minimum: 1 },
+                { unit: 'cup', minimum: 0.25 },
+                { unit: 'gallon', minimum: 1 }
+            ],
+            weight: [
+                { unit: 'oz', minimum: 0 },
+                { unit: 'lb', minimum: 1 }
+            ],
+            length: [
+                { unit: 'inch', minimum: 0 }
+            ]
         }
     },
     
     /**
-     * Unit mappings between metric and imperial
+     * Resolve a unit string to its unit key
+     * @param {string} unit - Unit as written
+     * @returns {string|null} Unit key, or null if the unit is unknown
      */
-    unitMappings: {
-        // Metric to imperial
-        'ml': 'floz',
-        'l': 'quart',
-        'g': 'oz',
-        'kg': 'lb',
-        'tbsp': 'tbsp',
-        'tsp': 'tsp',
-        
-        // Imperial to metric
-        'floz': 'ml',
-        'cup': 'ml',
-        'pint': 'ml',
-        'quart': 'l',
-        'oz': 'g',
-        'lb': 'kg'
+    normalizeUnit: function(unit) {
+        const trimmed = String(unit === undefined || unit === null ? '' : unit).trim();
+        
+        if (Object.prototype.hasOwnProperty.call(this.units, trimmed)) {
+            return trimmed;
+        }
+        
+        const lower = trimmed.toLowerCase().replace(/\s+/g, ' ');
+        
+        if (Object.prototype.hasOwnProperty.call(this.units, lower)) {
+            return lower;
+        }
+        
+        if (Object.prototype.hasOwnProperty.call(this.unitAliases, lower)) {
+            return this.unitAliases[lower];
+        }
+        
+        return null;
     },
     
     /**
-     * Convert a measurement from metric to imperial units
+     * Check if a unit is known to the converter
+     * @param {string} unit - Unit to check
+     * @returns {boolean} True if the unit is known
+     */
+    isKnownUnit: function(unit) {
+        return this.normalizeUnit(unit) !== null;
+    },
+    
+    /**
+     * Get the dimension a unit measures
+     * @param {string} unit - Unit to check
+     * @returns {string|null} 'volume', 'weight', 'length', 'temperature' or 'count', or null if unknown
+     */
+    getDimension: function(unit) {
+        const key = this.normalizeUnit(unit);
+        return key === null ? null : this.units[key].dimension;
+    },
+    
+    /**
+     * Get the measurement system a unit belongs to
+     * @param {string} unit - Unit to check
+     * @returns {string|null} 'metric', 'imperial' or 'both', or null if unknown
+     */
+    getSystem: function(unit) {
+        const key = this.normalizeUnit(unit);
+        return key === null ? null : this.units[key].system;
+    },
+    
+    /**
+     * Convert an amount between any two units of the same dimension
      * @param {number} amount - Amount to convert
-     * @param {string} unit - Unit to convert from
-     * @returns {Object} Converted amount and unit
+     * @param {string} fromUnit - Unit to convert from
+     * @param {string} toUnit - Unit to convert to
+     * @returns {number|null} Converted amount, or null if the units are not compatible
      */
-    convertToImperial: function(amount, unit) {
-        // Handle special cases
-        if (unit === 'pinch' || unit === 'dash' || unit === 'to taste' || unit === '') {
-            return { amount: amount, unit: unit };
-        }
-        
-        // Normalize unit to lowercase
-        const normalizedUnit = unit.toLowerCase();
+    convert: function(amount, fromUnit, toUnit) {
+        const from = this.normalizeUnit(fromUnit);
+        const to = this.normalizeUnit(toUnit);
         
-        // Check if unit is supported
-        if (!this.conversionFactors[normalizedUnit]) {
-            return { amount: amount, unit: unit };
+        if (from === null || to === null || this.units[from].dimension !== this.units[to].dimension) {
+            return null;
         }
         
-        // Get target unit
-        const targetUnit = this.unitMappings[normalizedUnit];
+        if (from === to) {
+            return amount;
+        }
         
-        // Perform conversion
-        let convertedAmount;
+        switch (this.units[from].dimension) {
+            case 'temperature':
+                return this.convertTemperature(amount, from, to);
+            case 'count':
+                // Different count units (cans and cloves) are not interchangeable
+                return null;
+            default:
+                return amount * this.units[from].toBase / this.units[to].toBase;
+        }
+    },
+    
+    /**
+     * Convert a temperature
+     * @param {number} value - Temperature to convert
+     * @param {string} fromUnit - '°C' or '°F'
+     * @param {string} toUnit - '°C' or '°F'
+     * @returns {number} Converted temperature
+     */
+    convertTemperature: function(value, fromUnit, toUnit) {
+        const from = this.normalizeUnit(fromUnit);
+        const to = this.normalizeUnit(toUnit);
         
-        if (this.isVolumeUnit(normalizedUnit)) {
-            // Volume conversion
-            const mlAmount = amount * this.conversionFactors[normalizedUnit].toMetric;
-            convertedAmount = mlAmount * this.conversionFactors[targetUnit].toImperial;
-        } else {
-            // Weight conversion
-            const gAmount = amount * this.conversionFactors[normalizedUnit].toMetric;
-            convertedAmount = gAmount * this.conversionFactors[targetUnit].toImperial;
+        if (from === to) {
+            return value;
         }
         
-        // Round appropriately
-        convertedAmount = this.roundMeasurement(convertedAmount);
+        return from === '°F' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32;
+    },
+    
+    /**
+     * Choose the most readable unit for an amount in a measurement system
+     * @param {number} baseAmount - Amount in the dimension's base unit
+     * @param {string} dimension - 'volume', 'weight' or 'length'
+     * @param {string} system - 'metric' or 'imperial'
+     * @returns {string} Unit key
+     */
+    chooseUnit: function(baseAmount, dimension, system) {
+        const ladder = this.unitLadders[system][dimension];
+        let chosen = ladder[0].unit;
         
-        return {
-            amount: convertedAmount,
-            unit: targetUnit
-        };
+        // Allow for rounding in the unit sizes, so 3 tsp still reaches 1 tbsp
+        ladder.forEach(step => {
+            if (baseAmount / this.units[step.unit].toBase >= step.minimum * 0.999) {
+                chosen = step.unit;
+            }
+        });
+        
+        return chosen;
     },
     
     /**
-     * Convert a measurement from imperial to metric units
+     * Convert a measurement into a measurement system
+     * Amounts are not rounded, so conversions can be chained without losing accuracy.
      * @param {number} amount - Amount to convert
      * @param {string} unit - Unit to convert from
-     * @returns {Object} Converted amount and unit
+     * @param {string} system - 'metric' or 'imperial'
+     * @returns {Object} Converted amount and unit (unchanged if the unit cannot be converted)
      */
-    convertToMetric: function(amount, unit) {
-        // Handle special cases
-        if (unit === 'pinch' || unit === 'dash' || unit === 'to taste' || unit === '') {
+    convertToSystem: function(amount, unit, system) {
+        const key = this.normalizeUnit(unit);
+        
+        // Unknown units and counts are returned as written
+        if (key === null || this.units[key].dimension === 'count') {
             return { amount: amount, unit: unit };
         }
         
-        // Normalize unit to lowercase
-        const normalizedUnit = unit.toLowerCase();
+        const definition = this.units[key];
         
-        // Check if unit is supported
-        if (!this.conversionFactors[normalizedUnit]) {
-            return { amount: amount, unit: unit };
+        if (definition.dimension === 'temperature') {
+            const target = system === 'metric' ? '°C' : '°F';
+            return { amount: this.convertTemperature(amount, key, target), unit: target };
         }
         
-        // Get target unit
-        const targetUnit = this.unitMappings[normalizedUnit];
-        
-        // Perform conversion
-        let convertedAmount;
+        const ladder = this.unitLadders[system][definition.dimension];
+        const inLadder = ladder.some(step => step.unit === key);
         
-        if (this.isVolumeUnit(normalizedUnit)) {
-            // Volume conversion
-            const flozAmount = amount * this.conversionFactors[normalizedUnit].toImperial;
-            convertedAmount = flozAmount * this.conversionFactors[targetUnit].toMetric;
-        } else {
-            // Weight conversion
-            const ozAmount = amount * this.conversionFactors[normalizedUnit].toImperial;
-            convertedAmount = ozAmount * this.conversionFactors[targetUnit].toMetric;
+        // Units native to the system that aren't on its ladder (sticks, pints) are kept as written
+        if (!inLadder && definition.system === system) {
+            return { amount: amount, unit: key };
         }
         
-        // Round appropriately
-        convertedAmount = this.roundMeasurement(convertedAmount);
+        const baseAmount = amount * definition.toBase;
+        const targetUnit = this.chooseUnit(baseAmount, definition.dimension, system);
         
         return {
-            amount: convertedAmount,
+            amount: baseAmount / this.units[targetUnit].toBase,
             unit: targetUnit
         };
     },
     
+    /**
+     * Convert a measurement from metric to imperial units
+     * @param {number} amount - Amount to convert
+     * @param {string} unit - Unit to convert from
+     * @returns {Object} Converted amount and unit
+     */
+    convertToImperial: function(amount, unit) {
+        return this.convertToSystem(amount, unit, 'imperial');
+    },
+    
+    /**
+     * Convert a measurement from imperial to metric units
+     * @param {number} amount - Amount to convert
+     * @param {string} unit - Unit to convert from
+     * @returns {Object} Converted amount and unit
+     */
+    convertToMetric: function(amount, unit) {
+        return this.convertToSystem(amount, unit, 'metric');
+    },
+    
+    /**
+     * Round a converted temperature to the nearest 5 degrees, as oven dials are marked
+     * @param {number} value - Temperature to round
+     * @returns {number} Rounded temperature
+     */
+    roundTemperature: function(value) {
+        return Math.round(value / 5) * 5;
+    },
+    
     /**
      * Check if a unit is a volume unit
      * @param {string} unit - Unit to check
      * @returns {boolean} True if volume unit, false otherwise
      */
     isVolumeUnit: function(unit) {
-        return ['ml', 'l', 'floz', 'cup', 'pint', 'quart', 'tbsp', 'tsp'].includes(unit.toLowerCase());
+        return this.getDimension(unit) === 'volume';
+    },
+    
+    /**
+     * Check if a unit is a weight unit
+     * @param {string} unit - Unit to check
+     * @returns {boolean} True if weight unit, false otherwise
+     */
+    isWeightUnit: function(unit) {
+        return this.getDimension(unit) === 'weight';
+    },
+    
+    /**
+     * Convert a volume measurement to grams using the ingredient's density
+     * @param {number} amount - Amount to convert
+     * @param {string} unit - Volume unit to convert from
+     * @param {string} ingredientName - Ingredient name used to look up density
+     * @returns {Object|null} Amount in grams with an estimated flag, or null if not convertible
+     */
+    convertVolumeToWeight: function(amount, unit, ingredientName) {
+        const density = IngredientDensity.lookup(ingredientName);
+        
+        if (!density || !this.isVolumeUnit(unit)) {
+            return null;
+        }
+        
+        return {
+            amount: this.convert(amount, unit, 'ml') * density.gramsPerMl,
+            unit: 'g',
+            estimated: density.estimated
+        };
+    },
+    
+    /**
+     * Convert a weight measurement to cups using the ingredient's density
+     * @param {number} amount - Amount to convert
+     * @param {string} unit - Weight unit to convert from
+     * @param {string} ingredientName - Ingredient name used to look up density
+     * @returns {Object|null} Amount in cups with an estimated flag, or null if not convertible
+     */
+    convertWeightToVolume: function(amount, unit, ingredientName) {
+        const density = IngredientDensity.lookup(ingredientName);
+        
+        if (!density || !this.isWeightUnit(unit)) {
+            return null;
+        }
+        
+        const mlAmount = this.convert(amount, unit, 'g') / density.gramsPerMl;
+        
+        return {
+            amount: this.convert(mlAmount, 'ml', 'cup'),
+            unit: 'cup',
+            estimated: density.estimated
+        };
     },
     
     /**
@@ -211,6 +405,92 @@ const MeasurementConverter = {
         }
     },
     
+    /**
+     * Kitchen-friendly fractions and their display characters
+     */
+    kitchenFractions: [
+        { value: 0, display: '' },
+        { value: 1 / 8, display: '⅛' },
+        { value: 1 / 4, display: '¼' },
+        { value: 1 / 3, display: '⅓' },
+        { value: 3 / 8, display: '⅜' },
+        { value: 1 / 2, display: '½' },
+        { value: 5 / 8, display: '⅝' },
+        { value: 2 / 3, display: '⅔' },
+        { value: 3 / 4, display: '¾' },
+        { value: 7 / 8, display: '⅞' },
+        { value: 1, display: '' }
+    ],
+    
+    /**
+     * Check if a unit is metric (displayed with decimals rather than fractions)
+     * @param {string} unit - Unit to check
+     * @returns {boolean} True if metric unit, false otherwise
+     */
+    isMetricUnit: function(unit) {
+        return this.getSystem(unit) === 'metric';
+    },
+    
+    /**
+     * Round a value to the nearest kitchen-friendly fraction
+     * Non-zero values never round down to zero.
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    roundToKitchenFraction: function(value) {
+        if (value >= 10) {
+            return Math.round(value);
+        }
+        
+        const whole = Math.floor(value);
+        const fraction = value - whole;
+        
+        // Find the closest fraction
+        let closest = this.kitchenFractions[0];
+        this.kitchenFractions.forEach(candidate => {
+            if (Math.abs(candidate.value - fraction) < Math.abs(closest.value - fraction)) {
+                closest = candidate;
+            }
+        });
+        
+        const rounded = whole + closest.value;
+        
+        // Keep small but non-zero amounts visible
+        if (rounded === 0 && value > 0) {
+            return this.kitchenFractions[1].value;
+        }
+        
+        return rounded;
+    },
+    
+    /**
+     * Format an amount for display without its unit
+     * Metric amounts use decimals; other amounts use kitchen fractions.
+     * @param {number} amount - Amount to format
+     * @param {string} unit - Unit of measurement
+     * @returns {string} Formatted amount
+     */
+    formatAmount: function(amount, unit) {
+        if (this.isMetricUnit(unit || '')) {
+            // Show at most two decimal places, dropping trailing zeros
+            return String(parseFloat(amount.toFixed(2)));
+        }
+        
+        const rounded = this.roundToKitchenFraction(amount);
+        const whole = Math.floor(rounded);
+        const fraction = rounded - whole;
+        
+        if (fraction < 0.001) {
+            return String(whole);
+        }
+        
+        // Look up the fraction character
+        const match = this.kitchenFractions.find(candidate => Math.abs(candidate.value - fraction) < 0.001);
+        const fractionString = match ? match.display : fraction.toFixed(2);
+        
+        return whole > 0 ? `${whole} ${fractionString}` : fractionString;
+    },
+    
     /**
      * Format a measurement for display
      * @param {number} amount - Amount to format
@@ -218,42 +498,11 @@ const MeasurementConverter = {
      * @returns {string} Formatted measurement
      */
     formatMeasurement: function(amount, unit) {
-        // Format fractions if applicable
-        let formattedAmount = amount;
-        
-        // Format whole number with fraction
-        if (amount % 1 !== 0) {
-            const whole = Math.floor(amount);
-            const fraction = amount - whole;
-            
-            // Convert to fraction
-            let fractionString = '';
-            
-            if (Math.abs(fraction - 0.25) < 0.01) {
-                fractionString = '¼';
-            } else if (Math.abs(fraction - 0.5) < 0.01) {
-                fractionString = '½';
-            } else if (Math.abs(fraction - 0.75) < 0.01) {
-                fractionString = '¾';
-            } else if (Math.abs(fraction - 0.33) < 0.01 || Math.abs(fraction - 0.333) < 0.01) {
-                fractionString = '⅓';
-            } else if (Math.abs(fraction - 0.67) < 0.01 || Math.abs(fraction - 0.666) < 0.01) {
-                fractionString = '⅔';
-            } else if (Math.abs(fraction - 0.125) < 0.01) {
-                fractionString = '⅛';
-            } else if (Math.abs(fraction - 0.375) < 0.01) {
-                fractionString = '⅜';
-            } else if (Math.abs(fraction - 0.625) < 0.01) {
-                fractionString = '⅝';
-            } else if (Math.abs(fraction - 0.875) < 0.01) {
-                fractionString = '⅞';
-            } else {
-                fractionString = fraction.toFixed(2);
-            }
-            
-            formattedAmount = whole > 0 ? `${whole} ${fractionString}` : fractionString;
-        }
-        
-        return `${formattedAmount} ${unit}`;
+        return `${this.formatAmount(amount, unit)} ${unit}`.trim();
     }
-};
\ No newline at end of file
+};
+
+// Export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeasurementConverter;
+}
@@ -0,0 +1,232 @@
+/**
+ * AccessiChef - Ingredient Density Table
+ * 
+ * This utility provides approximate densities for common ingredients so that
+ * volume measurements can be shown as weights and weights as volumes.
+ * Ingredients are matched by a normalized form of their name.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Ingredient Density - Looks up grams per millilitre for ingredients
+ */
+const IngredientDensity = {
+    /**
+     * Densities in grams per millilitre, keyed by normalized ingredient name.
+     * Entries marked estimated vary a lot with how the ingredient is cut or
+     * packed, or are generic fallbacks for a whole family of ingredients.
+     */
+    densities: {
+        // Flours and starches
+        'flour': { gramsPerMl: 0.53, estimated: true },
+        'all-purpose flour': { gramsPerMl: 0.53 },
+        'whole wheat flour': { gramsPerMl: 0.51 },
+        'bread flour': { gramsPerMl: 0.54 },
+        'cornstarch': { gramsPerMl: 0.54 },
+        'cocoa powder': { gramsPerMl: 0.36 },
+        'breadcrumb': { gramsPerMl: 0.46 },
+        
+        // Sugars and syrups
+        'sugar': { gramsPerMl: 0.85, estimated: true },
+        'granulated sugar': { gramsPerMl: 0.85 },
+        'brown sugar': { gramsPerMl: 0.93 },
+        'powdered sugar': { gramsPerMl: 0.51 },
+        'honey': { gramsPerMl: 1.42 },
+        'maple syrup': { gramsPerMl: 1.32 },
+        'syrup': { gramsPerMl: 1.32, estimated: true },
+        
+        // Leavening and salt
+        'baking soda': { gramsPerMl: 0.96 },
+        'baking powder': { gramsPerMl: 0.81 },
+        'salt': { gramsPerMl: 1.22 },
+        
+        // Fats
+        'butter': { gramsPerMl: 0.96 },
+        'oil': { gramsPerMl: 0.92, estimated: true },
+        'olive oil': { gramsPerMl: 0.91 },
+        'vegetable oil': { gramsPerMl: 0.92 },
+        'coconut oil': { gramsPerMl: 0.92 },
+        'sesame oil': { gramsPerMl: 0.92 },
+        
+        // Liquids
+        'water': { gramsPerMl: 1.0 },
+        'milk': { gramsPerMl: 1.03 },
+        'heavy cream': { gramsPerMl: 0.99 },
+        'coconut milk': { gramsPerMl: 0.97 },
+        'broth': { gramsPerMl: 1.0 },
+        'vegetable broth': { gramsPerMl: 1.0 },
+        'stock': { gramsPerMl: 1.0 },
+        'wine': { gramsPerMl: 0.99 },
+        'vinegar': { gramsPerMl: 1.01 },
+        'lemon juice': { gramsPerMl: 1.03 },
+        'juice': { gramsPerMl: 1.04, estimated: true },
+        'soy sauce': { gramsPerMl: 1.15 },
+        'vanilla extract': { gramsPerMl: 0.88 },
+        
+        // Dairy and spreads
+        'greek yogurt': { gramsPerMl: 1.04 },
+        'yogurt': { gramsPerMl: 1.03 },
+        'parmesan cheese': { gramsPerMl: 0.42 },
+        'feta cheese': { gramsPerMl: 0.63, estimated: true },
+        'cheese': { gramsPerMl: 0.47, estimated: true },
+        'tahini': { gramsPerMl: 1.01 },
+        'peanut butter': { gramsPerMl: 1.08 },
+        'tomato paste': { gramsPerMl: 1.1 },
+        'crushed tomato': { gramsPerMl: 1.03 },
+        'diced tomato': { gramsPerMl: 1.0, estimated: true },
+        
+        // Grains, seeds and legumes
+        'oat': { gramsPerMl: 0.38 },
+        'rice': { gramsPerMl: 0.78 },
+        'arborio rice': { gramsPerMl: 0.84 },
+        'quinoa': { gramsPerMl: 0.72 },
+        'lentil': { gramsPerMl: 0.8 },
+        'chia seed': { gramsPerMl: 0.68 },
+        'sesame seed': { gramsPerMl: 0.6 },
+        'seed': { gramsPerMl: 0.59, estimated: true },
+        'pasta': { gramsPerMl: 0.42, estimated: true },
+        
+        // Nuts, fruit and sweets
+        'nut': { gramsPerMl: 0.5, estimated: true },
+        'walnut': { gramsPerMl: 0.5, estimated: true },
+        'shredded coconut': { gramsPerMl: 0.36 },
+        'raisin': { gramsPerMl: 0.63 },
+        'dried fruit': { gramsPerMl: 0.63, estimated: true },
+        'berry': { gramsPerMl: 0.63, estimated: true },
+        'chocolate chip': { gramsPerMl: 0.72 },
+        
+        // Vegetables and herbs
+        'cherry tomato': { gramsPerMl: 0.63, estimated: true },
+        'spinach': { gramsPerMl: 0.13, estimated: true },
+        'mushroom': { gramsPerMl: 0.3, estimated: true },
+        'basil': { gramsPerMl: 0.1, estimated: true },
+        'parsley': { gramsPerMl: 0.25, estimated: true },
+        'cilantro': { gramsPerMl: 0.07, estimated: true },
+        'dill': { gramsPerMl: 0.04, estimated: true },
+        
+        // Ground spices
+        'cinnamon': { gramsPerMl: 0.53 },
+        'cumin': { gramsPerMl: 0.43 },
+        'paprika': { gramsPerMl: 0.46 },
+        'turmeric': { gramsPerMl: 0.64 },
+        'nutmeg': { gramsPerMl: 0.47 },
+        'chili powder': { gramsPerMl: 0.54 },
+        'curry powder': { gramsPerMl: 0.43 },
+        'garam masala': { gramsPerMl: 0.4, estimated: true },
+        'black pepper': { gramsPerMl: 0.47 },
+        'red pepper flake': { gramsPerMl: 0.36 },
+        'dried oregano': { gramsPerMl: 0.2, estimated: true },
+        'dried thyme': { gramsPerMl: 0.2, estimated: true }
+    },
+    
+    /**
+     * Preparation and quality words that don't change which ingredient is meant
+     */
+    descriptorWords: [
+        'fresh', 'chopped', 'diced', 'sliced', 'minced', 'grated', 'ground', 'large', 'small',
+        'medium', 'ripe', 'very', 'packed', 'melted', 'softened', 'cold', 'warm', 'cubed',
+        'unsalted', 'salted', 'extra', 'virgin', 'toasted', 'rolled', 'old-fashioned', 'finely',
+        'roughly', 'thinly', 'mixed', 'frozen', 'canned', 'dried', 'unsweetened', 'semisweet'
+    ],
+    
+    /**
+     * Reduce a word to a simple singular stem
+     * @param {string} word - Word to stem
+     * @returns {string} Singular stem
+     */
+    singularize: function(word) {
+        if (word.endsWith('ies')) {
+            return word.slice(0, -3) + 'y';
+        } else if (word.endsWith('oes')) {
+            return word.slice(0, -2);
+        } else if (word.endsWith('s') && !word.endsWith('ss')) {
+            return word.slice(0, -1);
+        }
+        
+        return word;
+    },
+    
+    /**
+     * Normalize an ingredient name for lookup
+     * Drops preparation notes after a comma, parenthetical notes and plurals.
+     * @param {string} name - Ingredient name as written in the recipe
+     * @returns {string} Normalized name
+     */
+    normalizeName: function(name) {
+        return String(name || '')
+            .toLowerCase()
+            .split(',')[0]
+            .replace(/\([^)]*\)/g, ' ')
+            .split(/\s+/)
+            .filter(word => word)
+            .map(word => this.singularize(word))
+            .join(' ');
+    },
+    
+    /**
+     * Look up the density of an ingredient
+     * Exact names are preferred; otherwise the longest table entry whose words
+     * all appear in the name is used, and the result is marked as estimated.
+     * @param {string} name - Ingredient name as written in the recipe
+     * @returns {Object|null} Object with gramsPerMl, estimated and matchedName, or null if unknown
+     */
+    lookup: function(name) {
+        const normalized = this.normalizeName(name);
+        
+        if (!normalized) {
+            return null;
+        }
+        
+        // Compare against the name with and without descriptor words
+        const words = normalized.split(' ');
+        const coreName = words.filter(word => !this.descriptorWords.includes(word)).join(' ');
+        
+        for (const candidate of [normalized, coreName]) {
+            if (this.densities[candidate]) {
+                return this.buildResult(candidate, false);
+            }
+        }
+        
+        // Fall back to the most specific entry contained in the name, preferring
+        // entries nearer the end, where the main noun usually is ("red wine vinegar")
+        let bestMatch = null;
+        let bestScore = -1;
+        
+        Object.keys(this.densities).forEach(key => {
+            const keyWords = key.split(' ');
+            if (!keyWords.every(word => words.includes(word))) {
+                return;
+            }
+            
+            const score = keyWords.length * 100 + words.lastIndexOf(keyWords[keyWords.length - 1]);
+            if (score > bestScore) {
+                bestMatch = key;
+                bestScore = score;
+            }
+        });
+        
+        return bestMatch ? this.buildResult(bestMatch, words.length > bestMatch.split(' ').length) : null;
+    },
+    
+    /**
+     * Build a lookup result
+     * @param {string} key - Matched table key
+     * @param {boolean} partialMatch - Whether the name only partly matched the key
+     * @returns {Object} Lookup result
+     */
+    buildResult: function(key, partialMatch) {
+        const entry = this.densities[key];
+        
+        return {
+            gramsPerMl: entry.gramsPerMl,
+            estimated: Boolean(entry.estimated) || partialMatch,
+            matchedName: key
+        };
+    }
+};
\ No newline at end of file
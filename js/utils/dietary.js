@@ -0,0 +1,350 @@
+/**
+ * AccessiChef - Dietary and Allergen Classification
+ * 
+ * This utility works out which common allergens a recipe contains and whether
+ * it is vegetarian or vegan, by matching ingredient names against a table of
+ * ingredient keywords. Each result keeps the ingredients that caused it, so
+ * the reason for every tag can be shown to the user.
+ * 
+ * The table only knows what ingredient names say. It cannot see inside
+ * packaged products, so the results are a guide and not a guarantee.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Dietary Classifier - Derives allergen and diet tags from ingredient names
+ */
+const DietaryClassifier = {
+    /**
+     * Allergens tracked, in display order, with the label for recipes without them
+     */
+    allergens: [
+        { id: 'gluten', label: 'Gluten', freeLabel: 'Gluten-free' },
+        { id: 'dairy', label: 'Dairy', freeLabel: 'Dairy-free' },
+        { id: 'egg', label: 'Egg', freeLabel: 'Egg-free' },
+        { id: 'nuts', label: 'Nuts', freeLabel: 'Nut-free' },
+        { id: 'soy', label: 'Soy', freeLabel: 'Soy-free' },
+        { id: 'fish', label: 'Fish or shellfish', freeLabel: 'Fish- and shellfish-free' }
+    ],
+    
+    /**
+     * Diets tracked, each ruled out by any ingredient in the listed groups
+     */
+    diets: [
+        { id: 'vegetarian', label: 'Vegetarian', excludes: ['meat', 'fish'] },
+        { id: 'vegan', label: 'Vegan', excludes: ['meat', 'fish', 'dairy', 'egg', 'animal'] }
+    ],
+    
+    /**
+     * Ingredient keywords and the groups they belong to: the allergen IDs,
+     * plus 'meat' and 'animal' (other animal products) for the diets.
+     * Keywords match whole words, with or without a plural ending. Longer
+     * keywords are matched first and use up the words they match, so
+     * "peanut butter" is not also read as "butter" and look-alikes such as
+     * "coconut milk" or "flax egg" are listed with no groups at all.
+     */
+    ingredientTable: {
+        // Look-alikes that contain none of the tracked groups
+        'coconut milk': [],
+        'coconut cream': [],
+        'flax egg': [],
+        'eggplant': [],
+        'butternut': [],
+        'water chestnut': [],
+        'cream of tartar': [],
+        'rice flour': [],
+        'buckwheat': [],
+        'vegetable broth': [],
+        'vegetable stock': [],
+        'oyster mushroom': [],
+        'crab apple': [],
+        
+        // Animal ingredients that only rule out some diets
+        'duck egg': ['egg'],
+        'goat cheese': ['dairy'],
+        'goat\'s cheese': ['dairy'],
+        'goat milk': ['dairy'],
+        'goat\'s milk': ['dairy'],
+        
+        // Gluten
+        'flour': ['gluten'],
+        'wheat': ['gluten'],
+        'bread': ['gluten'],
+        'breadcrumb': ['gluten'],
+        'panko': ['gluten'],
+        'bun': ['gluten'],
+        'roll': ['gluten'],
+        'pasta': ['gluten'],
+        'spaghetti': ['gluten'],
+        'noodle': ['gluten'],
+        'couscous': ['gluten'],
+        'barley': ['gluten'],
+        'rye': ['gluten'],
+        'semolina': ['gluten'],
+        'spelt': ['gluten'],
+        'tortilla': ['gluten'],
+        'cracker': ['gluten'],
+        'pita': ['gluten'],
+        'oat': ['gluten'],
+        
+        // Dairy
+        'milk': ['dairy'],
+        'butter': ['dairy'],
+        'buttermilk': ['dairy'],
+        'cheese': ['dairy'],
+        'parmesan': ['dairy'],
+        'feta': ['dairy'],
+        'mozzarella': ['dairy'],
+        'cheddar': ['dairy'],
+        'ricotta': ['dairy'],
+        'cream': ['dairy'],
+        'yogurt': ['dairy'],
+        'ghee': ['dairy'],
+        'whey': ['dairy'],
+        'chocolate': ['dairy'],
+        
+        // Egg
+        'egg': ['egg'],
+        'mayonnaise': ['egg'],
+        
+        // Nuts
+        'nut': ['nuts'],
+        'almond': ['nuts'],
+        'almond flour': ['nuts'],
+        'almond milk': ['nuts'],
+        'cashew': ['nuts'],
+        'hazelnut': ['nuts'],
+        'macadamia': ['nuts'],
+        'peanut': ['nuts'],
+        'peanut butter': ['nuts'],
+        'pecan': ['nuts'],
+        'pistachio': ['nuts'],
+        'walnut': ['nuts'],
+        
+        // Soy
+        'soy': ['soy'],
+        'soy sauce': ['soy', 'gluten'],
+        'soy milk': ['soy'],
+        'soybean': ['soy'],
+        'tofu': ['soy'],
+        'tempeh': ['soy'],
+        'edamame': ['soy'],
+        'miso': ['soy'],
+        
+        // Fish and shellfish, tracked together as one allergen
+        'fish': ['fish'],
+        'fish sauce': ['fish'],
+        'salmon': ['fish'],
+        'tuna': ['fish'],
+        'cod': ['fish'],
+        'trout': ['fish'],
+        'halibut': ['fish'],
+        'tilapia': ['fish'],
+        'anchovy': ['fish'],
+        'anchovies': ['fish'],
+        'sardine': ['fish'],
+        'worcestershire': ['fish'],
+        'shellfish': ['fish'],
+        'shrimp': ['fish'],
+        'prawn': ['fish'],
+        'crab': ['fish'],
+        'lobster': ['fish'],
+        'clam': ['fish'],
+        'mussel': ['fish'],
+        'oyster': ['fish'],
+        'scallop': ['fish'],
+        'squid': ['fish'],
+        'calamari': ['fish'],
+        
+        // Meat and other animal products
+        'chicken': ['meat'],
+        'beef': ['meat'],
+        'pork': ['meat'],
+        'bacon': ['meat'],
+        'ham': ['meat'],
+        'turkey': ['meat'],
+        'lamb': ['meat'],
+        'sausage': ['meat'],
+        'chorizo': ['meat'],
+        'salami': ['meat'],
+        'pepperoni': ['meat'],
+        'pancetta': ['meat'],
+        'prosciutto': ['meat'],
+        'lardon': ['meat'],
+        'lard': ['meat'],
+        'duck': ['meat'],
+        'veal': ['meat'],
+        'venison': ['meat'],
+        'goat': ['meat'],
+        'mutton': ['meat'],
+        'gelatin': ['meat'],
+        'chicken broth': ['meat'],
+        'beef broth': ['meat'],
+        'honey': ['animal']
+    },
+    
+    /**
+     * Build the keyword patterns, longest keyword first
+     * Patterns are built once and cached on first use.
+     * @returns {Array} Entries as { pattern, groups }
+     */
+    getPatterns: function() {
+        if (this.patterns) {
+            return this.patterns;
+        }
+        
+        this.patterns = Object.keys(this.ingredientTable)
+            .sort((a, b) => b.length - a.length)
+            .map(keyword => ({
+                pattern: new RegExp(`(?<![a-z])${keyword.replace(/\s+/g, '\\s+')}(?:e?s)?(?![a-z])`, 'gi'),
+                groups: this.ingredientTable[keyword]
+            }));
+        
+        return this.patterns;
+    },
+    
+    /**
+     * Find the groups an ingredient belongs to
+     * @param {string} name - Ingredient name as written in the recipe
+     * @returns {Array<string>} Group IDs, such as ['dairy'] for "unsalted butter"
+     */
+    getIngredientGroups: function(name) {
+        let text = String(name || '').toLowerCase();
+        const groups = new Set();
+        
+        this.getPatterns().forEach(entry => {
+            entry.pattern.lastIndex = 0;
+            if (entry.pattern.test(text)) {
+                entry.groups.forEach(group => groups.add(group));
+                
+                // Use up the matched words so shorter keywords can't match inside them
+                entry.pattern.lastIndex = 0;
+                text = text.replace(entry.pattern, ' ');
+            }
+        });
+        
+        return Array.from(groups);
+    },
+    
+    /**
+     * Classify a recipe
+     * @param {Object} recipe - Recipe object
+     * @returns {Object} Object with allergens and diets, each as { id, label, ingredients },
+     *     and tags for filtering, such as 'vegan' or 'gluten-free'
+     */
+    classify: function(recipe) {
+        const ingredientsByGroup = {};
+        
+        (recipe.ingredients || []).forEach(ingredient => {
+            this.getIngredientGroups(ingredient.name).forEach(group => {
+                if (!ingredientsByGroup[group]) {
+                    ingredientsByGroup[group] = [];
+                }
+                ingredientsByGroup[group].push(ingredient.name);
+            });
+        });
+        
+        const allergens = this.allergens
+            .filter(allergen => ingredientsByGroup[allergen.id])
+            .map(allergen => ({ id: allergen.id, label: allergen.label, ingredients: ingredientsByGroup[allergen.id] }));
+        
+        // Diets are claimed only when no ingredient rules them out
+        const diets = this.diets
+            .filter(diet => !diet.excludes.some(group => ingredientsByGroup[group]))
+            .map(diet => ({ id: diet.id, label: diet.label, ingredients: [] }));
+        
+        const tags = diets.map(diet => diet.id).concat(
+            this.allergens
+                .filter(allergen => !ingredientsByGroup[allergen.id])
+                .map(allergen => `${allergen.id}-free`)
+        );
+        
+        return { allergens: allergens, diets: diets, tags: tags };
+    },
+    
+    /**
+     * Classify recipes and attach the results
+     * Each recipe gets a dietary property with the full classification and
+     * tags with the IDs used by the recipe filters.
+     * @param {Array} recipes - Recipes to classify
+     * @returns {Array} The same recipes
+     */
+    classifyRecipes: function(recipes) {
+        recipes.forEach(recipe => {
+            recipe.dietary = this.classify(recipe);
+            recipe.tags = recipe.dietary.tags;
+        });
+        
+        return recipes;
+    },
+    
+    /**
+     * Get the label for a filter tag
+     * @param {string} tag - Tag ID, such as 'vegan' or 'gluten-free'
+     * @returns {string} Label, such as "Vegan" or "Gluten-free"
+     */
+    getTagLabel: function(tag) {
+        const diet = this.diets.find(entry => entry.id === tag);
+        if (diet) {
+            return diet.label;
+        }
+        
+        const allergen = this.allergens.find(entry => `${entry.id}-free` === tag);
+        return allergen ? allergen.freeLabel : tag;
+    },
+    
+    /**
+     * Build badges describing a recipe's classification
+     * Allergen badges say "Contains" and list their ingredients, so nothing
+     * depends on the badge colour. The ingredient list is shown in full when
+     * detailed is set, and otherwise kept for screen readers and tooltips.
+     * @param {Object} recipe - Classified recipe
+     * @param {boolean} detailed - Whether to show each badge's ingredients visibly
+     * @returns {HTMLElement} List of badges
+     */
+    createBadges: function(recipe, detailed) {
+        const list = document.createElement('ul');
+        list.className = 'dietary-badges list-unstyled';
+        list.setAttribute('aria-label', 'Dietary information');
+        
+        const addBadge = (className, icon, text, detail) => {
+            const item = document.createElement('li');
+            item.className = `dietary-badge ${className}`;
+            item.title = detail;
+            item.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i> <span class="dietary-badge-label"></span>`;
+            item.querySelector('.dietary-badge-label').textContent = text;
+            
+            const detailText = document.createElement('span');
+            detailText.className = detailed ? 'dietary-badge-detail' : 'sr-only';
+            detailText.textContent = detailed ? detail : `: ${detail}`;
+            item.appendChild(detailText);
+            
+            list.appendChild(item);
+        };
+        
+        const dietary = recipe.dietary || this.classify(recipe);
+        
+        dietary.diets.forEach(diet => {
+            const reason = diet.id === 'vegan' ? 'No animal products in the ingredients' : 'No meat or fish in the ingredients';
+            addBadge('dietary-badge-diet', 'fa-leaf', diet.label, reason);
+        });
+        
+        dietary.allergens.forEach(allergen => {
+            addBadge('dietary-badge-allergen', 'fa-exclamation-triangle', `Contains ${allergen.label.toLowerCase()}`,
+                `From ${allergen.ingredients.join('; ')}`);
+        });
+        
+        return list;
+    }
+};
+
+// Export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DietaryClassifier;
+}
@@ -0,0 +1,223 @@
+/**
+ * AccessiChef - Recipe Facet Filters
+ * 
+ * This utility filters recipes by category, cooking time, difficulty,
+ * servings and dietary tags, counts how many recipes each facet option would
+ * leave, and converts the filter state to and from a URL query string so a
+ * filtered view can be bookmarked.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Recipe Filters - Facet matching, counting and URL state
+ */
+const RecipeFilters = {
+    /**
+     * Difficulty levels in display order
+     */
+    difficulties: ['Easy', 'Medium', 'Hard'],
+    
+    /**
+     * Step for the cooking time slider, in minutes
+     */
+    timeStep: 5,
+    
+    /**
+     * Create an empty filter state, which matches every recipe
+     * @returns {Object} Filter state
+     */
+    createState: function() {
+        return {
+            query: '',
+            category: '',
+            maxTime: null,
+            difficulty: [],
+            minServings: null,
+            maxServings: null,
+            tags: []
+        };
+    },
+    
+    /**
+     * Get a recipe's dietary tags
+     * @param {Object} recipe - Recipe object
+     * @returns {Array<string>} Tags, or an empty array if the recipe has none
+     */
+    getTags: function(recipe) {
+        return Array.isArray(recipe.tags) ? recipe.tags : [];
+    },
+    
+    /**
+     * Get the ranges and options the facets should offer for a set of recipes
+     * @param {Array} recipes - All recipes
+     * @returns {Object} Object with count, maxTime, minServings, maxServings, difficulties and tags
+     */
+    getBounds: function(recipes) {
+        const times = recipes.map(recipe => recipe.time);
+        const servings = recipes.map(recipe => recipe.servings);
+        const tags = new Set();
+        recipes.forEach(recipe => this.getTags(recipe).forEach(tag => tags.add(tag)));
+        
+        return {
+            count: recipes.length,
+            maxTime: Math.ceil(Math.max(...times, this.timeStep) / this.timeStep) * this.timeStep,
+            minServings: Math.min(...servings),
+            maxServings: Math.max(...servings),
+            difficulties: this.difficulties.filter(level => recipes.some(recipe => recipe.difficulty === level)),
+            tags: Array.from(tags).sort()
+        };
+    },
+    
+    /**
+     * Check a recipe against the filter state
+     * @param {Object} recipe - Recipe object
+     * @param {Object} state - Filter state
+     * @param {string} ignoreFacet - Optional facet to leave out, used when counting that facet's options
+     * @returns {boolean} True if the recipe passes every facet
+     */
+    matches: function(recipe, state, ignoreFacet) {
+        if (ignoreFacet !== 'category' && state.category && recipe.category !== state.category) {
+            return false;
+        }
+        
+        if (ignoreFacet !== 'maxTime' && state.maxTime !== null && recipe.time > state.maxTime) {
+            return false;
+        }
+        
+        if (ignoreFacet !== 'difficulty' && state.difficulty.length > 0 && !state.difficulty.includes(recipe.difficulty)) {
+            return false;
+        }
+        
+        if (ignoreFacet !== 'servings') {
+            if (state.minServings !== null && recipe.servings < state.minServings) {
+                return false;
+            }
+            if (state.maxServings !== null && recipe.servings > state.maxServings) {
+                return false;
+            }
+        }
+        
+        // A recipe must carry every selected dietary tag
+        if (ignoreFacet !== 'tags') {
+            const recipeTags = this.getTags(recipe);
+            if (!state.tags.every(tag => recipeTags.includes(tag))) {
+                return false;
+            }
+        }
+        
+        return true;
+    },
+    
+    /**
+     * Filter recipes, keeping their order
+     * @param {Array} recipes - Recipes to filter
+     * @param {Object} state - Filter state
+     * @returns {Array} Recipes passing every facet
+     */
+    apply: function(recipes, state) {
+        return recipes.filter(recipe => this.matches(recipe, state));
+    },
+    
+    /**
+     * Count how many recipes each facet option would show
+     * Each option is counted against all the other facets, so the counts
+     * say what selecting that option would show.
+     * @param {Array} recipes - Recipes to count (already narrowed by text search)
+     * @param {Object} state - Filter state
+     * @param {Object} bounds - Facet options from getBounds()
+     * @returns {Object} Counts keyed by facet, then by option
+     */
+    getCounts: function(recipes, state, bounds) {
+        const counts = { category: {}, difficulty: {}, tags: {} };
+        
+        const countBy = (facet, getValues) => {
+            recipes
+                .filter(recipe => this.matches(recipe, state, facet))
+                .forEach(recipe => {
+                    getValues(recipe).forEach(value => {
+                        counts[facet][value] = (counts[facet][value] || 0) + 1;
+                    });
+                });
+        };
+        
+        countBy('category', recipe => [recipe.category]);
+        countBy('difficulty', recipe => [recipe.difficulty]);
+        
+        // Tags combine, so count recipes that have the tag on top of those already selected
+        bounds.tags.forEach(tag => {
+            const withTag = Object.assign({}, state, { tags: state.tags.includes(tag) ? state.tags : state.tags.concat(tag) });
+            counts.tags[tag] = recipes.filter(recipe => this.matches(recipe, withTag)).length;
+        });
+        
+        return counts;
+    },
+    
+    /**
+     * Convert a filter state to a URL query string
+     * Only facets that narrow the results are included.
+     * @param {Object} state - Filter state
+     * @returns {string} Query string, including the leading "?", or an empty string
+     */
+    toQueryString: function(state) {
+        const params = new URLSearchParams();
+        
+        if (state.query) {
+            params.set('q', state.query);
+        }
+        if (state.category) {
+            params.set('category', state.category);
+        }
+        if (state.maxTime !== null) {
+            params.set('maxTime', state.maxTime);
+        }
+        if (state.difficulty.length > 0) {
+            params.set('difficulty', state.difficulty.join(','));
+        }
+        if (state.minServings !== null) {
+            params.set('minServings', state.minServings);
+        }
+        if (state.maxServings !== null) {
+            params.set('maxServings', state.maxServings);
+        }
+        if (state.tags.length > 0) {
+            params.set('tags', state.tags.join(','));
+        }
+        
+        // Commas are safe in a query string, so keep lists readable
+        const queryString = params.toString().replace(/%2C/g, ',');
+        return queryString ? `?${queryString}` : '';
+    },
+    
+    /**
+     * Read a filter state from a URL query string
+     * Missing or invalid values fall back to not filtering.
+     * @param {string} queryString - Query string, with or without the leading "?"
+     * @returns {Object} Filter state
+     */
+    fromQueryString: function(queryString) {
+        const params = new URLSearchParams(queryString);
+        const state = this.createState();
+        
+        const readNumber = (name) => {
+            const value = parseInt(params.get(name), 10);
+            return value > 0 ? value : null;
+        };
+        const readList = (name) => (params.get(name) || '').split(',').map(value => value.trim()).filter(value => value);
+        
+        state.query = params.get('q') || '';
+        state.category = params.get('category') || '';
+        state.maxTime = readNumber('maxTime');
+        state.difficulty = readList('difficulty');
+        state.minServings = readNumber('minServings');
+        state.maxServings = readNumber('maxServings');
+        state.tags = readList('tags');
+        
+        return state;
+    }
+};
@@ -0,0 +1,469 @@
+/**
+ * AccessiChef - Recipe Export
+ * 
+ * This utility writes a recipe out as schema.org JSON-LD, Markdown or plain
+ * text for sharing or keeping elsewhere, and as an iCalendar (.ics) file that
+ * puts each timed step on a calendar. Exports are made from the recipe as the
+ * page shows it, so they use the chosen servings and unit system.
+ * 
+ * Calendar steps are counted back from a "dinner at" time: the last timed
+ * step finishes when dinner is served and each earlier one finishes as the
+ * next begins. Steps without a time take no time on the calendar.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Recipe Export - Converts recipes into files for other apps
+ */
+const RecipeExport = {
+    /**
+     * Export formats, each with its file extension and MIME type
+     */
+    formats: {
+        'json-ld': { label: 'recipe data', extension: 'json', mimeType: 'application/ld+json' },
+        markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+        text: { label: 'plain text', extension: 'txt', mimeType: 'text/plain' },
+        calendar: { label: 'calendar', extension: 'ics', mimeType: 'text/calendar' }
+    },
+    
+    /**
+     * schema.org diets matching the dietary tags
+     * Allergen-free tags such as gluten-free are left out: they are guessed from
+     * ingredient names, which is not safe enough to claim in shared recipe data.
+     */
+    schemaDiets: {
+        vegetarian: 'https://schema.org/VegetarianDiet',
+        vegan: 'https://schema.org/VeganDiet'
+    },
+    
+    /**
+     * schema.org nutrition properties for the nutrition labels
+     */
+    schemaNutrition: {
+        Calories: 'calories',
+        Protein: 'proteinContent',
+        Carbs: 'carbohydrateContent',
+        Fat: 'fatContent',
+        Fiber: 'fiberContent',
+        Sugar: 'sugarContent'
+    },
+    
+    /**
+     * Scale a recipe to a number of servings in one unit system
+     * Ingredients are moved to readable units in that system and measurements
+     * in the steps are converted to match.
+     * @param {Object} recipe - Recipe object, with any swaps already applied
+     * @param {number} servings - Servings to export
+     * @param {string} unitSystem - 'metric' or 'imperial'
+     * @returns {Object} Copy of the recipe with scaled ingredients and converted steps
+     */
+    prepareRecipe: function(recipe, servings, unitSystem) {
+        const ratio = servings / recipe.servings;
+        
+        return Object.assign({}, recipe, {
+            servings: servings,
+            unitSystem: unitSystem,
+            ingredients: recipe.ingredients.map(ingredient => {
+                const scaled = IngredientScaler.scaleIngredient(ingredient, ratio, unitSystem);
+                return Object.assign({}, ingredient, { amount: scaled.amount, unit: scaled.unit });
+            }),
+            instructions: recipe.instructions.map(instruction => Object.assign({}, instruction, {
+                text: InstructionConverter.convertText(instruction.text, unitSystem)
+            }))
+        });
+    },
+    
+    /**
+     * Describe an ingredient on one line, such as "1 ½ cup flour"
+     * @param {Object} ingredient - Ingredient object
+     * @param {boolean} markEstimates - Whether to mark amounts based on an estimated density with ≈
+     * @returns {string} Ingredient line
+     */
+    describeIngredient: function(ingredient, markEstimates) {
+        let line;
+        
+        if (IngredientScaler.unscaledUnits.includes(ingredient.unit)) {
+            line = `${ingredient.name}, ${ingredient.unit}`;
+        } else if (ingredient.amount > 0) {
+            line = `${MeasurementConverter.formatMeasurement(ingredient.amount, ingredient.unit)} ${ingredient.name}`;
+        } else {
+            line = ingredient.name;
+        }
+        
+        if (ingredient.originalName) {
+            line += ` (instead of ${ingredient.originalName})`;
+        }
+        
+        return markEstimates && ingredient.estimated ? `≈ ${line}` : line;
+    },
+    
+    /**
+     * Format minutes as an ISO 8601 duration, such as "PT1H15M"
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} ISO 8601 duration
+     */
+    formatDuration: function(minutes) {
+        const totalSeconds = Math.round(minutes * 60);
+        const hours = Math.floor(totalSeconds / 3600);
+        const rest = Math.floor(totalSeconds % 3600 / 60);
+        const seconds = totalSeconds % 60;
+        
+        return 'PT' + (hours > 0 ? `${hours}H` : '') + (rest > 0 ? `${rest}M` : '') +
+            (seconds > 0 || totalSeconds === 0 ? `${seconds}S` : '');
+    },
+    
+    /**
+     * Describe a step time, such as "2 min" or "30 sec"
+     * @param {number} minutes - Step time in minutes
+     * @returns {string} Step time
+     */
+    describeStepTime: function(minutes) {
+        return minutes < 1 ? `${Math.round(minutes * 60)} sec` : `${minutes} min`;
+    },
+    
+    /**
+     * Get the labels of the diets a recipe suits
+     * @param {Object} recipe - Recipe object
+     * @returns {Array<string>} Labels, such as "Vegetarian"
+     */
+    getDietLabels: function(recipe) {
+        return (recipe.tags || [])
+            .filter(tag => this.schemaDiets[tag])
+            .map(tag => DietaryClassifier.getTagLabel(tag));
+    },
+    
+    /**
+     * Build a schema.org Recipe object
+     * @param {Object} recipe - Prepared recipe
+     * @param {string} pageUrl - Address of the recipe page, for the url and image links
+     * @returns {Object} JSON-LD object
+     */
+    toJsonLd: function(recipe, pageUrl) {
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': 'Recipe',
+            name: recipe.title,
+            description: recipe.description,
+            recipeCategory: recipe.category,
+            recipeYield: `${recipe.servings} servings`,
+            totalTime: this.formatDuration(recipe.time),
+            recipeIngredient: recipe.ingredients.map(ingredient => this.describeIngredient(ingredient, false)),
+            recipeInstructions: recipe.instructions.map(instruction => {
+                const step = { '@type': 'HowToStep', text: instruction.text };
+                if (instruction.time) {
+                    step.performTime = this.formatDuration(instruction.time);
+                }
+                return step;
+            })
+        };
+        
+        if (pageUrl) {
+            data.url = pageUrl;
+        }
+        
+        if (recipe.image) {
+            data.image = pageUrl ? new URL(recipe.image, pageUrl).href : recipe.image;
+        }
+        
+        const diets = (recipe.tags || []).filter(tag => this.schemaDiets[tag]);
+        if (diets.length > 0) {
+            data.suitableForDiet = diets.map(tag => this.schemaDiets[tag]);
+        }
+        
+        const nutrition = Object.entries(recipe.nutrition || {}).filter(([label]) => this.schemaNutrition[label]);
+        if (nutrition.length > 0) {
+            data.nutrition = { '@type': 'NutritionInformation' };
+            nutrition.forEach(([label, value]) => {
+                data.nutrition[this.schemaNutrition[label]] = String(value);
+            });
+        }
+        
+        return data;
+    },
+    
+    /**
+     * Escape characters that Markdown would treat as formatting
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeMarkdown: function(text) {
+        return String(text).replace(/([\\`*_[\]#<>|])/g, '\\$1');
+    },
+    
+    /**
+     * Write a recipe as Markdown
+     * @param {Object} recipe - Prepared recipe
+     * @returns {string} Markdown text
+     */
+    toMarkdown: function(recipe) {
+        const lines = [
+            `# ${this.escapeMarkdown(recipe.title)}`,
+            '',
+            this.escapeMarkdown(recipe.description),
+            '',
+            `- **Category:** ${recipe.category}`,
+            `- **Servings:** ${recipe.servings}`,
+            `- **Time:** ${recipe.time} mins`,
+            `- **Difficulty:** ${recipe.difficulty}`,
+            `- **Measurements:** ${recipe.unitSystem}`
+        ];
+        
+        const diets = this.getDietLabels(recipe);
+        if (diets.length > 0) {
+            lines.push(`- **Suitable for:** ${diets.join(', ')}`);
+        }
+        
+        lines.push('', '## Ingredients', '');
+        recipe.ingredients.forEach(ingredient => {
+            lines.push(`- ${this.escapeMarkdown(this.describeIngredient(ingredient, true))}`);
+        });
+        
+        lines.push('', '## Instructions', '');
+        recipe.instructions.forEach((instruction, index) => {
+            const time = instruction.time ? ` *(${this.describeStepTime(instruction.time)})*` : '';
+            lines.push(`${index + 1}. ${this.escapeMarkdown(instruction.text)}${time}`);
+        });
+        
+        const nutrition = Object.entries(recipe.nutrition || {});
+        if (nutrition.length > 0) {
+            lines.push('', '## Nutrition', '');
+            nutrition.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+        }
+        
+        return lines.join('\n') + '\n';
+    },
+    
+    /**
+     * Write a recipe as plain text
+     * @param {Object} recipe - Prepared recipe
+     * @returns {string} Plain text
+     */
+    toPlainText: function(recipe) {
+        const heading = text => [text.toUpperCase(), ''];
+        const lines = [
+            recipe.title,
+            '='.repeat(recipe.title.length),
+            '',
+            recipe.description,
+            '',
+            `Category: ${recipe.category}`,
+            `Servings: ${recipe.servings}`,
+            `Time: ${recipe.time} mins`,
+            `Difficulty: ${recipe.difficulty}`,
+            `Measurements: ${recipe.unitSystem}`
+        ];
+        
+        const diets = this.getDietLabels(recipe);
+        if (diets.length > 0) {
+            lines.push(`Suitable for: ${diets.join(', ')}`);
+        }
+        
+        lines.push('', ...heading('Ingredients'));
+        recipe.ingredients.forEach(ingredient => {
+            lines.push(`- ${this.describeIngredient(ingredient, true)}`);
+        });
+        
+        lines.push('', ...heading('Instructions'));
+        recipe.instructions.forEach((instruction, index) => {
+            const time = instruction.time ? ` (${this.describeStepTime(instruction.time)})` : '';
+            lines.push(`${index + 1}. ${instruction.text}${time}`);
+        });
+        
+        const nutrition = Object.entries(recipe.nutrition || {});
+        if (nutrition.length > 0) {
+            lines.push('', ...heading('Nutrition'));
+            nutrition.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+        }
+        
+        return lines.join('\n') + '\n';
+    },
+    
+    /**
+     * Work out when each timed step starts and ends so the last finishes at dinner time
+     * @param {Object} recipe - Prepared recipe
+     * @param {Date} dinnerTime - When dinner is served
+     * @returns {Array} Timed steps in order, as { number, text, minutes, start, end }
+     */
+    scheduleSteps: function(recipe, dinnerTime) {
+        const steps = [];
+        let end = dinnerTime.getTime();
+        
+        for (let index = recipe.instructions.length - 1; index >= 0; index--) {
+            const instruction = recipe.instructions[index];
+            if (!instruction.time) {
+                continue;
+            }
+            
+            const start = end - instruction.time * 60000;
+            steps.unshift({
+                number: index + 1,
+                text: instruction.text,
+                minutes: instruction.time,
+                start: new Date(start),
+                end: new Date(end)
+            });
+            end = start;
+        }
+        
+        return steps;
+    },
+    
+    /**
+     * Format a date as an iCalendar UTC date-time, such as "20241018T173000Z"
+     * @param {Date} date - Date to format
+     * @returns {string} iCalendar date-time
+     */
+    formatCalendarDate: function(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+    
+    /**
+     * Escape text for an iCalendar property value
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeCalendarText: function(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+    
+    /**
+     * Fold an iCalendar line so no line is longer than 75 bytes
+     * @param {string} line - Content line
+     * @returns {string} Folded line, continued lines starting with a space
+     */
+    foldCalendarLine: function(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let bytes = 0;
+        
+        for (const character of line) {
+            const size = encoder.encode(character).length;
+            
+            // Continued lines lose one byte to the leading space
+            if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                bytes = 0;
+            }
+            
+            current += character;
+            bytes += size;
+        }
+        
+        parts.push(current);
+        return parts.join('\r\n ');
+    },
+    
+    /**
+     * Write the timed steps of a recipe as an iCalendar file
+     * Each step is an event with a reminder when it is due to start.
+     * @param {Object} recipe - Prepared recipe
+     * @param {Date} dinnerTime - When dinner is served
+     * @returns {string} iCalendar text
+     * @throws {Error} If the recipe has no timed steps or the time isn't valid
+     */
+    toCalendar: function(recipe, dinnerTime) {
+        if (!(dinnerTime instanceof Date) || isNaN(dinnerTime.getTime())) {
+            throw new Error('Choose a date and time for dinner first.');
+        }
+        
+        const steps = this.scheduleSteps(recipe, dinnerTime);
+        if (steps.length === 0) {
+            throw new Error('This recipe has no timed steps to put on a calendar.');
+        }
+        
+        const stamp = this.formatCalendarDate(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//AccessiChef//Recipe Export//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        
+        steps.forEach(step => {
+            const summary = `${recipe.title}: step ${step.number} of ${recipe.instructions.length} (${this.describeStepTime(step.minutes)})`;
+            
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${recipe.id}-step-${step.number}-${step.start.getTime()}@accessichef`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${this.formatCalendarDate(step.start)}`,
+                `DTEND:${this.formatCalendarDate(step.end)}`,
+                `SUMMARY:${this.escapeCalendarText(summary)}`,
+                `DESCRIPTION:${this.escapeCalendarText(step.text)}`,
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${this.escapeCalendarText(`Start step ${step.number} of ${recipe.title}`)}`,
+                'TRIGGER:PT0M',
+                'END:VALARM',
+                'END:VEVENT'
+            );
+        });
+        
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldCalendarLine(line)).join('\r\n') + '\r\n';
+    },
+    
+    /**
+     * Export a prepared recipe in one of the formats
+     * @param {Object} recipe - Prepared recipe
+     * @param {string} format - Key of the format in formats
+     * @param {Object} options - pageUrl for JSON-LD, dinnerTime for the calendar
+     * @returns {Object} Object with the file content, fileName and mimeType
+     */
+    exportRecipe: function(recipe, format, options) {
+        const settings = options || {};
+        let content;
+        
+        if (format === 'json-ld') {
+            content = JSON.stringify(this.toJsonLd(recipe, settings.pageUrl), null, 2) + '\n';
+        } else if (format === 'markdown') {
+            content = this.toMarkdown(recipe);
+        } else if (format === 'text') {
+            content = this.toPlainText(recipe);
+        } else if (format === 'calendar') {
+            content = this.toCalendar(recipe, settings.dinnerTime);
+        } else {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        
+        return {
+            content: content,
+            fileName: `${recipe.id}-${recipe.servings}-servings.${this.formats[format].extension}`,
+            mimeType: this.formats[format].mimeType
+        };
+    },
+    
+    /**
+     * Save text as a file through the browser's download
+     * @param {string} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} mimeType - MIME type of the content
+     */
+    downloadFile: function(content, fileName, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = fileName;
+        link.classList.add('d-none');
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the download time to start before releasing the file
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
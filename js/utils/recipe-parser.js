@@ -0,0 +1,668 @@
+/**
+ * AccessiChef - Recipe Parsing
+ * 
+ * This utility turns recipes written elsewhere into AccessiChef's recipe
+ * format. It reads schema.org Recipe JSON-LD, on its own or inside a saved
+ * web page, and free-form text with a title, ingredient lines and steps.
+ * Ingredient lines such as "2 1/2 cups flour, sifted" are split into amount,
+ * unit and name, and step times are read from phrases such as "simmer for
+ * 20 minutes".
+ * 
+ * Anything that had to be guessed is reported as a warning so it can be
+ * checked before the recipe is saved.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Recipe Parser - Converts JSON-LD, HTML and text into recipe objects
+ */
+const RecipeParser = {
+    /**
+     * Words in a recipe category or title that suggest each AccessiChef category
+     */
+    categoryWords: {
+        breakfast: ['breakfast', 'brunch', 'pancake', 'waffle', 'omelet', 'omelette', 'porridge', 'granola'],
+        dessert: ['dessert', 'cake', 'cookie', 'cookies', 'pie', 'tart', 'pudding', 'brownie', 'brownies', 'ice cream', 'sweet'],
+        snack: ['snack', 'appetizer', 'appetiser', 'starter', 'side', 'side dish', 'dip', 'drink', 'beverage'],
+        lunch: ['lunch', 'salad', 'sandwich', 'soup', 'wrap'],
+        dinner: ['dinner', 'main', 'main course', 'main dish', 'entree', 'entrée', 'supper']
+    },
+    
+    /**
+     * Words used in place of a unit for small unmeasured amounts
+     */
+    vagueAmounts: {
+        'a pinch of': 'pinch',
+        'pinch of': 'pinch',
+        'a dash of': 'dash',
+        'dash of': 'dash'
+    },
+    
+    /**
+     * Headings that start the ingredient and instruction sections of a text recipe
+     */
+    sectionHeadings: {
+        ingredients: /^(?:ingredients?|you will need|you'll need)\s*:?$/i,
+        instructions: /^(?:instructions?|directions?|method|steps?|preparation|how to make it)\s*:?$/i
+    },
+    
+    /**
+     * Parse a pasted or uploaded recipe in any supported format
+     * @param {string} input - JSON-LD, HTML or plain text
+     * @returns {Object} Object with the recipe, the format found ('json-ld' or
+     *     'text') and warnings about guessed or missing details
+     * @throws {Error} If the input is empty or holds no recipe
+     */
+    parse: function(input) {
+        const text = String(input || '').trim();
+        
+        if (!text) {
+            throw new Error('Paste a recipe or choose a file first.');
+        }
+        
+        // JSON-LD on its own
+        if (/^[[{]/.test(text)) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('The JSON could not be read: ' + error.message);
+            }
+            return this.parseJsonLd([data]);
+        }
+        
+        // A web page, which usually carries its recipe as JSON-LD
+        if (/<(?:html|head|body|script|div|p)[\s>]/i.test(text)) {
+            const blocks = this.extractJsonLd(text);
+            if (blocks.length > 0) {
+                return this.parseJsonLd(blocks);
+            }
+            return this.parseText(this.htmlToText(text), ['No recipe data was found in the page, so its text was read instead.']);
+        }
+        
+        return this.parseText(text, []);
+    },
+    
+    /**
+     * Find the JSON-LD blocks in an HTML page
+     * @param {string} html - Page source
+     * @returns {Array} Parsed JSON values; blocks that aren't valid JSON are skipped
+     */
+    extractJsonLd: function(html) {
+        const blocks = [];
+        const pattern = /<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+        let match;
+        
+        while ((match = pattern.exec(html)) !== null) {
+            try {
+                blocks.push(JSON.parse(match[1].trim()));
+            } catch (error) {
+                console.warn('Skipping JSON-LD block that is not valid JSON:', error);
+            }
+        }
+        
+        return blocks;
+    },
+    
+    /**
+     * Turn HTML into plain text with one line per block element
+     * @param {string} html - HTML source
+     * @returns {string} Text content
+     */
+    htmlToText: function(html) {
+        return this.decodeEntities(html
+            .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(?:p|div|li|h[1-6]|tr|section|article)>/gi, '\n')
+            .replace(/<[^>]+>/g, ''));
+    },
+    
+    /**
+     * Decode the HTML entities recipe sites commonly use
+     * @param {string} text - Text that may contain entities
+     * @returns {string} Decoded text
+     */
+    decodeEntities: function(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', frac12: '½', frac14: '¼', frac34: '¾', deg: '°' };
+        
+        return String(text)
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+            .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+            .replace(/&([a-z0-9]+);/gi, (match, name) => named[name.toLowerCase()] || match);
+    },
+    
+    /**
+     * Find Recipe nodes in JSON-LD, looking inside arrays and @graph lists
+     * @param {*} data - Parsed JSON-LD
+     * @returns {Array} Recipe nodes
+     */
+    findRecipeNodes: function(data) {
+        if (Array.isArray(data)) {
+            return data.reduce((found, item) => found.concat(this.findRecipeNodes(item)), []);
+        }
+        
+        if (!data || typeof data !== 'object') {
+            return [];
+        }
+        
+        const types = [].concat(data['@type'] || []);
+        if (types.includes('Recipe')) {
+            return [data];
+        }
+        
+        return this.findRecipeNodes(data['@graph'] || []);
+    },
+    
+    /**
+     * Convert the first schema.org Recipe in some JSON-LD
+     * @param {Array} blocks - Parsed JSON-LD values
+     * @returns {Object} Object with recipe, format and warnings
+     * @throws {Error} If there is no Recipe
+     */
+    parseJsonLd: function(blocks) {
+        const nodes = this.findRecipeNodes(blocks);
+        const warnings = [];
+        
+        if (nodes.length === 0) {
+            throw new Error('No schema.org Recipe was found in the JSON-LD.');
+        }
+        if (nodes.length > 1) {
+            warnings.push(`Found ${nodes.length} recipes; only the first was imported.`);
+        }
+        
+        const node = nodes[0];
+        const title = this.cleanText(node.name) || 'Imported recipe';
+        const instructions = this.readInstructions(node.recipeInstructions);
+        const ingredients = [].concat(node.recipeIngredient || node.ingredients || [])
+            .map(line => this.cleanText(line))
+            .filter(line => line)
+            .map(line => this.parseIngredientLine(line));
+        
+        const recipe = {
+            title: title,
+            description: this.cleanText(node.description),
+            category: this.guessCategory([].concat(node.recipeCategory || []).join(' '), title, warnings),
+            time: this.parseDuration(node.totalTime) ||
+                (this.parseDuration(node.prepTime) + this.parseDuration(node.cookTime)) || null,
+            servings: this.parseYield(node.recipeYield),
+            difficulty: null,
+            image: this.readImage(node.image, warnings),
+            ingredients: ingredients,
+            instructions: instructions,
+            nutrition: this.readNutrition(node.nutrition)
+        };
+        
+        return { recipe: this.fillGaps(recipe, warnings), format: 'json-ld', warnings: warnings };
+    },
+    
+    /**
+     * Read free-form recipe text
+     * The first line is the title. Ingredient and instruction sections are
+     * found by their headings; without headings, lines starting with an amount
+     * are taken as ingredients and the rest as steps.
+     * @param {string} text - Recipe text
+     * @param {Array<string>} warnings - Warnings found so far
+     * @returns {Object} Object with recipe, format and warnings
+     * @throws {Error} If the text has no ingredients or steps
+     */
+    parseText: function(text, warnings) {
+        const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line);
+        const title = lines.shift() || 'Imported recipe';
+        const description = [];
+        const ingredientLines = [];
+        const stepLines = [];
+        const details = {};
+        const hasHeadings = lines.some(line => this.sectionHeadings.ingredients.test(line));
+        let section = hasHeadings ? 'description' : null;
+        
+        lines.forEach(line => {
+            if (this.sectionHeadings.ingredients.test(line)) {
+                section = 'ingredients';
+                return;
+            }
+            if (this.sectionHeadings.instructions.test(line)) {
+                section = 'instructions';
+                return;
+            }
+            
+            // "Serves 4", "Prep time: 10 minutes", "Category: dessert" and the like
+            if (section !== 'instructions' && this.readDetailLine(line, details)) {
+                return;
+            }
+            
+            // Underlines beneath a plain text title
+            if (/^[=-]{3,}$/.test(line)) {
+                return;
+            }
+            
+            if (section === 'ingredients') {
+                ingredientLines.push(line);
+            } else if (section === 'instructions') {
+                stepLines.push(line);
+            } else if (section === 'description') {
+                description.push(line);
+            } else if (this.startsWithAmount(line) || /^[-•*]\s+/.test(line)) {
+                ingredientLines.push(line);
+            } else {
+                stepLines.push(line);
+            }
+        });
+        
+        if (!hasHeadings) {
+            warnings.push('No "Ingredients" or "Instructions" headings were found, so lines starting with an amount were taken as ingredients.');
+        }
+        
+        const recipe = {
+            title: title.replace(/^#+\s*/, ''),
+            description: description.join(' '),
+            category: this.guessCategory(details.category || '', title, warnings),
+            time: details.time || null,
+            servings: details.servings || null,
+            difficulty: details.difficulty || null,
+            image: '',
+            ingredients: ingredientLines.map(line => this.parseIngredientLine(line.replace(/^[-•*]\s+/, ''))),
+            instructions: this.splitSteps(stepLines.join('\n')).map(step => this.createStep(step)),
+            nutrition: {}
+        };
+        
+        return { recipe: this.fillGaps(recipe, warnings), format: 'text', warnings: warnings };
+    },
+    
+    /**
+     * Read a "Serves 4" or "Cook time: 20 minutes" style line
+     * @param {string} line - Line of text
+     * @param {Object} details - Object to store servings, time, category or difficulty in
+     * @returns {boolean} True if the line was a detail line
+     */
+    readDetailLine: function(line, details) {
+        const servings = line.match(/^(?:serves|servings|yield|makes)\s*:?\s*(\d+)/i);
+        if (servings) {
+            details.servings = parseInt(servings[1], 10);
+            return true;
+        }
+        
+        const time = line.match(/^(?:(total|prep|preparation|cook|cooking)\s+)?time\s*:\s*(.+)$/i);
+        if (time) {
+            const minutes = this.findMinutes(time[2]);
+            if (minutes) {
+                // A total time wins; otherwise prep and cook times add up
+                details.time = /total/i.test(time[1] || '') ? minutes : (details.time || 0) + minutes;
+            }
+            return true;
+        }
+        
+        const category = line.match(/^(?:category|course)\s*:\s*(.+)$/i);
+        if (category) {
+            details.category = category[1];
+            return true;
+        }
+        
+        const difficulty = line.match(/^difficulty\s*:\s*(easy|medium|hard)$/i);
+        if (difficulty) {
+            details.difficulty = difficulty[1].charAt(0).toUpperCase() + difficulty[1].slice(1).toLowerCase();
+            return true;
+        }
+        
+        // Lines AccessiChef exports that are worked out again once saved
+        return /^(?:measurements|suitable for)\s*:/i.test(line);
+    },
+    
+    /**
+     * Fill in required details the source didn't give, with a warning for each
+     * @param {Object} recipe - Parsed recipe
+     * @param {Array<string>} warnings - Warnings to add to
+     * @returns {Object} The recipe
+     */
+    fillGaps: function(recipe, warnings) {
+        if (recipe.ingredients.length === 0) {
+            throw new Error('No ingredients were found.');
+        }
+        if (recipe.instructions.length === 0) {
+            throw new Error('No instructions were found.');
+        }
+        
+        if (!recipe.description) {
+            recipe.description = recipe.title;
+        }
+        
+        if (!recipe.servings) {
+            recipe.servings = 4;
+            warnings.push('The number of servings wasn\'t given; 4 was assumed.');
+        }
+        
+        if (!recipe.time) {
+            const stepTotal = recipe.instructions.reduce((total, step) => total + (step.time || 0), 0);
+            recipe.time = stepTotal;
+            warnings.push(stepTotal > 0 ?
+                `The total time wasn't given; the step times add up to ${stepTotal} minutes.` :
+                'The total time wasn\'t given and no step mentions a time.');
+        }
+        
+        if (!recipe.difficulty) {
+            recipe.difficulty = this.guessDifficulty(recipe);
+        }
+        
+        recipe.ingredients.forEach(ingredient => {
+            if (ingredient.amount === 0 && ingredient.unit === '') {
+                warnings.push(`No amount was found for "${ingredient.name}".`);
+            }
+        });
+        
+        return recipe;
+    },
+    
+    /**
+     * Check whether a line starts with a quantity
+     * @param {string} line - Line of text
+     * @returns {boolean} True if it starts with a number or fraction
+     */
+    startsWithAmount: function(line) {
+        return new RegExp(`^${InstructionConverter.numberPattern}`).test(line) ||
+            Object.keys(this.vagueAmounts).some(phrase => line.toLowerCase().startsWith(phrase));
+    },
+    
+    /**
+     * Split an ingredient line into amount, unit and name
+     * Preparation notes stay in the name, as in the built-in recipes:
+     * "2 1/2 cups flour, sifted" gives { amount: 2.5, unit: 'cup', name: 'flour, sifted' }.
+     * Ranges use their lower amount, and a package size such as "1 (400 g) can"
+     * is kept in the name.
+     * @param {string} line - Ingredient line
+     * @returns {Object} Ingredient as { name, amount, unit }
+     */
+    parseIngredientLine: function(line) {
+        let text = this.cleanText(line);
+        const lower = text.toLowerCase();
+        
+        const vague = Object.keys(this.vagueAmounts).find(phrase => lower.startsWith(phrase));
+        if (vague) {
+            return { name: text, amount: 1, unit: this.vagueAmounts[vague] };
+        }
+        
+        const number = InstructionConverter.numberPattern;
+        const amountMatch = text.match(new RegExp(`^(${number})(?:\\s*(?:-|–|to)\\s*(?:${number}))?\\s*`));
+        
+        if (!amountMatch) {
+            // "Salt and pepper to taste" has no amount to scale
+            if (/\bto taste\b|\bas needed\b|\bfor serving\b/i.test(text)) {
+                return { name: text, amount: 1, unit: 'to taste' };
+            }
+            return { name: text, amount: 0, unit: '' };
+        }
+        
+        const amount = InstructionConverter.parseNumber(amountMatch[1]);
+        text = text.slice(amountMatch[0].length);
+        
+        // Package sizes: "1 (400 g) can chopped tomatoes"
+        let packageSize = '';
+        const packageMatch = text.match(/^\(([^)]*)\)\s*/);
+        if (packageMatch) {
+            packageSize = ` (${packageMatch[1]})`;
+            text = text.slice(packageMatch[0].length);
+        }
+        
+        // The unit is the longest run of one to three words the converter knows
+        let unit = '';
+        const words = text.split(/\s+/);
+        for (let count = Math.min(3, words.length - 1); count >= 1; count--) {
+            const candidate = words.slice(0, count).join(' ').replace(/[.,]$/, '');
+            const key = MeasurementConverter.normalizeUnit(candidate);
+            
+            if (key && key !== 'to taste') {
+                unit = key;
+                text = words.slice(count).join(' ');
+                break;
+            }
+        }
+        
+        const name = text.replace(/^of\s+/i, '').trim() + packageSize;
+        
+        return { name: name || line, amount: Math.round(amount * 1000) / 1000, unit: unit };
+    },
+    
+    /**
+     * Split instruction text into steps
+     * Each line is a step, with any numbering or bullet removed. A single
+     * paragraph is split at numbered markers, or else into sentences.
+     * @param {string} text - Instruction text
+     * @returns {Array<string>} Steps
+     */
+    splitSteps: function(text) {
+        const numbering = /^(?:step\s*)?\d+\s*[.):-]\s*|^[-•*]\s+/i;
+        let lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line);
+        
+        if (lines.length === 1) {
+            const numbered = lines[0].split(/\s+(?=(?:step\s*)?\d+[.)]\s+[A-Z])/i);
+            lines = numbered.length > 1 ? numbered : lines[0].split(/(?<=[.!?])\s+(?=[A-Z])/);
+        }
+        
+        return lines.map(line => line.replace(numbering, '').trim()).filter(line => line);
+    },
+    
+    /**
+     * Create an instruction step with the time it mentions
+     * Steps exported from AccessiChef end with their timer, as in "(2 min)"
+     * or "(30 sec)", which is used as it is rather than added to the text's times.
+     * @param {string} text - Step text
+     * @returns {Object} Step as { text, time }
+     */
+    createStep: function(text) {
+        const timer = text.match(/\s*\((\d+(?:\.\d+)?) (min|sec)\)$/);
+        if (timer) {
+            const value = parseFloat(timer[1]);
+            return { text: text.slice(0, timer.index), time: timer[2] === 'sec' ? value / 60 : value };
+        }
+        
+        return { text: text, time: this.findMinutes(text) };
+    },
+    
+    /**
+     * Find the cooking time a step mentions
+     * Every duration in the step is added up, as in "cook for 5 minutes, then
+     * simmer for 20 minutes". Ranges use their lower end, so a timer goes off
+     * in time to check.
+     * @param {string} text - Step text
+     * @returns {number|null} Minutes, or null if no time is mentioned
+     */
+    findMinutes: function(text) {
+        const number = InstructionConverter.numberPattern;
+        const pattern = new RegExp(`(${number})(?:\\s*(?:-|–|to)\\s*(?:${number}))?\\s*(hours?|hrs?|minutes?|mins?)(?![a-z])`, 'gi');
+        let total = 0;
+        let match;
+        
+        while ((match = pattern.exec(String(text))) !== null) {
+            const value = InstructionConverter.parseNumber(match[1]);
+            total += /^h/i.test(match[2]) ? value * 60 : value;
+        }
+        
+        return total > 0 ? Math.round(total) : null;
+    },
+    
+    /**
+     * Convert an ISO 8601 duration such as "PT1H30M" to minutes
+     * @param {string} duration - Duration text
+     * @returns {number} Minutes, or 0 if missing or unreadable
+     */
+    parseDuration: function(duration) {
+        const match = String(duration || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+        if (!match) {
+            return this.findMinutes(duration) || 0;
+        }
+        
+        const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+        return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+    },
+    
+    /**
+     * Read servings from a schema.org recipeYield
+     * @param {*} recipeYield - Number, text such as "4 servings", or a list of them
+     * @returns {number|null} Servings, or null if none is given
+     */
+    parseYield: function(recipeYield) {
+        for (const value of [].concat(recipeYield || [])) {
+            const match = String(value).match(/\d+/);
+            if (match && parseInt(match[0], 10) > 0) {
+                return parseInt(match[0], 10);
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Read schema.org recipeInstructions into steps
+     * @param {*} instructions - Text, or a list of text, HowToStep and HowToSection entries
+     * @returns {Array} Steps as { text, time }
+     */
+    readInstructions: function(instructions) {
+        const texts = [];
+        
+        const collect = entry => {
+            if (typeof entry === 'string') {
+                texts.push(...this.splitSteps(this.htmlToText(entry)));
+            } else if (Array.isArray(entry)) {
+                entry.forEach(collect);
+            } else if (entry && entry.itemListElement) {
+                collect(entry.itemListElement);
+            } else if (entry && (entry.text || entry.name)) {
+                texts.push(this.cleanText(entry.text || entry.name));
+            }
+        };
+        
+        collect(instructions);
+        return texts.filter(text => text).map(text => this.createStep(text));
+    },
+    
+    /**
+     * Read the image URL from a schema.org image
+     * Only http(s) and relative addresses are kept, as the URL is shown as an image.
+     * @param {*} image - URL, ImageObject, or a list of either
+     * @param {Array<string>} warnings - Warnings found so far
+     * @returns {string} URL, or an empty string
+     */
+    readImage: function(image, warnings) {
+        const first = [].concat(image || [])[0];
+        if (!first) {
+            return '';
+        }
+        
+        const url = String(typeof first === 'string' ? first : (first.url || '')).trim();
+        
+        if (!RecipeValidator.isImageUrl(url)) {
+            warnings.push('The image was left out because its address is not a web address.');
+            return '';
+        }
+        
+        return url;
+    },
+    
+    /**
+     * Read schema.org NutritionInformation into the labels the built-in recipes use
+     * @param {Object} nutrition - NutritionInformation
+     * @returns {Object} Nutrition values keyed by label
+     */
+    readNutrition: function(nutrition) {
+        const labels = {
+            calories: 'Calories',
+            proteinContent: 'Protein',
+            carbohydrateContent: 'Carbs',
+            fatContent: 'Fat',
+            fiberContent: 'Fiber',
+            sugarContent: 'Sugar'
+        };
+        const result = {};
+        
+        Object.entries(labels).forEach(([key, label]) => {
+            if (nutrition && nutrition[key] !== undefined && nutrition[key] !== null) {
+                result[label] = String(nutrition[key]).replace(/\s*calories$/i, ' kcal');
+            }
+        });
+        
+        return result;
+    },
+    
+    /**
+     * Pick an AccessiChef category from a source category and the title
+     * @param {string} sourceCategory - Category as the source gives it
+     * @param {string} title - Recipe title
+     * @param {Array<string>} warnings - Warnings to add to when guessing
+     * @returns {string} Category
+     */
+    guessCategory: function(sourceCategory, title, warnings) {
+        const find = text => Object.keys(this.categoryWords).find(category => {
+            return this.categoryWords[category].some(word => new RegExp(`\\b${word}(?:e?s)?\\b`, 'i').test(text));
+        });
+        
+        const category = find(sourceCategory) || find(title);
+        if (!category) {
+            warnings.push('The category wasn\'t clear; "dinner" was chosen.');
+        } else if (!find(sourceCategory)) {
+            warnings.push(`The category "${category}" was guessed from the title.`);
+        }
+        
+        return category || 'dinner';
+    },
+    
+    /**
+     * Estimate difficulty from the amount of work in a recipe
+     * @param {Object} recipe - Parsed recipe
+     * @returns {string} 'Easy', 'Medium' or 'Hard'
+     */
+    guessDifficulty: function(recipe) {
+        const work = recipe.ingredients.length + recipe.instructions.length * 2;
+        
+        if (work <= 16 && recipe.time <= 30) {
+            return 'Easy';
+        }
+        
+        return work > 32 || recipe.time > 90 ? 'Hard' : 'Medium';
+    },
+    
+    /**
+     * Tidy text from a recipe source
+     * @param {*} text - Text, which may contain HTML or extra spaces
+     * @returns {string} Plain text on one line
+     */
+    cleanText: function(text) {
+        if (text === undefined || text === null) {
+            return '';
+        }
+        
+        return this.decodeEntities(String(text).replace(/<[^>]+>/g, ' '))
+            .replace(/\s+/g, ' ')
+            .replace(/\s+([.,;:!?])/g, '$1')
+            .trim();
+    },
+    
+    /**
+     * Make a recipe ID from a title
+     * @param {string} title - Recipe title
+     * @param {Array<string>} takenIds - IDs already in use
+     * @returns {string} ID in the recipe schema's format, unique among takenIds
+     */
+    createId: function(title, takenIds) {
+        const base = String(title).toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'imported-recipe';
+        let id = base;
+        let suffix = 2;
+        
+        while (takenIds.includes(id)) {
+            id = `${base}-${suffix}`;
+            suffix++;
+        }
+        
+        return id;
+    }
+};
+
+// Export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeParser;
+}
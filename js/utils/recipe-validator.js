@@ -0,0 +1,265 @@
+/**
+ * AccessiChef - Recipe Validation
+ * 
+ * This utility checks recipe data against the recipe schema before it is
+ * used, so a recipe with a missing instructions list or a non-numeric amount
+ * is reported and left out instead of breaking the page. It also finds
+ * ingredient units that MeasurementConverter doesn't know.
+ * 
+ * The same file is used by the Node script scripts/check-recipes.js.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Recipe Validator - Schema checks for recipe data
+ */
+const RecipeValidator = {
+    /**
+     * Recipe schema
+     * Each field has a type ('string', 'number', 'integer', 'array' or 'object')
+     * and optionally: required, nullable, minimum, oneOf, pattern, minItems,
+     * items (schema for array entries), properties (schemas for object fields)
+     * and values (schema for every value of an object used as a map).
+     */
+    recipeSchema: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', required: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+            title: { type: 'string', required: true },
+            description: { type: 'string', required: true },
+            category: { type: 'string', required: true, oneOf: ['breakfast', 'lunch', 'dinner', 'dessert', 'snack'] },
+            time: { type: 'number', required: true, minimum: 0 },
+            servings: { type: 'integer', required: true, minimum: 1 },
+            difficulty: { type: 'string', required: true, oneOf: ['Easy', 'Medium', 'Hard'] },
+            // An http(s) URL or a relative path, without spaces, quotes or angle
+            // brackets; other schemes, such as javascript: and data:, are refused
+            image: { type: 'string', pattern: /^(?:(?:https?:)?\/\/[^\s"'<>]+|(?![a-z][a-z0-9+.-]*:)[^\s"'<>]*)$/i },
+            ingredients: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', required: true },
+                        amount: { type: 'number', required: true, minimum: 0 },
+                        unit: { type: 'string', required: true, allowEmpty: true }
+                    }
+                }
+            },
+            instructions: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string', required: true },
+                        time: { type: 'number', nullable: true, minimum: 0 }
+                    }
+                }
+            },
+            nutrition: { type: 'object', values: { type: 'string' } }
+        }
+    },
+    
+    /**
+     * Check whether a recipe image address is allowed
+     * @param {string} url - Image address
+     * @returns {boolean} True for http(s) URLs and relative paths
+     */
+    isImageUrl: function(url) {
+        return typeof url === 'string' && this.recipeSchema.properties.image.pattern.test(url);
+    },
+    
+    /**
+     * Describe a value's type for error messages
+     * @param {*} value - Value to describe
+     * @returns {string} Type name, such as 'array' or 'null'
+     */
+    describeType: function(value) {
+        if (value === null) {
+            return 'null';
+        }
+        
+        return Array.isArray(value) ? 'array' : typeof value;
+    },
+    
+    /**
+     * Check a value against a schema
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema for the value
+     * @param {string} path - Path of the value, used in messages
+     * @param {Array<string>} errors - Array that error messages are added to
+     */
+    checkValue: function(value, schema, path, errors) {
+        if (value === undefined) {
+            if (schema.required) {
+                errors.push(`${path} is missing`);
+            }
+            return;
+        }
+        
+        if (value === null) {
+            if (!schema.nullable) {
+                errors.push(`${path} must not be null`);
+            }
+            return;
+        }
+        
+        switch (schema.type) {
+            case 'string':
+                if (typeof value !== 'string') {
+                    errors.push(`${path} must be text, not ${this.describeType(value)}`);
+                } else if (!value.trim() && schema.required && !schema.allowEmpty) {
+                    errors.push(`${path} must not be empty`);
+                } else if (schema.oneOf && !schema.oneOf.includes(value)) {
+                    errors.push(`${path} must be one of ${schema.oneOf.join(', ')}, not "${value}"`);
+                } else if (schema.pattern && !schema.pattern.test(value)) {
+                    errors.push(`${path} "${value}" is not in the expected format`);
+                }
+                break;
+            
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number') {
+                    errors.push(`${path} must be a number, not ${this.describeType(value)}${typeof value === 'string' ? ` "${value}"` : ''}`);
+                } else if (!Number.isFinite(value)) {
+                    // NaN comes from reading an empty or mistyped form field
+                    errors.push(`${path} must be ${schema.type === 'integer' ? 'a whole number' : 'a number'}; the field is empty or invalid`);
+                } else if (schema.type === 'integer' && !Number.isInteger(value)) {
+                    errors.push(`${path} must be a whole number`);
+                } else if (schema.minimum !== undefined && value < schema.minimum) {
+                    errors.push(`${path} must be at least ${schema.minimum}`);
+                }
+                break;
+            
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push(`${path} must be a list, not ${this.describeType(value)}`);
+                } else if (schema.minItems && value.length < schema.minItems) {
+                    errors.push(`${path} must have at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`);
+                } else if (schema.items) {
+                    value.forEach((item, index) => this.checkValue(item, schema.items, `${path}[${index}]`, errors));
+                }
+                break;
+            
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${path} must be an object, not ${this.describeType(value)}`);
+                    break;
+                }
+                
+                Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                    this.checkValue(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+                });
+                
+                if (schema.values) {
+                    Object.entries(value).forEach(([key, entry]) => {
+                        this.checkValue(entry, schema.values, `${path}.${key}`, errors);
+                    });
+                }
+                break;
+        }
+    },
+    
+    /**
+     * Check one recipe against the schema
+     * @param {Object} recipe - Recipe to check
+     * @returns {Array<string>} Error messages, empty if the recipe is valid
+     */
+    validateRecipe: function(recipe) {
+        const errors = [];
+        this.checkValue(recipe, Object.assign({ required: true }, this.recipeSchema), '', errors);
+        return errors.map(error => error.replace(/^ is /, 'recipe is ').replace(/^ must /, 'recipe must '));
+    },
+    
+    /**
+     * Check a list of recipes, separating valid ones from invalid ones
+     * Recipes that repeat an earlier recipe's ID are invalid too. A list read
+     * in pages can be checked a page at a time by passing the same seenIds set
+     * and the index of each page's first recipe.
+     * @param {Array} recipes - Recipes to check
+     * @param {Object} options - Optional: firstIndex (index of the first recipe in the
+     *     whole list) and seenIds (Set of IDs already used, added to as recipes pass)
+     * @returns {Object} Object with valid recipes and invalid entries as { index, id, title, errors }
+     */
+    validateRecipes: function(recipes, options) {
+        const valid = [];
+        const invalid = [];
+        const firstIndex = (options && options.firstIndex) || 0;
+        const seenIds = (options && options.seenIds) || new Set();
+        
+        if (!Array.isArray(recipes)) {
+            return { valid: valid, invalid: [{ index: null, id: null, title: null, errors: ['recipe data must contain a recipes list'] }] };
+        }
+        
+        recipes.forEach((recipe, index) => {
+            const errors = this.validateRecipe(recipe);
+            const id = recipe && typeof recipe.id === 'string' ? recipe.id : null;
+            
+            if (id && seenIds.has(id)) {
+                errors.push(`id "${id}" is already used by another recipe`);
+            }
+            
+            if (errors.length > 0) {
+                invalid.push({
+                    index: firstIndex + index,
+                    id: id,
+                    title: recipe && typeof recipe.title === 'string' ? recipe.title : null,
+                    errors: errors
+                });
+            } else {
+                seenIds.add(id);
+                valid.push(recipe);
+            }
+        });
+        
+        return { valid: valid, invalid: invalid };
+    },
+    
+    /**
+     * Find ingredient units that MeasurementConverter doesn't know
+     * Such ingredients still display, but can't be scaled between units or merged.
+     * @param {Array} recipes - Valid recipes
+     * @returns {Array} Entries as { recipeId, ingredient, unit }
+     */
+    findUnknownUnits: function(recipes) {
+        const unknown = [];
+        
+        recipes.forEach(recipe => {
+            recipe.ingredients.forEach(ingredient => {
+                if (!MeasurementConverter.isKnownUnit(ingredient.unit)) {
+                    unknown.push({ recipeId: recipe.id, ingredient: ingredient.name, unit: ingredient.unit });
+                }
+            });
+        });
+        
+        return unknown;
+    },
+    
+    /**
+     * Describe an invalid recipe in one line, for error listings
+     * @param {Object} entry - Invalid entry from validateRecipes()
+     * @returns {string} Description, such as 'Recipe 3 ("Banana Bread")'
+     */
+    describeRecipe: function(entry) {
+        if (entry.index === null) {
+            return 'Recipe data';
+        }
+        
+        const name = entry.title ? `"${entry.title}"` : (entry.id ? `id ${entry.id}` : 'untitled');
+        return `Recipe ${entry.index + 1} (${name})`;
+    }
+};
+
+// Export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeValidator;
+}
@@ -0,0 +1,111 @@
+/**
+ * AccessiChef - Ingredient Scaling Utility
+ * 
+ * This utility scales ingredient quantities when servings change. Scaled
+ * quantities are moved to the most readable unit (for example 16 tbsp becomes
+ * 1 cup and 1500 g becomes 1.5 kg) and rounded to kitchen-friendly values.
+ * Unit choices come from the ladders in MeasurementConverter.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Ingredient Scaler - Scales and normalizes ingredient quantities
+ */
+const IngredientScaler = {
+    /**
+     * Units that describe a vague amount and are never scaled
+     */
+    unscaledUnits: ['to taste'],
+    
+    /**
+     * Scale an ingredient by a servings ratio
+     * @param {Object} ingredient - Ingredient object with name, amount and unit
+     * @param {number} ratio - New servings divided by original servings
+     * @param {string} system - Optional measurement system ('metric' or 'imperial');
+     *     defaults to the system the ingredient is written in
+     * @returns {Object} Scaled and normalized amount and unit
+     */
+    scaleIngredient: function(ingredient, ratio, system) {
+        if (this.unscaledUnits.includes(ingredient.unit)) {
+            return { amount: ingredient.amount, unit: ingredient.unit };
+        }
+        
+        return this.normalize(ingredient.amount * ratio, ingredient.unit, system);
+    },
+    
+    /**
+     * Move an amount to the most readable unit and round it
+     * @param {number} amount - Amount to normalize
+     * @param {string} unit - Unit of the amount
+     * @param {string} system - Optional measurement system ('metric' or 'imperial');
+     *     defaults to the system the unit belongs to
+     * @returns {Object} Normalized amount and unit
+     */
+    normalize: function(amount, unit, system) {
+        const dimension = MeasurementConverter.getDimension(unit);
+        
+        // Count items such as "1 onion" have no unit
+        if (dimension === 'count' && !unit) {
+            return { amount: this.roundCount(amount), unit: unit };
+        }
+        
+        // Unknown units, other counts and temperatures keep their unit
+        if (dimension !== 'volume' && dimension !== 'weight') {
+            return { amount: this.roundAmount(amount, unit), unit: unit };
+        }
+        
+        const unitSystem = MeasurementConverter.getSystem(unit);
+        const targetSystem = system || (unitSystem === 'metric' ? 'metric' : 'imperial');
+        const converted = MeasurementConverter.convertToSystem(amount, unit, targetSystem);
+        
+        return {
+            amount: this.roundAmount(converted.amount, converted.unit),
+            unit: converted.unit
+        };
+    },
+    
+    /**
+     * Round an amount sensibly for its unit
+     * @param {number} amount - Amount to round
+     * @param {string} unit - Unit of the amount
+     * @returns {number} Rounded amount
+     */
+    roundAmount: function(amount, unit) {
+        if (!MeasurementConverter.isMetricUnit(unit)) {
+            return MeasurementConverter.roundToKitchenFraction(amount);
+        }
+        
+        // Grams and millilitres do not need decimal precision at larger amounts
+        if (amount >= 100) {
+            return Math.round(amount / 5) * 5;
+        } else if (amount >= 10) {
+            return Math.round(amount);
+        }
+        
+        return Math.round(amount * 10) / 10 || 0.1;
+    },
+    
+    /**
+     * Round a count of whole items (eggs, onions, cloves)
+     * Small counts keep quarters and halves; larger counts use whole items.
+     * @param {number} count - Count to round
+     * @returns {number} Rounded count
+     */
+    roundCount: function(count) {
+        if (count <= 0) {
+            return 0;
+        } else if (count < 1) {
+            return Math.max(0.25, Math.round(count * 4) / 4);
+        } else if (count < 5) {
+            return Math.round(count * 2) / 2;
+        }
+        
+        return Math.round(count);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,367 @@
+/**
+ * AccessiChef - Recipe Search Index
+ * 
+ * This utility builds an inverted index over recipe titles, descriptions,
+ * ingredient names and instruction text, and answers queries in relevance
+ * order. Words are reduced to simple stems and common synonyms so "tomatos",
+ * "tomatoes" and "tomato" match each other, and small typos are tolerated.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Recipe Search - Inverted index with ranked, typo-tolerant matching
+ */
+const RecipeSearch = {
+    /**
+     * How much a match in each field counts towards a recipe's score
+     */
+    fieldWeights: {
+        title: 10,
+        ingredients: 5,
+        category: 3,
+        description: 3,
+        instructions: 1
+    },
+    
+    /**
+     * Score multipliers for inexact matches
+     */
+    matchFactors: {
+        exact: 1,
+        prefix: 0.8,
+        typo: 0.6
+    },
+    
+    /**
+     * Words too common to be worth indexing or searching for
+     */
+    stopWords: [
+        'a', 'an', 'and', 'or', 'the', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'into', 'onto', 'from',
+        'by', 'as', 'is', 'it', 'be', 'then', 'until', 'about', 'over', 'your', 'i', 'me', 'my'
+    ],
+    
+    /**
+     * Alternative names, mapped to the word used in the index
+     */
+    synonyms: {
+        'garbanzo': 'chickpea',
+        'coriander': 'cilantro',
+        'courgette': 'zucchini',
+        'aubergine': 'eggplant',
+        'capsicum': 'pepper',
+        'scallion': 'onion',
+        'prawn': 'shrimp',
+        'yoghurt': 'yogurt',
+        'chilli': 'chili',
+        'chile': 'chili',
+        'spaghetti': 'pasta',
+        'penne': 'pasta',
+        'macaroni': 'pasta',
+        'biscuit': 'cookie',
+        'oatmeal': 'oat',
+        'porridge': 'oat',
+        'veggie': 'vegetable',
+        'veg': 'vegetable'
+    },
+    
+    /**
+     * Current index: terms maps each stem to { recipeId: weight }
+     */
+    index: null,
+    
+    /**
+     * Reduce a word to its stem
+     * This is a light suffix stripper, enough to join plurals and verb forms
+     * ("cookies"/"cookie", "baking"/"baked"/"bake"), not a full stemmer.
+     * @param {string} word - Lowercase word
+     * @returns {string} Stem
+     */
+    stem: function(word) {
+        let stem = word;
+        
+        if (stem.length > 4) {
+            if (stem.endsWith('ies')) {
+                stem = stem.slice(0, -3) + 'y';
+            } else if (stem.endsWith('sses')) {
+                stem = stem.slice(0, -2);
+            } else if (stem.endsWith('oes') || /(?:ch|sh|x|z)es$/.test(stem)) {
+                stem = stem.slice(0, -2);
+            } else if (stem.endsWith('s') && !stem.endsWith('ss')) {
+                stem = stem.slice(0, -1);
+            }
+        }
+        
+        // Verb endings, undoing doubled consonants as in "chopping" and "chopped"
+        const verbEnding = stem.match(/^(.{3,}?)(ing|ed)$/);
+        if (verbEnding) {
+            stem = verbEnding[1].replace(/([^aeiouls])\1$/, '$1');
+        }
+        
+        // Drop a silent final e so "bake" and "bak(ing)" meet, and treat a
+        // final y as i so "cookie" and "cookies" (via "cooky") meet
+        if (stem.length > 3 && stem.endsWith('e')) {
+            stem = stem.slice(0, -1);
+        }
+        if (stem.length > 3 && stem.endsWith('y')) {
+            stem = stem.slice(0, -1) + 'i';
+        }
+        
+        return stem;
+    },
+    
+    /**
+     * Split text into words, keeping their positions
+     * @param {string} text - Text to split
+     * @returns {Array} Words as { word, start, end }, lowercased
+     */
+    splitWords: function(text) {
+        const words = [];
+        const pattern = /[a-zà-ÿ]+/gi;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            words.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+        }
+        
+        return words;
+    },
+    
+    /**
+     * Turn a word into the term stored in the index
+     * @param {string} word - Lowercase word
+     * @returns {string|null} Index term, or null for stop words
+     */
+    toTerm: function(word) {
+        if (this.stopWords.includes(word)) {
+            return null;
+        }
+        
+        const stemmed = this.stem(word);
+        
+        // Only the table's own entries count, so words such as "constructor"
+        // aren't looked up on the object prototype
+        const synonym = [word, stemmed].find(key => Object.prototype.hasOwnProperty.call(this.synonyms, key));
+        
+        return synonym ? this.stem(this.synonyms[synonym]) : stemmed;
+    },
+    
+    /**
+     * Turn text into index terms
+     * @param {string} text - Text to tokenize
+     * @returns {Array<string>} Terms, in order
+     */
+    tokenize: function(text) {
+        return this.splitWords(String(text || ''))
+            .map(entry => this.toTerm(entry.word))
+            .filter(term => term);
+    },
+    
+    /**
+     * Build the index over a set of recipes
+     * @param {Array} recipes - Recipes to index
+     */
+    buildIndex: function(recipes) {
+        // Maps without a prototype, so any word or recipe ID can be a key
+        const terms = Object.create(null);
+        
+        const addField = (recipe, text, weight) => {
+            this.tokenize(text).forEach(term => {
+                if (!terms[term]) {
+                    terms[term] = Object.create(null);
+                }
+                terms[term][recipe.id] = (terms[term][recipe.id] || 0) + weight;
+            });
+        };
+        
+        recipes.forEach(recipe => {
+            addField(recipe, recipe.title, this.fieldWeights.title);
+            addField(recipe, recipe.category, this.fieldWeights.category);
+            addField(recipe, recipe.description, this.fieldWeights.description);
+            addField(recipe, recipe.ingredients.map(ingredient => ingredient.name).join(' '), this.fieldWeights.ingredients);
+            addField(recipe, recipe.instructions.map(instruction => instruction.text).join(' '), this.fieldWeights.instructions);
+        });
+        
+        this.index = {
+            terms: terms,
+            vocabulary: Object.keys(terms),
+            recipes: recipes,
+            recipeCount: recipes.length
+        };
+    },
+    
+    /**
+     * Count the edits (insert, delete, substitute or swap two neighbours)
+     * needed to turn one word into another
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} limit - Stop counting once this many edits are exceeded
+     * @returns {number} Edit distance, or limit + 1 if over the limit
+     */
+    editDistance: function(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) {
+            return limit + 1;
+        }
+        
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMinimum = i;
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                
+                nextRow.push(value);
+                rowMinimum = Math.min(rowMinimum, value);
+            }
+            
+            if (rowMinimum > limit) {
+                return limit + 1;
+            }
+            
+            previousRow = row;
+            row = nextRow;
+        }
+        
+        return row[b.length];
+    },
+    
+    /**
+     * Find index terms that a query term should match
+     * Exact terms match fully and terms starting with the query term (for
+     * partly typed words) count for less. Only when neither is found are terms
+     * within a small edit distance tried, so "cookie" doesn't also match "cook".
+     * @param {string} queryTerm - Query term
+     * @returns {Array} Matches as { term, factor }
+     */
+    expandTerm: function(queryTerm) {
+        const matches = [];
+        
+        this.index.vocabulary.forEach(term => {
+            if (term === queryTerm) {
+                matches.push({ term: term, factor: this.matchFactors.exact });
+            } else if (queryTerm.length >= 3 && term.startsWith(queryTerm)) {
+                matches.push({ term: term, factor: this.matchFactors.prefix });
+            }
+        });
+        
+        if (matches.length > 0) {
+            return matches;
+        }
+        
+        const typoLimit = queryTerm.length >= 8 ? 2 : (queryTerm.length >= 4 ? 1 : 0);
+        if (typoLimit > 0) {
+            this.index.vocabulary.forEach(term => {
+                if (this.editDistance(queryTerm, term, typoLimit) <= typoLimit) {
+                    matches.push({ term: term, factor: this.matchFactors.typo });
+                }
+            });
+        }
+        
+        return matches;
+    },
+    
+    /**
+     * Search the index
+     * Every query word must match something in a recipe; recipes are ranked by
+     * how strongly and where they match, with rarer words counting for more.
+     * @param {string} query - Search text
+     * @returns {Array} Results as { recipe, score, terms }, best first; terms are the matched index terms
+     */
+    search: function(query) {
+        if (!this.index) {
+            return [];
+        }
+        
+        const queryTerms = [...new Set(this.tokenize(query))];
+        
+        if (queryTerms.length === 0) {
+            return this.index.recipes.map(recipe => ({ recipe: recipe, score: 0, terms: [] }));
+        }
+        
+        const results = Object.create(null);
+        
+        queryTerms.forEach((queryTerm, queryIndex) => {
+            this.expandTerm(queryTerm).forEach(match => {
+                const postings = this.index.terms[match.term];
+                const idf = Math.log(1 + this.index.recipeCount / Object.keys(postings).length);
+                
+                Object.entries(postings).forEach(([recipeId, weight]) => {
+                    if (!results[recipeId]) {
+                        results[recipeId] = { score: 0, terms: new Set(), matchedQueryTerms: new Set() };
+                    }
+                    
+                    results[recipeId].score += weight * idf * match.factor;
+                    results[recipeId].terms.add(match.term);
+                    results[recipeId].matchedQueryTerms.add(queryIndex);
+                });
+            });
+        });
+        
+        return this.index.recipes
+            .filter(recipe => results[recipe.id] && results[recipe.id].matchedQueryTerms.size === queryTerms.length)
+            .map(recipe => ({
+                recipe: recipe,
+                score: results[recipe.id].score,
+                terms: Array.from(results[recipe.id].terms)
+            }))
+            .sort((a, b) => b.score - a.score);
+    },
+    
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml: function(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+    
+    /**
+     * Wrap words matching any of the given terms in <mark> elements
+     * @param {string} text - Plain text
+     * @param {Array<string>} terms - Index terms to highlight
+     * @returns {string} HTML with matches highlighted
+     */
+    highlight: function(text, terms) {
+        text = String(text);
+        
+        if (!terms || terms.length === 0) {
+            return this.escapeHtml(text);
+        }
+        
+        let html = '';
+        let position = 0;
+        
+        this.splitWords(text).forEach(entry => {
+            if (terms.includes(this.toTerm(entry.word))) {
+                html += this.escapeHtml(text.slice(position, entry.start));
+                html += `<mark>${this.escapeHtml(text.slice(entry.start, entry.end))}</mark>`;
+                position = entry.end;
+            }
+        });
+        
+        return html + this.escapeHtml(text.slice(position));
+    }
+};
+
+// Export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeSearch;
+}
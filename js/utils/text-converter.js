@@ -0,0 +1,316 @@
+/**
+ * AccessiChef - Instruction Text Conversion
+ * 
+ * This utility finds measurements written inside instruction text, such as
+ * "375°F (190°C)", "1/4 cup" and "9x13 inch", and rewrites them in the
+ * selected measurement system. Converted measurements keep the original
+ * wording available to screen readers.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Instruction Converter - Converts measurements found in free text
+ */
+const InstructionConverter = {
+    /**
+     * Unicode fraction characters and their values
+     */
+    fractionCharacters: {
+        '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875
+    },
+    
+    /**
+     * Number pattern source: "2", "1.5", "1/4", "1 1/2", "½" or "1½"
+     */
+    numberPattern: '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?\\s*[¼½¾⅓⅔⅛⅜⅝⅞]?|[¼½¾⅓⅔⅛⅜⅝⅞])',
+    
+    /**
+     * Unit words recognised after a quantity, longest first so "tablespoons"
+     * wins over "tablespoon". Each is resolved through MeasurementConverter.
+     */
+    unitWords: [
+        'tablespoons', 'tablespoon', 'teaspoons', 'teaspoon', 'millilitres', 'milliliters', 'millilitre',
+        'milliliter', 'centimetres', 'centimeters', 'centimetre', 'centimeter', 'millimetres', 'millimeters',
+        'millimetre', 'millimeter', 'kilograms', 'kilogram', 'gallons', 'gallon', 'quarts', 'quart', 'pints',
+        'pint', 'ounces', 'ounce', 'pounds', 'pound', 'grams', 'gram', 'litres', 'liters', 'litre', 'liter',
+        'inches', 'inch', 'cups', 'cup', 'tbsp', 'tsp', 'lbs', 'lb', 'oz', 'kg', 'ml', 'cm', 'mm', 'g', 'l'
+    ],
+    
+    /**
+     * Plural forms for unit names that are written out in full
+     */
+    pluralUnits: {
+        'cup': 'cups',
+        'inch': 'inches'
+    },
+    
+    /**
+     * Build the regular expressions used to scan text
+     * Patterns are built once and cached on first use.
+     * @returns {Object} Regular expressions keyed by measurement type
+     */
+    getPatterns: function() {
+        if (this.patterns) {
+            return this.patterns;
+        }
+        
+        const number = this.numberPattern;
+        const range = `(${number})(?:\\s*(?:-|–|to)\\s*(${number}))?`;
+        const units = this.unitWords.join('|');
+        
+        this.patterns = {
+            // "375°F (190°C)" - a temperature already given in both scales
+            temperaturePair: /(\d+)\s*(?:°|º)\s*([CF])\s*\(\s*(\d+)\s*(?:°|º)\s*([CF])\s*\)/gi,
+            
+            // "350°F", "180 °C" or "200 degrees C"
+            temperature: /(\d+(?:\.\d+)?)\s*(?:°|º|degrees?\s*)\s*([CF])\b/gi,
+            
+            // "9x13 inch", "9 x 5-inch" or "20 by 30 cm"
+            dimensions: new RegExp(`(${number})\\s*(?:x|×|by)\\s*(${number})(?:\\s*(?:x|×|by)\\s*(${number}))?[\\s-]*(inches|inch|in\\.|"|centimetres|centimeters|cm)(?![a-z])`, 'gi'),
+            
+            // "1/4 cup", "2-3 tablespoons", "2 inches" or "1-inch"
+            quantity: new RegExp(`(?<![\\w/.])${range}[\\s-]*(${units})(?![a-z])`, 'gi')
+        };
+        
+        return this.patterns;
+    },
+    
+    /**
+     * Parse a number written as a decimal, fraction, mixed number or fraction character
+     * @param {string} text - Number text
+     * @returns {number} Parsed value, or NaN if not a number
+     */
+    parseNumber: function(text) {
+        let value = 0;
+        let remaining = String(text).trim();
+        
+        // Trailing fraction character, as in "1½"
+        const lastCharacter = remaining.charAt(remaining.length - 1);
+        if (this.fractionCharacters[lastCharacter]) {
+            value += this.fractionCharacters[lastCharacter];
+            remaining = remaining.slice(0, -1).trim();
+            
+            if (!remaining) {
+                return value;
+            }
+        }
+        
+        const parts = remaining.split(/\s+/);
+        
+        for (const part of parts) {
+            const fraction = part.match(/^(\d+)\/(\d+)$/);
+            
+            if (fraction) {
+                value += parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+            } else {
+                value += parseFloat(part);
+            }
+        }
+        
+        return value;
+    },
+    
+    /**
+     * Find every measurement in a piece of text
+     * Matches never overlap; earlier types in the list take priority.
+     * @param {string} text - Text to scan
+     * @returns {Array} Matches with start, end, original text, type, values and unit
+     */
+    scan: function(text) {
+        const patterns = this.getPatterns();
+        const matches = [];
+        
+        const overlaps = (start, end) => matches.some(match => start < match.end && end > match.start);
+        
+        const collect = (type, pattern, build) => {
+            pattern.lastIndex = 0;
+            let found;
+            
+            while ((found = pattern.exec(text)) !== null) {
+                const start = found.index;
+                const end = start + found[0].length;
+                
+                if (overlaps(start, end)) {
+                    continue;
+                }
+                
+                const match = build(found);
+                if (match) {
+                    matches.push(Object.assign({ start: start, end: end, original: found[0], type: type }, match));
+                }
+            }
+        };
+        
+        collect('temperaturePair', patterns.temperaturePair, found => ({
+            values: [parseFloat(found[1]), parseFloat(found[3])],
+            units: [`°${found[2].toUpperCase()}`, `°${found[4].toUpperCase()}`]
+        }));
+        
+        collect('temperature', patterns.temperature, found => ({
+            values: [parseFloat(found[1])],
+            unit: `°${found[2].toUpperCase()}`
+        }));
+        
+        collect('dimensions', patterns.dimensions, found => ({
+            values: [found[1], found[2], found[3]].filter(value => value).map(value => this.parseNumber(value)),
+            unit: MeasurementConverter.normalizeUnit(found[4])
+        }));
+        
+        collect('quantity', patterns.quantity, found => {
+            const unit = MeasurementConverter.normalizeUnit(found[3]);
+            const dimension = MeasurementConverter.getDimension(unit);
+            
+            // Only measurements that change between systems are converted
+            if (!unit || !['volume', 'weight', 'length'].includes(dimension)) {
+                return null;
+            }
+            
+            return {
+                values: [found[1], found[2]].filter(value => value).map(value => this.parseNumber(value)),
+                unit: unit,
+                hyphenated: /\d\s*-\s*[a-z]+$/i.test(found[0]) && !found[2]
+            };
+        });
+        
+        return matches.sort((a, b) => a.start - b.start);
+    },
+    
+    /**
+     * Round a length to what a ruler shows: half centimetres below 5 cm and
+     * whole ones above, quarter inches below 2 inches and half ones above
+     * @param {number} value - Length to round
+     * @param {string} unit - 'cm' or 'inch'
+     * @returns {number} Rounded length
+     */
+    roundLength: function(value, unit) {
+        if (unit === 'cm') {
+            return value < 5 ? Math.max(0.5, Math.round(value * 2) / 2) : Math.round(value);
+        }
+        
+        return value < 2 ? Math.max(0.25, Math.round(value * 4) / 4) : Math.round(value * 2) / 2;
+    },
+    
+    /**
+     * Write a match in the requested system
+     * @param {Object} match - Match returned by scan()
+     * @param {string} system - 'metric' or 'imperial'
+     * @returns {string|null} Converted text, or null if the match is already in that system
+     */
+    convertMatch: function(match, system) {
+        const targetTemperature = system === 'metric' ? '°C' : '°F';
+        
+        if (match.type === 'temperaturePair') {
+            const index = match.units.indexOf(targetTemperature);
+            return index === -1 ? null : `${match.values[index]}${targetTemperature}`;
+        }
+        
+        if (match.type === 'temperature') {
+            if (match.unit === targetTemperature) {
+                return null;
+            }
+            
+            const converted = MeasurementConverter.convertTemperature(match.values[0], match.unit, targetTemperature);
+            return `${MeasurementConverter.roundTemperature(converted)}${targetTemperature}`;
+        }
+        
+        if (MeasurementConverter.getSystem(match.unit) !== (system === 'metric' ? 'imperial' : 'metric')) {
+            return null;
+        }
+        
+        if (match.type === 'dimensions') {
+            const targetUnit = system === 'metric' ? 'cm' : 'inch';
+            const sizes = match.values.map(value => {
+                const converted = MeasurementConverter.convert(value, match.unit, targetUnit);
+                return MeasurementConverter.formatAmount(this.roundLength(converted, targetUnit), targetUnit);
+            });
+            
+            return `${sizes.join(' x ')} ${targetUnit}`;
+        }
+        
+        // Convert the first value to choose the unit, then put any range end in the same unit
+        const first = MeasurementConverter.convertToSystem(match.values[0], match.unit, system);
+        const round = (amount) => first.unit === 'cm' || first.unit === 'inch' ?
+            this.roundLength(amount, first.unit) :
+            IngredientScaler.roundAmount(amount, first.unit);
+        
+        const amounts = match.values.map((value, index) => {
+            return round(index === 0 ? first.amount : MeasurementConverter.convert(value, match.unit, first.unit));
+        });
+        const amountText = amounts.map(amount => MeasurementConverter.formatAmount(amount, first.unit)).join('–');
+        
+        // Keep compound adjectives such as "1-inch pieces" hyphenated and singular
+        if (match.hyphenated) {
+            return `${amountText}-${first.unit}`;
+        }
+        
+        const plural = Math.max(...amounts) > 1 && this.pluralUnits[first.unit];
+        return `${amountText} ${plural || first.unit}`;
+    },
+    
+    /**
+     * Convert all measurements in text to plain text in the requested system
+     * @param {string} text - Text to convert
+     * @param {string} system - 'metric' or 'imperial'
+     * @returns {string} Converted text
+     */
+    convertText: function(text, system) {
+        let result = '';
+        let position = 0;
+        
+        this.scan(text).forEach(match => {
+            const converted = this.convertMatch(match, system);
+            result += text.slice(position, match.start) + (converted === null ? match.original : converted);
+            position = match.end;
+        });
+        
+        return result + text.slice(position);
+    },
+    
+    /**
+     * Render text into an element with measurements in the requested system
+     * Each converted measurement shows the original as a tooltip and reads it
+     * out to screen readers after the converted value.
+     * @param {HTMLElement} element - Element to fill
+     * @param {string} text - Original text
+     * @param {string} system - 'metric' or 'imperial'
+     */
+    renderText: function(element, text, system) {
+        let position = 0;
+        element.textContent = '';
+        
+        this.scan(text).forEach(match => {
+            const converted = this.convertMatch(match, system);
+            if (converted === null) {
+                return;
+            }
+            
+            element.appendChild(document.createTextNode(text.slice(position, match.start)));
+            
+            const span = document.createElement('span');
+            span.className = 'converted-measure';
+            span.title = `Originally ${match.original}`;
+            span.textContent = converted;
+            
+            const original = document.createElement('span');
+            original.className = 'sr-only';
+            original.textContent = ` (originally ${match.original})`;
+            span.appendChild(original);
+            
+            element.appendChild(span);
+            position = match.end;
+        });
+        
+        element.appendChild(document.createTextNode(text.slice(position)));
+    }
+};
+
+// Export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InstructionConverter;
+}
@@ -2,7 +2,13 @@
  * AccessiChef - Recipe Timer Utility
  * 
  * This utility provides timer functionality for cooking steps in recipes.
- * It supports starting, stopping, and pausing timers with visual and audio feedback.
+ * Any number of labelled timers can run at once, each tied to a recipe step,
+ * and each can be paused, resumed or cancelled on its own. Active timers are
+ * shown in a persistent on-screen tray with visual and audio feedback.
+ * 
+ * Timers are driven by absolute end timestamps rather than counted ticks, so
+ * they stay accurate in throttled background tabs, and they are saved to
+ * localStorage so they survive page reloads and navigation between recipes.
  * 
  * @author Spencer Purdy
  * @version 1.0.0
@@ -13,174 +19,562 @@
 'use strict';
 
 /**
- * Recipe Timer - Manages timers for cooking steps
+ * Recipe Timer - Manages concurrent timers for cooking steps
  */
 const RecipeTimer = {
     /**
-     * Timer interval ID
+     * Active timers keyed by timer ID
      */
-    timerInterval: null,
+    timers: {},
     
     /**
-     * Current timer seconds remaining
+     * Counter used to generate timer IDs
      */
-    secondsRemaining: 0,
+    nextTimerId: 1,
     
     /**
-     * Current timer display element
+     * Listeners notified whenever a timer changes
      */
-    currentTimerDisplay: null,
+    listeners: [],
     
     /**
-     * Timer completion callback
+     * Timer tray element
      */
-    completionCallback: null,
+    trayElement: null,
     
     /**
-     * Check if a timer is currently running
-     * @returns {boolean} True if timer is running, false otherwise
+     * Shared interval ID used to refresh running timers
      */
-    isRunning: function() {
-        return this.timerInterval !== null;
-    },
+    tickInterval: null,
+    
+    /**
+     * localStorage key for saved timers
+     */
+    storageKey: 'accessichef_timers',
     
     /**
-     * Start a timer
+     * Start a new timer
      * @param {number} seconds - Number of seconds for the timer
-     * @param {HTMLElement} displayElement - Element to display the timer
-     * @param {Function} callback - Optional callback to run when timer completes
+     * @param {Object} options - Optional settings
+     * @param {string} options.label - Label shown in the tray and announcements
+     * @param {number} options.step - Zero-based recipe step the timer belongs to
+     * @param {string} options.recipeId - ID of the recipe the timer belongs to
+     * @param {Function} options.onComplete - Callback to run when the timer completes
+     *     (callbacks are not saved, so they do not run after a page reload)
+     * @returns {string} ID of the new timer
      */
-    startTimer: function(seconds, displayElement, callback) {
-        // Stop any existing timer
-        this.stopTimer();
+    startTimer: function(seconds, options) {
+        options = options || {};
         
-        // Set new timer parameters
-        this.secondsRemaining = seconds;
-        this.currentTimerDisplay = displayElement;
-        this.completionCallback = callback || null;
+        const id = `timer-${this.nextTimerId++}`;
+        const timer = {
+            id: id,
+            label: options.label || `${Math.round(seconds / 60)} minute timer`,
+            step: typeof options.step === 'number' ? options.step : null,
+            recipeId: options.recipeId || null,
+            duration: seconds,
+            secondsRemaining: seconds,
+            remainingMs: seconds * 1000,
+            endTime: Date.now() + seconds * 1000,
+            state: 'running',
+            expiredWhileAway: false,
+            completionCallback: options.onComplete || null
+        };
         
-        // Update display initially
-        this.updateTimerDisplay();
+        this.timers[id] = timer;
+        this.ensureTicking();
+        this.saveTimers();
+        this.notify(timer);
+        
+        console.log(`Timer started: ${timer.label} (${seconds} seconds)`);
+        return id;
+    },
+    
+    /**
+     * Start the shared tick if any timer is running
+     */
+    ensureTicking: function() {
+        if (this.tickInterval === null && this.isRunning()) {
+            // Tick more often than once a second so the display never skips a second
+            this.tickInterval = setInterval(() => this.tick(), 250);
+        }
+    },
+    
+    /**
+     * Recalculate every running timer from its end timestamp
+     */
+    tick: function() {
+        const now = Date.now();
         
-        // Start interval
-        this.timerInterval = setInterval(() => {
-            this.secondsRemaining--;
+        this.getTimers().forEach(timer => {
+            if (timer.state !== 'running') {
+                return;
+            }
             
-            // Update display
-            this.updateTimerDisplay();
+            timer.remainingMs = timer.endTime - now;
+            const secondsRemaining = Math.max(0, Math.ceil(timer.remainingMs / 1000));
             
             // Check if timer completed
-            if (this.secondsRemaining <= 0) {
-                this.completeTimer();
+            if (timer.remainingMs <= 0) {
+                this.completeTimer(timer.id);
+            } else if (secondsRemaining !== timer.secondsRemaining) {
+                timer.secondsRemaining = secondsRemaining;
+                this.notify(timer);
             }
-        }, 1000);
+        });
+        
+        // Stop ticking once nothing is running
+        if (!this.isRunning() && this.tickInterval !== null) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+    },
+    
+    /**
+     * Get a timer by ID
+     * @param {string} id - Timer ID
+     * @returns {Object|null} Timer object, or null if not found
+     */
+    getTimer: function(id) {
+        return this.timers[id] || null;
+    },
+    
+    /**
+     * Get all timers in the order they were started
+     * @returns {Array} Array of timer objects
+     */
+    getTimers: function() {
+        return Object.values(this.timers);
+    },
+    
+    /**
+     * Get the most recent unfinished timer for a recipe step
+     * @param {number} step - Zero-based step index
+     * @param {string} recipeId - Optional recipe ID the step belongs to
+     * @returns {Object|null} Timer object, or null if the step has no timer
+     */
+    getTimerForStep: function(step, recipeId) {
+        const stepTimers = this.getTimers().filter(timer =>
+            timer.step === step &&
+            timer.state !== 'done' &&
+            (!recipeId || timer.recipeId === recipeId));
+        return stepTimers.length > 0 ? stepTimers[stepTimers.length - 1] : null;
+    },
+    
+    /**
+     * Check if a timer is running
+     * @param {string} id - Optional timer ID; if omitted, checks for any running timer
+     * @returns {boolean} True if running, false otherwise
+     */
+    isRunning: function(id) {
+        if (id) {
+            const timer = this.getTimer(id);
+            return Boolean(timer && timer.state === 'running');
+        }
         
-        console.log(`Timer started: ${seconds} seconds`);
+        return this.getTimers().some(timer => timer.state === 'running');
     },
     
     /**
-     * Stop and clear the current timer
+     * Pause a running timer
+     * @param {string} id - Timer ID
      */
-    stopTimer: function() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-            this.secondsRemaining = 0;
+    pauseTimer: function(id) {
+        const timer = this.getTimer(id);
+        
+        if (timer && timer.state === 'running') {
+            // Freeze the remaining time; the end timestamp is recalculated on resume
+            timer.remainingMs = Math.max(0, timer.endTime - Date.now());
+            timer.secondsRemaining = Math.ceil(timer.remainingMs / 1000);
+            timer.endTime = null;
+            timer.state = 'paused';
+            this.saveTimers();
+            this.notify(timer);
             
-            // Update display if available
-            if (this.currentTimerDisplay) {
-                this.updateTimerDisplay();
-            }
+            console.log(`Timer paused: ${timer.label}`);
+        }
+    },
+    
+    /**
+     * Resume a paused timer
+     * @param {string} id - Timer ID
+     */
+    resumeTimer: function(id) {
+        const timer = this.getTimer(id);
+        
+        if (timer && timer.state === 'paused' && timer.remainingMs > 0) {
+            timer.endTime = Date.now() + timer.remainingMs;
+            timer.state = 'running';
+            this.ensureTicking();
+            this.saveTimers();
+            this.notify(timer);
             
-            console.log('Timer stopped');
+            console.log(`Timer resumed: ${timer.label}`);
         }
     },
     
     /**
-     * Pause the current timer
+     * Cancel a timer and remove it from the tray
+     * @param {string} id - Timer ID
      */
-    pauseTimer: function() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
+    cancelTimer: function(id) {
+        const timer = this.getTimer(id);
+        
+        if (timer) {
+            timer.state = 'cancelled';
+            delete this.timers[id];
+            this.saveTimers();
+            this.notify(timer);
             
-            console.log('Timer paused');
+            console.log(`Timer cancelled: ${timer.label}`);
         }
     },
     
     /**
-     * Resume a paused timer
+     * Cancel every timer
      */
-    resumeTimer: function() {
-        if (!this.timerInterval && this.secondsRemaining > 0) {
-            this.timerInterval = setInterval(() => {
-                this.secondsRemaining--;
-                
-                // Update display
-                this.updateTimerDisplay();
+    cancelAll: function() {
+        this.getTimers().forEach(timer => this.cancelTimer(timer.id));
+    },
+    
+    /**
+     * Save all timers to localStorage
+     */
+    saveTimers: function() {
+        try {
+            const saved = this.getTimers().map(timer => ({
+                id: timer.id,
+                label: timer.label,
+                step: timer.step,
+                recipeId: timer.recipeId,
+                duration: timer.duration,
+                remainingMs: timer.remainingMs,
+                endTime: timer.endTime,
+                state: timer.state,
+                expiredWhileAway: timer.expiredWhileAway
+            }));
+            
+            localStorage.setItem(this.storageKey, JSON.stringify(saved));
+        } catch (error) {
+            console.error('Error saving timers:', error);
+        }
+    },
+    
+    /**
+     * Restore saved timers, reporting any that finished while the page was closed
+     */
+    restoreTimers: function() {
+        let saved = [];
+        
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Error loading saved timers:', error);
+        }
+        
+        const now = Date.now();
+        const expired = [];
+        
+        saved.forEach(data => {
+            const timer = Object.assign({}, data, { completionCallback: null });
+            
+            if (timer.state === 'running') {
+                timer.remainingMs = timer.endTime - now;
                 
-                // Check if timer completed
-                if (this.secondsRemaining <= 0) {
-                    this.completeTimer();
+                if (timer.remainingMs <= 0) {
+                    timer.remainingMs = 0;
+                    timer.state = 'done';
+                    timer.expiredWhileAway = true;
+                    expired.push(timer);
                 }
-            }, 1000);
+            }
+            
+            timer.secondsRemaining = Math.max(0, Math.ceil(timer.remainingMs / 1000));
+            this.timers[timer.id] = timer;
             
-            console.log('Timer resumed');
+            // Keep generated IDs unique across reloads
+            const idNumber = parseInt(timer.id.replace('timer-', ''), 10);
+            if (idNumber >= this.nextTimerId) {
+                this.nextTimerId = idNumber + 1;
+            }
+        });
+        
+        this.saveTimers();
+        this.getTimers().forEach(timer => this.notify(timer));
+        this.ensureTicking();
+        
+        expired.forEach(timer => {
+            this.announce(`${timer.label} timer finished while the page was closed`);
+        });
+        
+        // Catch up immediately when a throttled background tab becomes visible again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.tick();
+            }
+        });
+        
+        console.log(`Restored ${saved.length} timer${saved.length !== 1 ? 's' : ''}`);
+    },
+    
+    /**
+     * Register a listener called with the timer whenever a timer changes
+     * @param {Function} listener - Listener function
+     */
+    addListener: function(listener) {
+        this.listeners.push(listener);
+    },
+    
+    /**
+     * Notify listeners and the tray that a timer changed
+     * @param {Object} timer - Timer object
+     */
+    notify: function(timer) {
+        this.renderTrayItem(timer);
+        
+        this.listeners.forEach(listener => {
+            try {
+                listener(timer);
+            } catch (error) {
+                console.error('Timer listener error:', error);
+            }
+        });
+    },
+    
+    /**
+     * Format seconds as MM:SS
+     * @param {number} totalSeconds - Seconds to format
+     * @returns {string} Formatted time
+     */
+    formatTime: function(totalSeconds) {
+        const safeSeconds = Math.max(0, totalSeconds);
+        const minutes = Math.floor(safeSeconds / 60);
+        const seconds = safeSeconds % 60;
+        
+        // Format as MM:SS with leading zeros
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    },
+    
+    /**
+     * Update a display element with a timer's state
+     * Each state has an icon and wording as well as a colour, so it can be told
+     * apart without seeing colour
+     * @param {HTMLElement} displayElement - Element to update
+     * @param {Object|null} timer - Timer object, or null to show an idle timer
+     */
+    updateTimerDisplay: function(displayElement, timer) {
+        if (!displayElement) {
+            return;
+        }
+        
+        const show = (icon, text) => {
+            displayElement.innerHTML = icon ? `<i class="fas fa-${icon}" aria-hidden="true"></i> ` : '';
+            displayElement.appendChild(document.createTextNode(text));
+        };
+        
+        if (!timer || timer.state === 'cancelled') {
+            show(null, '00:00');
+            displayElement.classList.remove('timer-low', 'timer-done');
+            return;
+        }
+        
+        if (timer.state === 'done') {
+            show('check-circle', timer.expiredWhileAway ? 'DONE while away' : 'DONE!');
+            displayElement.classList.remove('timer-low');
+            displayElement.classList.add('timer-done');
+            return;
+        }
+        
+        displayElement.classList.remove('timer-done');
+        
+        // Mark the last ten seconds with an icon and words, not just colour
+        const isLow = timer.secondsRemaining <= 10;
+        displayElement.classList.toggle('timer-low', isLow);
+        
+        if (timer.state === 'paused') {
+            show('pause', this.formatTime(timer.secondsRemaining) + ' (paused)');
+        } else if (isLow) {
+            show('hourglass-end', this.formatTime(timer.secondsRemaining) + ' (almost done)');
+        } else {
+            show(null, this.formatTime(timer.secondsRemaining));
         }
     },
     
     /**
-     * Update the timer display element
+     * Register the timer tray's keyboard shortcut
      */
-    updateTimerDisplay: function() {
-        if (this.currentTimerDisplay) {
-            const minutes = Math.floor(this.secondsRemaining / 60);
-            const seconds = this.secondsRemaining % 60;
+    registerShortcuts: function() {
+        KeyboardShortcuts.register('timer-tray',
+            () => this.trayElement.querySelector('button').focus(),
+            () => Boolean(this.trayElement && !this.trayElement.classList.contains('d-none')));
+    },
+    
+    /**
+     * Create the timer tray if it doesn't exist
+     * @returns {HTMLElement} Tray list element
+     */
+    ensureTray: function() {
+        if (this.trayElement && document.body.contains(this.trayElement)) {
+            return this.trayElement.querySelector('.timer-tray-list');
+        }
+        
+        const tray = document.createElement('aside');
+        tray.id = 'timer-tray';
+        tray.className = 'timer-tray d-none';
+        tray.setAttribute('aria-labelledby', 'timer-tray-heading');
+        tray.dataset.scanRegion = 'Timers';
+        tray.innerHTML = `
+            <h2 id="timer-tray-heading" class="timer-tray-heading">Timers</h2>
+            <ul class="timer-tray-list"></ul>
+            <div id="timer-announcer" class="sr-only" aria-live="assertive" aria-relevant="additions"></div>
+        `;
+        
+        // Handle tray buttons with a single delegated listener
+        tray.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-timer-action]');
+            if (!button) {
+                return;
+            }
             
-            // Format as MM:SS with leading zeros
-            const formattedTime = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-            this.currentTimerDisplay.textContent = formattedTime;
+            const id = button.dataset.timerId;
+            switch (button.dataset.timerAction) {
+                case 'pause':
+                    this.pauseTimer(id);
+                    break;
+                case 'resume':
+                    this.resumeTimer(id);
+                    break;
+                case 'cancel':
+                case 'dismiss':
+                    this.cancelTimer(id);
+                    break;
+            }
+        });
+        
+        document.body.appendChild(tray);
+        this.trayElement = tray;
+        
+        return tray.querySelector('.timer-tray-list');
+    },
+    
+    /**
+     * Create or update the tray entry for a timer
+     * @param {Object} timer - Timer object
+     */
+    renderTrayItem: function(timer) {
+        const list = this.ensureTray();
+        let item = list.querySelector(`[data-timer-id="${timer.id}"]`);
+        
+        // Remove cancelled timers from the tray
+        if (timer.state === 'cancelled') {
+            if (item) {
+                // Keep keyboard focus inside the tray when a focused item disappears
+                const hadFocus = item.contains(document.activeElement);
+                item.remove();
+                if (hadFocus && list.querySelector('button')) {
+                    list.querySelector('button').focus();
+                }
+            }
+            this.trayElement.classList.toggle('d-none', list.children.length === 0);
+            return;
+        }
+        
+        if (!item) {
+            item = document.createElement('li');
+            item.className = 'timer-tray-item';
+            item.dataset.timerId = timer.id;
+            item.innerHTML = `
+                <span class="timer-tray-label"></span>
+                <span class="timer-tray-time" role="timer"></span>
+                <span class="timer-tray-actions"></span>
+            `;
+            item.querySelector('.timer-tray-label').textContent = timer.label;
+            list.appendChild(item);
+        }
+        
+        this.updateTimerDisplay(item.querySelector('.timer-tray-time'), timer);
+        item.classList.toggle('timer-tray-item-done', timer.state === 'done');
+        
+        // Only rebuild buttons when the state changes so keyboard focus is kept between ticks
+        const actions = item.querySelector('.timer-tray-actions');
+        if (actions.dataset.state !== timer.state) {
+            actions.dataset.state = timer.state;
+            
+            const button = (action, icon, text) =>
+                `<button type="button" class="btn btn-sm btn-outline-secondary ms-1" data-timer-action="${action}" data-timer-id="${timer.id}" aria-label="${text} ${timer.label}">
+                    <i class="fas fa-${icon}" aria-hidden="true"></i> ${text}
+                </button>`;
+            
+            const hadFocus = actions.contains(document.activeElement);
             
-            // Add visual feedback as timer gets low
-            if (this.secondsRemaining <= 10) {
-                this.currentTimerDisplay.classList.add('text-danger', 'fw-bold');
+            if (timer.state === 'running') {
+                actions.innerHTML = button('pause', 'pause', 'Pause') + button('cancel', 'times', 'Cancel');
+            } else if (timer.state === 'paused') {
+                actions.innerHTML = button('resume', 'play', 'Resume') + button('cancel', 'times', 'Cancel');
             } else {
-                this.currentTimerDisplay.classList.remove('text-danger', 'fw-bold');
+                actions.innerHTML = button('dismiss', 'check', 'Dismiss');
+            }
+            
+            if (hadFocus) {
+                actions.querySelector('button').focus();
             }
         }
+        
+        this.trayElement.classList.remove('d-none');
+    },
+    
+    /**
+     * Announce a timer message to screen readers
+     * Each message is added as its own node so simultaneous completions are all read
+     * @param {string} message - Message to announce
+     */
+    announce: function(message) {
+        this.ensureTray();
+        
+        const announcer = document.getElementById('timer-announcer');
+        const entry = document.createElement('p');
+        entry.textContent = message;
+        announcer.appendChild(entry);
+        
+        // Remove the entry once it has been read
+        setTimeout(() => {
+            entry.remove();
+        }, 10000);
     },
     
     /**
      * Handle timer completion
+     * @param {string} id - Timer ID
      */
-    completeTimer: function() {
+    completeTimer: function(id) {
+        const timer = this.getTimer(id);
+        if (!timer) {
+            return;
+        }
+        
         // Stop the timer
-        clearInterval(this.timerInterval);
-        this.timerInterval = null;
+        timer.remainingMs = 0;
+        timer.secondsRemaining = 0;
+        timer.endTime = null;
+        timer.state = 'done';
+        this.saveTimers();
         
         // Play completion sound
         this.playTimerCompleteSound();
         
-        // Visual feedback
-        if (this.currentTimerDisplay) {
-            this.currentTimerDisplay.textContent = 'DONE!';
-            this.currentTimerDisplay.classList.add('bg-success', 'text-white', 'fw-bold');
-            
-            // Reset visual styling after 3 seconds
-            setTimeout(() => {
-                this.currentTimerDisplay.classList.remove('bg-success', 'text-white', 'fw-bold');
-                this.currentTimerDisplay.textContent = '00:00';
-            }, 3000);
-        }
+        // Visual feedback (an icon and "DONE!", not just a colour) and screen reader announcement
+        this.notify(timer);
+        this.announce(`${timer.label} timer finished`);
         
         // Execute completion callback if provided
-        if (typeof this.completionCallback === 'function') {
-            this.completionCallback();
+        if (typeof timer.completionCallback === 'function') {
+            timer.completionCallback(timer);
         }
         
-        console.log('Timer completed');
+        console.log(`Timer completed: ${timer.label}`);
     },
     
+    
     /**
      * Play a sound when the timer completes
      */
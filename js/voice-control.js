@@ -0,0 +1,306 @@
+/**
+ * AccessiChef - Voice Command Control
+ * 
+ * This file provides hands-free voice commands for step-by-step cooking mode.
+ * Spoken phrases are matched against a small command grammar and mapped onto
+ * the same actions used by the on-screen step and timer buttons.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+/**
+ * Speech Recognizers - Interchangeable transcript sources for VoiceControl
+ * 
+ * Every recognizer exposes the same interface:
+ *   isSupported() - whether the recognizer can run in this environment
+ *   start()       - begin listening
+ *   stop()        - stop listening
+ *   onresult      - callback receiving each final transcript string
+ *   onerror       - callback receiving an error message string
+ */
+const SpeechRecognizers = {
+    /**
+     * Create a recognizer backed by the browser's Web Speech API
+     * @param {string} lang - Recognition language (defaults to 'en-US')
+     * @returns {Object} Recognizer object
+     */
+    createBrowserRecognizer: function(lang) {
+        const RecognitionClass = window.SpeechRecognition || window.webkitSpeechRecognition;
+        
+        const recognizer = {
+            onresult: null,
+            onerror: null,
+            engine: null,
+            active: false,
+            
+            isSupported: function() {
+                return Boolean(RecognitionClass);
+            },
+            
+            start: function() {
+                if (!this.isSupported() || this.active) {
+                    return;
+                }
+                
+                this.engine = new RecognitionClass();
+                this.engine.lang = lang || 'en-US';
+                this.engine.continuous = true;
+                this.engine.interimResults = false;
+                
+                // Forward each final transcript
+                this.engine.onresult = (event) => {
+                    for (let i = event.resultIndex; i < event.results.length; i++) {
+                        if (event.results[i].isFinal && typeof this.onresult === 'function') {
+                            this.onresult(event.results[i][0].transcript);
+                        }
+                    }
+                };
+                
+                this.engine.onerror = (event) => {
+                    if (typeof this.onerror === 'function') {
+                        this.onerror(event.error);
+                    }
+                };
+                
+                // Browsers end recognition after a period of silence, so restart while active
+                this.engine.onend = () => {
+                    if (this.active) {
+                        this.engine.start();
+                    }
+                };
+                
+                this.active = true;
+                this.engine.start();
+            },
+            
+            stop: function() {
+                this.active = false;
+                if (this.engine) {
+                    this.engine.stop();
+                    this.engine = null;
+                }
+            }
+        };
+        
+        return recognizer;
+    },
+    
+    /**
+     * Create a scripted recognizer that feeds transcripts without a microphone
+     * @param {Array<string>} transcripts - Optional transcripts to play when started
+     * @returns {Object} Recognizer object with an additional feed() method
+     */
+    createScriptedRecognizer: function(transcripts) {
+        const recognizer = {
+            onresult: null,
+            onerror: null,
+            active: false,
+            queue: Array.isArray(transcripts) ? transcripts.slice() : [],
+            
+            isSupported: function() {
+                return true;
+            },
+            
+            start: function() {
+                this.active = true;
+                
+                // Play any queued transcripts in order
+                while (this.active && this.queue.length > 0) {
+                    this.feed(this.queue.shift());
+                }
+            },
+            
+            stop: function() {
+                this.active = false;
+            },
+            
+            /**
+             * Deliver a transcript as if it had been spoken
+             * @param {string} transcript - Transcript to deliver
+             */
+            feed: function(transcript) {
+                if (this.active && typeof this.onresult === 'function') {
+                    this.onresult(transcript);
+                }
+            }
+        };
+        
+        return recognizer;
+    }
+};
+
+/**
+ * Voice Control - Maps spoken phrases to step-by-step actions
+ */
+const VoiceControl = {
+    /**
+     * Active recognizer instance
+     */
+    recognizer: null,
+    
+    /**
+     * Action callbacks keyed by command name
+     */
+    actions: {},
+    
+    /**
+     * Whether the recognizer is currently listening
+     */
+    listening: false,
+    
+    /**
+     * Command grammar, checked in order. The first matching pattern wins.
+     * Patterns run against a lowercased transcript stripped of punctuation.
+     */
+    commands: [
+        { name: 'howMuch', pattern: /\bhow (?:much|many)(?: of)?(?: the)? (.+?)(?: do i need| is needed| is there)?$/ },
+        { name: 'startTimer', pattern: /\b(?:start|begin|resume)(?: the)? timer\b/ },
+        { name: 'pauseTimer', pattern: /\b(?:pause|stop|cancel)(?: the)? timer\b/ },
+        { name: 'repeat', pattern: /\b(?:repeat|again|say that again|what was that)\b/ },
+        { name: 'back', pattern: /\b(?:back|previous|go back)\b/ },
+        { name: 'next', pattern: /\b(?:next|forward|continue)\b/ }
+    ],
+    
+    /**
+     * Initialize voice control with a set of actions
+     * @param {Object} actions - Callbacks for next, back, repeat, startTimer, pauseTimer and howMuch
+     * @param {Object} recognizer - Optional recognizer; defaults to the browser recognizer
+     */
+    init: function(actions, recognizer) {
+        this.actions = actions || {};
+        this.setRecognizer(recognizer || SpeechRecognizers.createBrowserRecognizer());
+    },
+    
+    /**
+     * Replace the active recognizer
+     * @param {Object} recognizer - Recognizer implementing the SpeechRecognizers interface
+     */
+    setRecognizer: function(recognizer) {
+        if (this.recognizer) {
+            this.recognizer.stop();
+        }
+        
+        this.recognizer = recognizer;
+        this.recognizer.onresult = (transcript) => this.handleTranscript(transcript);
+        this.recognizer.onerror = (error) => {
+            console.warn('Voice recognition error:', error);
+            
+            // Permission errors cannot recover without user action
+            if (error === 'not-allowed' || error === 'service-not-allowed') {
+                this.stop();
+                AccessibilityFeatures.announceImportant('Microphone access was denied. Voice control is off.');
+            }
+        };
+        
+        // Keep listening state consistent with the new recognizer
+        if (this.listening) {
+            this.recognizer.start();
+        }
+    },
+    
+    /**
+     * Check if voice control can run in this environment
+     * @returns {boolean} True if the recognizer is supported
+     */
+    isSupported: function() {
+        return Boolean(this.recognizer && this.recognizer.isSupported());
+    },
+    
+    /**
+     * Start listening for commands
+     */
+    start: function() {
+        if (!this.isSupported() || this.listening) {
+            return;
+        }
+        
+        this.listening = true;
+        this.recognizer.start();
+        console.log('Voice control started');
+    },
+    
+    /**
+     * Stop listening for commands
+     */
+    stop: function() {
+        if (!this.listening) {
+            return;
+        }
+        
+        this.listening = false;
+        this.recognizer.stop();
+        console.log('Voice control stopped');
+    },
+    
+    /**
+     * Toggle listening on or off
+     * @returns {boolean} True if now listening
+     */
+    toggle: function() {
+        if (this.listening) {
+            this.stop();
+        } else {
+            this.start();
+        }
+        
+        return this.listening;
+    },
+    
+    /**
+     * Parse a transcript into a command
+     * @param {string} transcript - Recognized speech
+     * @returns {Object|null} Object with command name and optional argument, or null if unrecognized
+     */
+    parseCommand: function(transcript) {
+        // Normalize transcript
+        const normalized = String(transcript || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s'-]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        
+        if (!normalized) {
+            return null;
+        }
+        
+        for (const command of this.commands) {
+            const match = normalized.match(command.pattern);
+            if (match) {
+                return {
+                    command: command.name,
+                    argument: match[1] ? match[1].trim() : ''
+                };
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Handle a transcript by running the matching action
+     * @param {string} transcript - Recognized speech
+     * @returns {boolean} True if a command was run
+     */
+    handleTranscript: function(transcript) {
+        const parsed = this.parseCommand(transcript);
+        
+        if (!parsed) {
+            console.log(`Voice command not recognized: "${transcript}"`);
+            return false;
+        }
+        
+        const action = this.actions[parsed.command];
+        if (typeof action !== 'function') {
+            console.log(`No action registered for voice command: ${parsed.command}`);
+            return false;
+        }
+        
+        action(parsed.argument);
+        return true;
+    }
+};
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * AccessiChef - Theme Contrast Checker
+ * 
+ * Checks the colour tokens of every theme in css/themes against the WCAG 2
+ * contrast ratios: 4.5:1 for text and 3:1 for focus outlines. Each theme's
+ * :root colours are laid over the defaults in css/style.css, the way the
+ * browser cascades them, and checked again with the dyslexia-friendly tint
+ * from css/accessibility.css on top. Exits with status 1 if any pair fails.
+ * 
+ * Usage: node scripts/check-contrast.js
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const cssDir = path.join(__dirname, '..', 'css');
+
+/**
+ * Token pairs to check. Each side lists tokens or colours to try in order,
+ * as a var() fallback would, so themes that leave a token out are checked
+ * against what the page actually shows.
+ */
+const PAIRS = [
+    { name: 'Body text', foreground: ['--text-color'], background: ['--background-color'], ratio: 4.5 },
+    { name: 'Text on the navigation bar, card headers and footer', foreground: ['--text-color'], background: ['--light-background'], ratio: 4.5 },
+    { name: 'Text on cards', foreground: ['--text-color'], background: ['--card-background', '--background-color'], ratio: 4.5 },
+    { name: 'Links', foreground: ['--primary-color'], background: ['--background-color'], ratio: 4.5 },
+    { name: 'Current page link', foreground: ['--primary-color'], background: ['--light-background'], ratio: 4.5 },
+    { name: 'Hovered links', foreground: ['--secondary-color'], background: ['--background-color'], ratio: 4.5 },
+    { name: 'Primary buttons', foreground: ['--btn-primary-text', '#ffffff'], background: ['--btn-primary-bg', '--primary-color'], ratio: 4.5 },
+    { name: 'Hovered primary buttons', foreground: ['--btn-primary-text', '#ffffff'], background: ['--secondary-color'], ratio: 4.5 },
+    { name: 'Secondary buttons', foreground: ['--btn-secondary-text', '--text-color'], background: ['--btn-secondary-bg', '--light-background'], ratio: 4.5 },
+    { name: 'Form fields', foreground: ['--input-text', '--text-color'], background: ['--input-background', '--background-color'], ratio: 4.5 },
+    { name: 'Focus outline', foreground: ['--focus-outline-color'], background: ['--background-color'], ratio: 3 },
+    { name: 'Timer running low', foreground: ['--status-warning-text'], background: ['--background-color'], ratio: 4.5 },
+    { name: 'Finished timer', foreground: ['--status-done-text'], background: ['--status-done-background'], ratio: 4.5 }
+];
+
+/**
+ * Read the custom properties declared in the first block matching a selector
+ * @param {string} css - Stylesheet text
+ * @param {RegExp} selector - Pattern matching the block's selector and opening brace
+ * @returns {Object} Property values keyed by name
+ */
+function readVariables(css, selector) {
+    const match = css.match(new RegExp(selector.source + '([^}]*)\\}'));
+    const variables = {};
+    
+    if (match) {
+        const declarations = match[1].replace(/\/\*[\s\S]*?\*\//g, '');
+        for (const [, name, value] of declarations.matchAll(/(--[\w-]+)\s*:\s*([^;]+);/g)) {
+            variables[name] = value.trim();
+        }
+    }
+    
+    return variables;
+}
+
+/**
+ * Pick the first token or colour that gives a hex colour
+ * @param {Array<string>} candidates - Token names or hex colours
+ * @param {Object} variables - Theme variables
+ * @returns {Object|null} Object with the source and colour, or null if none is set
+ */
+function resolve(candidates, variables) {
+    for (const candidate of candidates) {
+        const value = candidate.startsWith('--') ? variables[candidate] : candidate;
+        if (value && /^#[0-9a-f]{3}(?:[0-9a-f]{3})?$/i.test(value)) {
+            return { source: candidate, colour: value.toLowerCase() };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Describe a resolved colour for a report
+ * @param {Object} resolved - Result of resolve()
+ * @returns {string} Token and colour, or the colour alone if no token was used
+ */
+function describe(resolved) {
+    return resolved.source === resolved.colour ? resolved.colour : `${resolved.source} ${resolved.colour}`;
+}
+
+/**
+ * Work out the relative luminance of a hex colour
+ * @param {string} hex - Colour such as "#5b8e7d" or "#fff"
+ * @returns {number} Relative luminance (0-1)
+ */
+function luminance(hex) {
+    let digits = hex.slice(1);
+    if (digits.length === 3) {
+        digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    
+    const [red, green, blue] = [0, 2, 4].map(start => {
+        const channel = parseInt(digits.slice(start, start + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * Work out the WCAG contrast ratio between two colours
+ * @param {string} first - Hex colour
+ * @param {string} second - Hex colour
+ * @returns {number} Contrast ratio (1-21)
+ */
+function contrastRatio(first, second) {
+    const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Check every pair for one set of theme variables
+ * @param {string} label - Name to report the theme under
+ * @param {Object} variables - Theme variables
+ * @returns {number} Number of failing pairs
+ */
+function checkTheme(label, variables) {
+    let failures = 0;
+    
+    PAIRS.forEach(pair => {
+        const foreground = resolve(pair.foreground, variables);
+        const background = resolve(pair.background, variables);
+        
+        if (!foreground || !background) {
+            failures++;
+            console.log(`  ${label}: ${pair.name} has no colour for ${!foreground ? pair.foreground[0] : pair.background[0]}`);
+            return;
+        }
+        
+        const ratio = contrastRatio(foreground.colour, background.colour);
+        if (ratio < pair.ratio) {
+            failures++;
+            console.log(`  ${label}: ${pair.name} is ${ratio.toFixed(2)}:1, needs ${pair.ratio}:1 ` +
+                `(${describe(foreground)} on ${describe(background)})`);
+        }
+    });
+    
+    console.log(`${label}: ${PAIRS.length - failures} of ${PAIRS.length} pairs pass`);
+    return failures;
+}
+
+const read = file => fs.readFileSync(path.join(cssDir, file), 'utf8');
+const baseVariables = readVariables(read('style.css'), /:root\s*\{/);
+const tintVariables = readVariables(read('accessibility.css'), /html\.display-dyslexia\s*\{/);
+
+let totalFailures = 0;
+
+fs.readdirSync(path.join(cssDir, 'themes'))
+    .filter(file => file.endsWith('.css'))
+    .sort()
+    .forEach(file => {
+        const theme = path.basename(file, '.css');
+        const variables = Object.assign({}, baseVariables, readVariables(read(path.join('themes', file)), /:root\s*\{/));
+        
+        totalFailures += checkTheme(theme, variables);
+        totalFailures += checkTheme(`${theme} + dyslexia-friendly`, Object.assign({}, variables, tintVariables));
+    });
+
+if (totalFailures > 0) {
+    console.log(`${totalFailures} pair${totalFailures !== 1 ? 's' : ''} below the WCAG contrast ratio`);
+    process.exit(1);
+}
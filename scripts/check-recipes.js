@@ -0,0 +1,54 @@
+/**
+ * AccessiChef - Recipe Data Checker
+ * 
+ * Checks data/recipes.json against the recipe schema and reports invalid
+ * recipes and ingredient units the measurement converter doesn't know.
+ * Exits with status 1 if anything needs fixing.
+ * 
+ * Usage: node scripts/check-recipes.js [path/to/recipes.json]
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// The validator uses the converter as a global, as it does in the browser
+global.MeasurementConverter = require('../js/utils/converter.js');
+const RecipeValidator = require('../js/utils/recipe-validator.js');
+
+const dataPath = process.argv[2] || path.join(__dirname, '..', 'data', 'recipes.json');
+
+let data;
+try {
+    data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+} catch (error) {
+    console.error(`Could not read ${dataPath}: ${error.message}`);
+    process.exit(1);
+}
+
+const result = RecipeValidator.validateRecipes(data && data.recipes);
+const unknownUnits = RecipeValidator.findUnknownUnits(result.valid);
+
+result.invalid.forEach(entry => {
+    console.log(`${RecipeValidator.describeRecipe(entry)}:`);
+    entry.errors.forEach(error => console.log(`  - ${error}`));
+});
+
+if (unknownUnits.length > 0) {
+    console.log('Unknown units:');
+    unknownUnits.forEach(entry => {
+        console.log(`  - ${entry.recipeId}: "${entry.unit}" in "${entry.ingredient}"`);
+    });
+}
+
+console.log(`${result.valid.length} valid, ${result.invalid.length} invalid, ${unknownUnits.length} unknown unit${unknownUnits.length !== 1 ? 's' : ''}`);
+
+if (result.invalid.length > 0 || unknownUnits.length > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,177 @@
+/**
+ * AccessiChef - Mock Recipe Server
+ * 
+ * Serves the site together with a paginated recipe API built from
+ * data/recipes.json, for trying out and testing the REST data source:
+ * 
+ *   GET /api/recipes?page=1&pageSize=50  returns { recipes, page, pageSize, total }
+ *   GET /api/recipes/{id}                returns one recipe, or 404
+ * 
+ * The data file is read on every request, so edits show up once the site's
+ * recipe cache is invalidated. Any other path is served from the repository.
+ * 
+ * Usage: node scripts/mock-recipe-server.js [port] [path/to/recipes.json]
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const rootDir = path.join(__dirname, '..');
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response to send
+ * @param {number} status - HTTP status
+ * @param {*} body - Value to send as JSON
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': contentTypes['.json'],
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Decode a percent-encoded path segment
+ * @param {string} text - Text to decode
+ * @returns {string|null} Decoded text, or null if the encoding is malformed
+ */
+function decodePath(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Answer a request to the recipe API
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} response - Response to send
+ * @param {string} dataPath - Path of the recipe data file
+ */
+function handleApi(url, response, dataPath) {
+    let recipes;
+    try {
+        recipes = JSON.parse(fs.readFileSync(dataPath, 'utf8')).recipes;
+    } catch (error) {
+        sendJson(response, 500, { error: `Could not read ${dataPath}: ${error.message}` });
+        return;
+    }
+    
+    const match = url.pathname.match(/^\/api\/recipes(?:\/([^/]+))?\/?$/);
+    if (!match) {
+        sendJson(response, 404, { error: 'Not found' });
+        return;
+    }
+    
+    if (match[1]) {
+        const id = decodePath(match[1]);
+        if (id === null) {
+            sendJson(response, 400, { error: 'Malformed recipe ID' });
+            return;
+        }
+        
+        const recipe = recipes.find(entry => entry && entry.id === id);
+        if (recipe) {
+            sendJson(response, 200, recipe);
+        } else {
+            sendJson(response, 404, { error: 'Recipe not found: ' + id });
+        }
+        return;
+    }
+    
+    const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+    const pageSize = Math.max(1, parseInt(url.searchParams.get('pageSize'), 10) || 20);
+    
+    sendJson(response, 200, {
+        recipes: recipes.slice((page - 1) * pageSize, page * pageSize),
+        page: page,
+        pageSize: pageSize,
+        total: recipes.length
+    });
+}
+
+/**
+ * Serve a file from the repository
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} response - Response to send
+ */
+function handleFile(url, response) {
+    const relativePath = decodePath(url.pathname === '/' ? '/index.html' : url.pathname);
+    if (relativePath === null) {
+        response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Malformed path');
+        return;
+    }
+    
+    const filePath = path.join(rootDir, path.normalize(relativePath));
+    
+    // Stay inside the repository
+    if (!filePath.startsWith(rootDir + path.sep)) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+    
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+            return;
+        }
+        
+        response.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(content);
+    });
+}
+
+/**
+ * Create the mock server
+ * @param {string} dataPath - Path of the recipe data file
+ * @returns {http.Server} Server, not yet listening
+ */
+function createServer(dataPath) {
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        
+        if (request.method !== 'GET') {
+            sendJson(response, 405, { error: 'Only GET is supported' });
+        } else if (url.pathname.startsWith('/api/')) {
+            handleApi(url, response, dataPath);
+        } else {
+            handleFile(url, response);
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || 8080;
+    const dataPath = process.argv[3] || path.join(rootDir, 'data', 'recipes.json');
+    
+    createServer(dataPath).listen(port, () => {
+        console.log(`Serving AccessiChef at http://localhost:${port}/ with the recipe API at http://localhost:${port}/api`);
+    });
+} else {
+    module.exports = { createServer: createServer };
+}
@@ -0,0 +1,288 @@
+/**
+ * AccessiChef - Service Worker
+ * 
+ * Keeps the site working with a poor or missing connection. The pages, styles,
+ * scripts and recipe data are cached when the worker installs; recipe images
+ * are cached as they are viewed. Recipe data is always asked for from the
+ * network first, falling back to the cached copy when the network fails or is
+ * too slow, and is refreshed in the background when the connection returns.
+ * 
+ * Change CACHE_VERSION whenever the files below change, so visitors get the
+ * new versions.
+ * 
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+const CACHE_VERSION = 'v10';
+
+// Pages, styles and scripts, replaced with each new version
+const SHELL_CACHE = `accessichef-shell-${CACHE_VERSION}`;
+
+// Recipe data and images, kept across versions so saved recipes stay available
+const DATA_CACHE = 'accessichef-data';
+const IMAGE_CACHE = 'accessichef-images';
+
+// Most images kept; the oldest are dropped first
+const MAX_IMAGES = 100;
+
+// How long to wait for the network before answering from the cache
+const NETWORK_TIMEOUT = 4000;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'recipe-detail.html',
+    'meal-planner.html',
+    'shopping-list.html',
+    'allergy-profile.html',
+    'import-recipes.html',
+    'about.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'css/accessibility.css',
+    'css/themes/default.css',
+    'css/themes/high-contrast.css',
+    'css/themes/large-text.css',
+    'css/themes/protanopia.css',
+    'css/themes/deuteranopia.css',
+    'css/themes/tritanopia.css',
+    'js/utils/timer.js',
+    'js/utils/densities.js',
+    'js/utils/converter.js',
+    'js/utils/scaler.js',
+    'js/utils/text-converter.js',
+    'js/utils/search.js',
+    'js/utils/filters.js',
+    'js/utils/recipe-validator.js',
+    'js/utils/dietary.js',
+    'js/utils/recipe-parser.js',
+    'js/utils/recipe-export.js',
+    'js/allergy-profile.js',
+    'js/substitutions.js',
+    'js/shopping-list.js',
+    'js/meal-planner.js',
+    'js/imported-recipes.js',
+    'js/data-sources.js',
+    'js/recipes.js',
+    'js/accessibility.js',
+    'js/keyboard-shortcuts.js',
+    'js/switch-scanning.js',
+    'js/voice-control.js',
+    'js/narrator.js',
+    'js/offline.js',
+    'js/app.js',
+    'images/logo/accessichef-logo.png'
+];
+
+const DATA_FILES = [
+    'data/recipes.json'
+];
+
+/**
+ * Store a response in a cache if it is usable
+ * Cross-origin files such as the Bootstrap styles come back opaque, without
+ * a status, and are kept as they are.
+ * @param {string} cacheName - Cache to store in
+ * @param {Request} request - Request the response answers
+ * @param {Response} response - Response to store
+ * @returns {Promise} Promise resolving once stored
+ */
+function storeResponse(cacheName, request, response) {
+    if (!response.ok && response.type !== 'opaque') {
+        return Promise.resolve();
+    }
+    
+    return caches.open(cacheName).then(cache => cache.put(request, response));
+}
+
+/**
+ * Answer from the network, falling back to the cache when the network fails
+ * or takes longer than NETWORK_TIMEOUT
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to update and fall back to
+ * @param {Object} matchOptions - Options for the cache lookup
+ * @returns {Promise<Response>} Promise resolving to the response
+ */
+function networkFirst(request, cacheName, matchOptions) {
+    return new Promise(resolve => {
+        let settled = false;
+        const settle = response => {
+            if (!settled && response) {
+                settled = true;
+                resolve(response);
+            }
+        };
+        
+        const timeout = setTimeout(() => {
+            caches.match(request, matchOptions).then(settle);
+        }, NETWORK_TIMEOUT);
+        
+        fetch(request)
+            .then(response => {
+                clearTimeout(timeout);
+                storeResponse(cacheName, request, response.clone());
+                settle(response);
+            })
+            .catch(() => {
+                clearTimeout(timeout);
+                caches.match(request, matchOptions).then(cached => settle(cached || Response.error()));
+            });
+    });
+}
+
+/**
+ * Answer from the cache if possible, fetching and caching otherwise
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Promise resolving to the response
+ */
+function cacheFirst(request, cacheName) {
+    return caches.match(request).then(cached => {
+        if (cached) {
+            return cached;
+        }
+        
+        return fetch(request).then(response => {
+            storeResponse(cacheName, request, response.clone()).then(() => trimCache(cacheName, MAX_IMAGES));
+            return response;
+        });
+    });
+}
+
+/**
+ * Answer from the cache straight away, and update the cache from the network
+ * for next time
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Promise resolving to the response
+ */
+function staleWhileRevalidate(request, cacheName) {
+    return caches.match(request).then(cached => {
+        const network = fetch(request)
+            .then(response => {
+                storeResponse(cacheName, request, response.clone());
+                return response;
+            });
+        
+        if (cached) {
+            // Still update the cache, but don't fail the request if offline
+            network.catch(() => {});
+            return cached;
+        }
+        
+        return network;
+    });
+}
+
+/**
+ * Drop the oldest entries from a cache once it holds more than a limit
+ * @param {string} cacheName - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise} Promise resolving once trimmed
+ */
+function trimCache(cacheName, maxEntries) {
+    return caches.open(cacheName).then(cache => {
+        return cache.keys().then(keys => {
+            return Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+        });
+    });
+}
+
+/**
+ * Fetch every cached recipe data response again and tell open pages if any changed
+ * @returns {Promise} Promise resolving once refreshed
+ */
+function refreshData() {
+    return caches.open(DATA_CACHE).then(cache => {
+        return cache.keys().then(requests => {
+            return Promise.all(requests.map(request => {
+                return Promise.all([
+                    fetch(request.url, { cache: 'no-store' }),
+                    cache.match(request)
+                ])
+                    .then(([response, cached]) => {
+                        if (!response.ok) {
+                            return false;
+                        }
+                        
+                        return Promise.all([response.clone().text(), cached ? cached.text() : null])
+                            .then(([text, cachedText]) => {
+                                return cache.put(request, response).then(() => text !== cachedText);
+                            });
+                    })
+                    // Still offline, or the server is down; try again next time
+                    .catch(() => false);
+            }));
+        });
+    })
+        .then(changes => {
+            if (!changes.includes(true)) {
+                return null;
+            }
+            
+            return self.clients.matchAll({ type: 'window' }).then(clients => {
+                clients.forEach(client => client.postMessage({ type: 'recipes-updated' }));
+            });
+        });
+}
+
+// Cache the site when the worker is installed
+self.addEventListener('install', event => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+            caches.open(DATA_CACHE).then(cache => cache.addAll(DATA_FILES))
+        ])
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Remove the files of older versions and take over open pages
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('accessichef-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+    
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    
+    if (sameOrigin && (url.pathname.includes('/data/') || url.pathname.includes('/api/'))) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE));
+    } else if (request.mode === 'navigate') {
+        // recipe-detail.html?id=... falls back to the cached page without the query
+        event.respondWith(networkFirst(request, SHELL_CACHE, { ignoreSearch: true }));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+// Refresh the recipe data when the connection returns
+self.addEventListener('sync', event => {
+    if (event.tag === 'refresh-recipes') {
+        event.waitUntil(refreshData());
+    }
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'refresh-recipes') {
+        event.waitUntil(refreshData());
+    }
+});
@@ -0,0 +1,108 @@
+/**
+ * AccessiChef - Measurement Converter Tests
+ *
+ * Checks that conversions between units, and between the metric and
+ * imperial systems, come back to the amount they started from.
+ *
+ * Usage: node --test tests/
+ *
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const MeasurementConverter = require('../js/utils/converter.js');
+
+/**
+ * Assert that two amounts match to within a relative tolerance
+ * @param {number} actual - Amount produced
+ * @param {number} expected - Amount expected
+ * @param {string} message - Description of the conversion
+ */
+function assertClose(actual, expected, message) {
+    const tolerance = Math.max(Math.abs(expected), 1) * 1e-9;
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Get the unit keys of a dimension
+ * @param {string} dimension - Dimension name
+ * @returns {Array} Unit keys
+ */
+function unitsOf(dimension) {
+    return Object.keys(MeasurementConverter.units)
+        .filter(unit => MeasurementConverter.units[unit].dimension === dimension);
+}
+
+const amounts = [0.125, 0.5, 1, 3, 12.5, 250, 1000];
+
+['volume', 'weight', 'length'].forEach(dimension => {
+    test(`every pair of ${dimension} units converts there and back`, () => {
+        const units = unitsOf(dimension);
+
+        units.forEach(from => {
+            units.forEach(to => {
+                amounts.forEach(amount => {
+                    const there = MeasurementConverter.convert(amount, from, to);
+                    const back = MeasurementConverter.convert(there, to, from);
+                    assertClose(back, amount, `${amount} ${from} -> ${to} -> ${from}`);
+                });
+            });
+        });
+    });
+});
+
+test('temperatures convert there and back', () => {
+    [-40, 0, 100, 175, 180, 350, 425].forEach(value => {
+        const celsius = MeasurementConverter.convert(value, '°F', '°C');
+        assertClose(MeasurementConverter.convert(celsius, '°C', '°F'), value, `${value}°F`);
+    });
+
+    assertClose(MeasurementConverter.convert(212, '°F', '°C'), 100, '212°F');
+    assertClose(MeasurementConverter.convert(-40, '°C', '°F'), -40, '-40°C');
+});
+
+test('measurements survive a metric and imperial round trip', () => {
+    const measurements = [
+        [1, 'tsp'], [1, 'tbsp'], [0.25, 'cup'], [2, 'cup'], [1.5, 'gallon'],
+        [250, 'ml'], [1.5, 'l'], [4, 'oz'], [2, 'lb'], [500, 'g'], [1.2, 'kg'],
+        [9, 'inch'], [23, 'cm'], [350, '°F'], [180, '°C']
+    ];
+
+    measurements.forEach(([amount, unit]) => {
+        const metric = MeasurementConverter.convertToMetric(amount, unit);
+        const imperial = MeasurementConverter.convertToImperial(metric.amount, metric.unit);
+        const back = MeasurementConverter.convert(imperial.amount, imperial.unit, unit);
+        assertClose(back, amount, `${amount} ${unit}`);
+    });
+});
+
+test('aliases resolve to the same unit', () => {
+    assert.strictEqual(MeasurementConverter.normalizeUnit('Tablespoons'), 'tbsp');
+    assert.strictEqual(MeasurementConverter.normalizeUnit('fl oz'), 'floz');
+    assert.strictEqual(MeasurementConverter.normalizeUnit('degrees F'), '°F');
+    assert.strictEqual(MeasurementConverter.normalizeUnit('handful'), null);
+});
+
+test('units of different dimensions and counts do not convert', () => {
+    assert.strictEqual(MeasurementConverter.convert(1, 'cup', 'g'), null);
+    assert.strictEqual(MeasurementConverter.convert(1, 'can', 'clove'), null);
+    assert.deepStrictEqual(MeasurementConverter.convertToMetric(2, 'cloves'), { amount: 2, unit: 'cloves' });
+});
+
+test('3 teaspoons reach a tablespoon despite rounding in the unit sizes', () => {
+    const result = MeasurementConverter.convertToSystem(3, 'tsp', 'imperial');
+    assert.strictEqual(result.unit, 'tbsp');
+    assertClose(result.amount, 3 * 4.92892 / 14.7868, '3 tsp');
+});
+
+test('units native to a system but off its ladder are kept', () => {
+    assert.deepStrictEqual(MeasurementConverter.convertToImperial(1, 'stick'), { amount: 1, unit: 'stick' });
+    assert.strictEqual(MeasurementConverter.convertToMetric(1, 'stick').unit, 'g');
+});
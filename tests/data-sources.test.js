@@ -0,0 +1,113 @@
+/**
+ * AccessiChef - Recipe Data Source Tests
+ *
+ * Runs the mock recipe server and reads it through the REST and static
+ * data source adapters.
+ *
+ * Usage: node --test tests/
+ *
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const RecipeDataSources = require('../js/data-sources.js');
+const { createServer } = require('../scripts/mock-recipe-server.js');
+
+const dataPath = path.join(__dirname, '..', 'data', 'recipes.json');
+const recipes = JSON.parse(fs.readFileSync(dataPath, 'utf8')).recipes;
+
+let server;
+let origin;
+
+/**
+ * Send a raw GET request, without the URL normalising fetch() does
+ * @param {string} requestPath - Path to request, sent as written
+ * @returns {Promise<number>} Promise resolving to the response status
+ */
+function getStatus(requestPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path: requestPath }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        }).on('error', reject);
+    });
+}
+
+test.before(() => {
+    server = createServer(dataPath);
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            origin = `http://127.0.0.1:${server.address().port}`;
+            resolve();
+        });
+    });
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('the REST source lists recipes a page at a time', async () => {
+    const source = RecipeDataSources.createRestSource(`${origin}/api/`);
+
+    const first = await source.listRecipes(1, 2);
+    assert.strictEqual(first.total, recipes.length);
+    assert.deepStrictEqual(first.recipes.map(recipe => recipe.id), recipes.slice(0, 2).map(recipe => recipe.id));
+
+    const second = await source.listRecipes(2, 2);
+    assert.deepStrictEqual(second.recipes.map(recipe => recipe.id), recipes.slice(2, 4).map(recipe => recipe.id));
+});
+
+test('the REST source reads single recipes and answers null for unknown IDs', async () => {
+    const source = RecipeDataSources.createRestSource(`${origin}/api`);
+
+    const recipe = await source.getRecipe(recipes[0].id);
+    assert.strictEqual(recipe.title, recipes[0].title);
+    assert.strictEqual(await source.getRecipe('no-such-recipe'), null);
+});
+
+test('readAll reads every page in source order and reports progress', async () => {
+    const source = RecipeDataSources.createRestSource(`${origin}/api`);
+    const progress = [];
+
+    const all = await RecipeDataSources.readAll(source, 3, (loaded, total) => progress.push([loaded, total]));
+
+    assert.deepStrictEqual(all.map(recipe => recipe.id), recipes.map(recipe => recipe.id));
+    assert.deepStrictEqual(progress[0], [Math.min(3, recipes.length), recipes.length]);
+    assert.deepStrictEqual(progress[progress.length - 1], [recipes.length, recipes.length]);
+});
+
+test('the static source pages the data file in memory', async () => {
+    const source = RecipeDataSources.createStaticSource(`${origin}/data/recipes.json`);
+
+    const page = await source.listRecipes(2, 3);
+    assert.strictEqual(page.total, recipes.length);
+    assert.deepStrictEqual(page.recipes.map(recipe => recipe.id), recipes.slice(3, 6).map(recipe => recipe.id));
+    assert.strictEqual((await source.getRecipe(recipes[1].id)).id, recipes[1].id);
+});
+
+test('a listing without a recipes list is an error', async () => {
+    const source = RecipeDataSources.createRestSource(`${origin}/missing-api`);
+
+    await assert.rejects(source.listRecipes(1, 10), /must contain a recipes list/);
+});
+
+test('malformed percent-encoding is answered with 400 and the server keeps running', async () => {
+    assert.strictEqual(await getStatus('/%E0%A4%A'), 400);
+    assert.strictEqual(await getStatus('/api/recipes/%E0%A4%A'), 400);
+    assert.strictEqual(await getStatus('/index.html'), 200);
+});
+
+test('configurations create the matching adapter and unknown types are refused', () => {
+    assert.strictEqual(RecipeDataSources.createFromConfig({ type: 'rest', url: '/api' }).type, 'rest');
+    assert.strictEqual(RecipeDataSources.createFromConfig({ type: 'static', url: 'data/recipes.json' }).type, 'static');
+    assert.throws(() => RecipeDataSources.createFromConfig({ type: 'ftp' }), /Unknown recipe data source/);
+});
@@ -0,0 +1,73 @@
+/**
+ * AccessiChef - Dietary Classification Tests
+ *
+ * Checks that ingredient names are placed in the right allergen and diet
+ * groups, and that look-alikes are not.
+ *
+ * Usage: node --test tests/
+ *
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const DietaryClassifier = require('../js/utils/dietary.js');
+
+/**
+ * Get the filter tags of a recipe made from the given ingredients
+ * @param {Array<string>} names - Ingredient names
+ * @returns {Array<string>} Tags, such as 'vegan' or 'gluten-free'
+ */
+function tagsFor(names) {
+    return DietaryClassifier.classify({ ingredients: names.map(name => ({ name: name })) }).tags;
+}
+
+test('meats and cured meats rule out both diets', () => {
+    [
+        'lard', 'diced pancetta', 'prosciutto slices', 'duck breast', 'veal cutlets', 'venison',
+        'goat shoulder', 'chorizo', 'salami', 'pepperoni', 'smoked lardons', 'chicken thighs'
+    ].forEach(name => {
+        assert.deepStrictEqual(DietaryClassifier.getIngredientGroups(name), ['meat'], name);
+
+        const tags = tagsFor([name]);
+        assert.ok(!tags.includes('vegetarian'), name);
+        assert.ok(!tags.includes('vegan'), name);
+    });
+});
+
+test('shellfish and worcestershire sauce count as fish', () => {
+    [
+        'shrimp', 'prawns', 'shellfish', 'crab meat', 'lobster tail', 'clams', 'mussels',
+        'oysters', 'scallops', 'worcestershire sauce'
+    ].forEach(name => {
+        assert.deepStrictEqual(DietaryClassifier.getIngredientGroups(name), ['fish'], name);
+
+        const tags = tagsFor([name]);
+        assert.ok(!tags.includes('fish-free'), name);
+        assert.ok(!tags.includes('vegetarian'), name);
+        assert.ok(!tags.includes('vegan'), name);
+    });
+});
+
+test('look-alikes are not read as the animal they are named after', () => {
+    assert.deepStrictEqual(DietaryClassifier.getIngredientGroups('oyster mushrooms'), []);
+    assert.deepStrictEqual(DietaryClassifier.getIngredientGroups('coconut milk'), []);
+    assert.deepStrictEqual(DietaryClassifier.getIngredientGroups('eggplant'), []);
+    assert.deepStrictEqual(DietaryClassifier.getIngredientGroups('goat cheese'), ['dairy']);
+    assert.deepStrictEqual(DietaryClassifier.getIngredientGroups('duck eggs'), ['egg']);
+    assert.deepStrictEqual(DietaryClassifier.getIngredientGroups('peanut butter'), ['nuts']);
+});
+
+test('plant-based recipes keep their diet and allergen-free tags', () => {
+    const tags = tagsFor(['chickpeas', 'tahini', 'lemon juice', 'olive oil']);
+
+    ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'egg-free', 'fish-free'].forEach(tag => {
+        assert.ok(tags.includes(tag), tag);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * AccessiChef - Recipe Parser Tests
+ *
+ * Checks that recipes are read from schema.org JSON-LD, saved web pages and
+ * plain text, and that what is read passes the recipe schema.
+ *
+ * Usage: node --test tests/
+ *
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The parser uses these as globals, as it does in the browser
+global.MeasurementConverter = require('../js/utils/converter.js');
+global.InstructionConverter = require('../js/utils/text-converter.js');
+global.RecipeValidator = require('../js/utils/recipe-validator.js');
+const RecipeParser = require('../js/utils/recipe-parser.js');
+
+const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: 'Tomato Soup',
+    description: 'A quick soup.',
+    recipeCategory: 'Soup',
+    totalTime: 'PT35M',
+    recipeYield: '4 servings',
+    image: { '@type': 'ImageObject', url: 'https://example.com/soup.jpg' },
+    recipeIngredient: ['2 1/2 cups crushed tomatoes', '1 tbsp olive oil', 'salt to taste'],
+    recipeInstructions: [
+        { '@type': 'HowToStep', text: 'Warm the oil.' },
+        { '@type': 'HowToStep', text: 'Add the tomatoes and simmer for 20 minutes.' }
+    ],
+    nutrition: { '@type': 'NutritionInformation', calories: '120 kcal' }
+};
+
+/**
+ * Check a parsed recipe against the schema, once given the ID saving adds
+ * @param {Object} recipe - Parsed recipe
+ * @returns {Array<string>} Validation errors
+ */
+function validate(recipe) {
+    return RecipeValidator.validateRecipe(Object.assign({ id: RecipeParser.createId(recipe.title, []) }, recipe));
+}
+
+test('schema.org JSON-LD is read into a valid recipe', () => {
+    const result = RecipeParser.parse(JSON.stringify(jsonLd));
+    const recipe = result.recipe;
+
+    assert.strictEqual(result.format, 'json-ld');
+    assert.strictEqual(recipe.title, 'Tomato Soup');
+    assert.strictEqual(recipe.category, 'lunch');
+    assert.strictEqual(recipe.time, 35);
+    assert.strictEqual(recipe.servings, 4);
+    assert.strictEqual(recipe.image, 'https://example.com/soup.jpg');
+    assert.deepStrictEqual(recipe.ingredients[0], { name: 'crushed tomatoes', amount: 2.5, unit: 'cup' });
+    assert.strictEqual(recipe.instructions[1].time, 20);
+    assert.deepStrictEqual(validate(recipe), []);
+});
+
+test('JSON-LD inside a saved web page is found', () => {
+    const page = `<html><head><script type="application/ld+json">${JSON.stringify({ '@graph': [jsonLd] })}</script></head><body><p>Hi</p></body></html>`;
+    const result = RecipeParser.parse(page);
+
+    assert.strictEqual(result.format, 'json-ld');
+    assert.strictEqual(result.recipe.title, 'Tomato Soup');
+});
+
+test('plain text with headings is read, guessing what is missing', () => {
+    const result = RecipeParser.parse([
+        'Pancakes',
+        'Serves 2',
+        'Ingredients',
+        '1 cup flour',
+        '2 eggs',
+        'Instructions',
+        '1. Mix everything.',
+        '2. Cook for 3 minutes a side.'
+    ].join('\n'));
+
+    assert.strictEqual(result.format, 'text');
+    assert.strictEqual(result.recipe.title, 'Pancakes');
+    assert.strictEqual(result.recipe.category, 'breakfast');
+    assert.strictEqual(result.recipe.servings, 2);
+    assert.strictEqual(result.recipe.ingredients.length, 2);
+    assert.strictEqual(result.recipe.instructions.length, 2);
+    assert.ok(result.warnings.some(warning => /total time/.test(warning)));
+    assert.deepStrictEqual(validate(result.recipe), []);
+});
+
+test('image addresses that are not http(s) or relative are left out with a warning', () => {
+    ['javascript:alert(1)', 'data:image/svg+xml,<svg onload=alert(1)>', 'x" onerror="alert(1)'].forEach(image => {
+        const result = RecipeParser.parse(JSON.stringify(Object.assign({}, jsonLd, { image: image })));
+
+        assert.strictEqual(result.recipe.image, '', image);
+        assert.ok(result.warnings.some(warning => /image was left out/.test(warning)), image);
+    });
+
+    const relative = RecipeParser.parse(JSON.stringify(Object.assign({}, jsonLd, { image: ['images/soup.jpg'] })));
+    assert.strictEqual(relative.recipe.image, 'images/soup.jpg');
+});
+
+test('the schema refuses image addresses the parser would leave out', () => {
+    const recipe = RecipeParser.parse(JSON.stringify(jsonLd)).recipe;
+
+    assert.deepStrictEqual(validate(Object.assign({}, recipe, { image: '' })), []);
+    assert.deepStrictEqual(validate(Object.assign({}, recipe, { image: '//cdn.example.com/a.png' })), []);
+    assert.strictEqual(validate(Object.assign({}, recipe, { image: 'javascript:alert(1)' })).length, 1);
+    assert.strictEqual(validate(Object.assign({}, recipe, { image: 'x" onerror="alert(1)' })).length, 1);
+});
+
+test('input without a recipe is refused', () => {
+    assert.throws(() => RecipeParser.parse('   '), /Paste a recipe/);
+    assert.throws(() => RecipeParser.parse('{ not json'), /could not be read/);
+    assert.throws(() => RecipeParser.parse('Just a title\nand a sentence.'), /No ingredients/);
+});
+
+test('IDs are made from the title and never repeat a taken one', () => {
+    assert.strictEqual(RecipeParser.createId('Crème Brûlée!', []), 'creme-brulee');
+    assert.strictEqual(RecipeParser.createId('Soup', ['soup']), 'soup-2');
+});
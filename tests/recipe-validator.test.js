@@ -0,0 +1,108 @@
+/**
+ * AccessiChef - Recipe Validator Tests
+ *
+ * Checks that the recipe schema accepts the bundled recipes and reports
+ * missing, mistyped and repeated fields in others.
+ *
+ * Usage: node --test tests/
+ *
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// The validator uses the converter as a global, as it does in the browser
+global.MeasurementConverter = require('../js/utils/converter.js');
+const RecipeValidator = require('../js/utils/recipe-validator.js');
+
+/**
+ * Build a valid recipe, with any fields replaced
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Recipe object
+ */
+function makeRecipe(overrides) {
+    return Object.assign({
+        id: 'test-soup',
+        title: 'Test Soup',
+        description: 'A soup for tests.',
+        category: 'lunch',
+        time: 20,
+        servings: 2,
+        difficulty: 'Easy',
+        ingredients: [{ name: 'water', amount: 500, unit: 'ml' }, { name: 'salt', amount: 1, unit: '' }],
+        instructions: [{ text: 'Boil the water.', time: 10 }, { text: 'Add the salt.', time: null }],
+        nutrition: { calories: '10 kcal' }
+    }, overrides);
+}
+
+test('the bundled recipes are valid and use known units', () => {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'recipes.json'), 'utf8'));
+    const result = RecipeValidator.validateRecipes(data.recipes);
+
+    assert.deepStrictEqual(result.invalid, []);
+    assert.deepStrictEqual(RecipeValidator.findUnknownUnits(result.valid), []);
+});
+
+test('a complete recipe has no errors', () => {
+    assert.deepStrictEqual(RecipeValidator.validateRecipe(makeRecipe({})), []);
+});
+
+test('missing and mistyped fields are reported with their paths', () => {
+    const recipe = makeRecipe({ servings: 2.5, category: 'brunch' });
+    delete recipe.title;
+    recipe.ingredients[0].amount = '2';
+
+    assert.deepStrictEqual(RecipeValidator.validateRecipe(recipe), [
+        'title is missing',
+        'category must be one of breakfast, lunch, dinner, dessert, snack, not "brunch"',
+        'servings must be a whole number',
+        'ingredients[0].amount must be a number, not string "2"'
+    ]);
+});
+
+test('numbers read from empty or mistyped fields are described as such', () => {
+    assert.deepStrictEqual(RecipeValidator.validateRecipe(makeRecipe({ servings: NaN, time: Infinity })), [
+        'time must be a number; the field is empty or invalid',
+        'servings must be a whole number; the field is empty or invalid'
+    ]);
+});
+
+test('empty lists and non-object recipes are reported', () => {
+    assert.deepStrictEqual(RecipeValidator.validateRecipe(makeRecipe({ instructions: [] })), [
+        'instructions must have at least 1 item'
+    ]);
+    assert.deepStrictEqual(RecipeValidator.validateRecipe(null), ['recipe must not be null']);
+    assert.deepStrictEqual(RecipeValidator.validateRecipe([]), ['recipe must be an object, not array']);
+});
+
+test('repeated IDs are invalid and the first recipe is kept', () => {
+    const result = RecipeValidator.validateRecipes([makeRecipe({}), makeRecipe({ title: 'Another Soup' })]);
+
+    assert.strictEqual(result.valid.length, 1);
+    assert.strictEqual(result.invalid.length, 1);
+    assert.deepStrictEqual(result.invalid[0].errors, ['id "test-soup" is already used by another recipe']);
+    assert.strictEqual(RecipeValidator.describeRecipe(result.invalid[0]), 'Recipe 2 ("Another Soup")');
+});
+
+test('data without a recipes list is reported once', () => {
+    const result = RecipeValidator.validateRecipes(undefined);
+
+    assert.strictEqual(result.invalid.length, 1);
+    assert.strictEqual(RecipeValidator.describeRecipe(result.invalid[0]), 'Recipe data');
+});
+
+test('unknown units are listed with their recipe', () => {
+    const recipe = makeRecipe({ ingredients: [{ name: 'parsley', amount: 1, unit: 'handful' }] });
+
+    assert.deepStrictEqual(RecipeValidator.findUnknownUnits([recipe]), [
+        { recipeId: 'test-soup', ingredient: 'parsley', unit: 'handful' }
+    ]);
+});
@@ -0,0 +1,68 @@
+/**
+ * AccessiChef - Recipe Search Tests
+ *
+ * Checks that the search index ranks, stems and corrects query words, and
+ * that any word can be searched for without breaking the index.
+ *
+ * Usage: node --test tests/
+ *
+ * @author Spencer Purdy
+ * @version 1.0.0
+ * @for COMP 5970/6970 Assistive and Accessible Computing
+ */
+
+// Use strict mode for better error catching and performance
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const RecipeSearch = require('../js/utils/search.js');
+
+const recipes = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'recipes.json'), 'utf8')).recipes;
+
+/**
+ * Search the bundled recipes
+ * @param {string} query - Search text
+ * @returns {Array<string>} IDs of the matching recipes, best first
+ */
+function searchIds(query) {
+    return RecipeSearch.search(query).map(result => result.recipe.id);
+}
+
+test.before(() => {
+    RecipeSearch.buildIndex(recipes);
+});
+
+test('an empty query lists every recipe', () => {
+    assert.strictEqual(searchIds('').length, recipes.length);
+});
+
+test('word forms, synonyms and small typos find the same recipes', () => {
+    const cookies = searchIds('cookies');
+
+    assert.ok(cookies.length > 0);
+    assert.deepStrictEqual(searchIds('cookie'), cookies);
+    assert.deepStrictEqual(searchIds('cokies'), cookies);
+    assert.strictEqual(RecipeSearch.toTerm('garbanzo'), RecipeSearch.toTerm('chickpeas'));
+});
+
+test('names found on every object are searched as ordinary words', () => {
+    ['constructor', 'toString', 'hasOwnProperty', '__proto__', 'valueOf'].forEach(query => {
+        assert.doesNotThrow(() => RecipeSearch.search(query), query);
+        assert.deepStrictEqual(searchIds(query), [], query);
+    });
+
+    assert.strictEqual(RecipeSearch.toTerm('constructor'), RecipeSearch.stem('constructor'));
+});
+
+test('matched words are highlighted and the rest of the text is escaped', () => {
+    const terms = [RecipeSearch.toTerm('tomatoes')];
+
+    assert.strictEqual(
+        RecipeSearch.highlight('Tomato & <basil>', terms),
+        '<mark>Tomato</mark> &amp; &lt;basil&gt;'
+    );
+});